@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Registry of contract ABIs used to decode calldata and event logs
+ * ABIs are kept in the store so the indexer, backfill and log indexer all decode the same way
+ *
+ * Usage:
+ *   node abi_registry.js register <address> <abi.json> [name]
+ *   node abi_registry.js list
+ *   node abi_registry.js remove <address>
+ * Every command takes --network to pick the network whose store holds the ABIs.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { openStore, saveAbi, removeAbi, listAbis } = require('./store');
+const { CONFIG_OPTIONS, loadNetwork } = require('./config');
+
+/**
+ * Read an ABI file; accepts a bare ABI array or a compiler artifact with an `abi` field
+ */
+function readAbiFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const abi = Array.isArray(data) ? data : data.abi;
+    if (!Array.isArray(abi)) {
+        throw new Error(`No ABI array found in ${filePath}`);
+    }
+    // Throws on malformed fragments, so nothing invalid gets registered
+    new ethers.Interface(abi);
+    return abi;
+}
+
+/**
+ * Load every registered ABI as an ethers Interface, keyed by lowercase address
+ */
+function loadAbiRegistry(db) {
+    const registry = new Map();
+    for (const entry of listAbis(db)) {
+        registry.set(entry.address, { name: entry.name, iface: new ethers.Interface(entry.abi) });
+    }
+    return registry;
+}
+
+/**
+ * Convert a decoded ethers Result into plain JSON-safe values (bigints become strings)
+ */
+function resultToJSON(result) {
+    let value;
+    try {
+        value = result.toObject(true);
+    } catch (error) {
+        // Unnamed parameters cannot be turned into an object
+        value = result.toArray(true);
+    }
+    return JSON.parse(JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item));
+}
+
+/**
+ * Decode a transaction's calldata against the ABI registered for its `to` address
+ * Returns { method, args } or null when the contract or selector is unknown
+ */
+function decodeCalldata(registry, to, data) {
+    const entry = to ? registry.get(to.toLowerCase()) : null;
+    if (!entry || !data || data.length < 10) {
+        return null;
+    }
+
+    try {
+        const parsed = entry.iface.parseTransaction({ data });
+        if (!parsed) {
+            return null;
+        }
+        return { method: parsed.signature, args: resultToJSON(parsed.args) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Decode revert data against the ABI registered for the called contract
+ * Returns { error, args } or null when the contract or error is unknown
+ */
+function decodeError(registry, to, data) {
+    const entry = to ? registry.get(to.toLowerCase()) : null;
+    if (!entry || !data || data.length < 10) {
+        return null;
+    }
+
+    try {
+        const parsed = entry.iface.parseError(data);
+        if (!parsed) {
+            return null;
+        }
+        return { error: parsed.signature, args: resultToJSON(parsed.args) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Decode an event log against the ABI registered for its emitting address
+ * Returns { event, args } or null when the contract or event is unknown
+ */
+function decodeLog(registry, log) {
+    const entry = registry.get(log.address.toLowerCase());
+    if (!entry) {
+        return null;
+    }
+
+    try {
+        const parsed = entry.iface.parseLog({ topics: log.topics, data: log.data });
+        if (!parsed) {
+            return null;
+        }
+        return { event: parsed.signature, args: resultToJSON(parsed.args) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Main execution
+if (require.main === module) {
+    const { values, positionals } = parseArgs({ options: CONFIG_OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    try {
+        const db = openStore(loadNetwork(values).dbFile);
+
+        if (command === 'register' && args.length >= 2) {
+            const [address, abiFile, name] = args;
+            if (!ethers.isAddress(address)) {
+                throw new Error(`Invalid Ethereum address: ${address}`);
+            }
+            const abi = readAbiFile(abiFile);
+            saveAbi(db, address, name || null, abi);
+            console.log(`✓ Registered ABI for ${ethers.getAddress(address)}${name ? ` (${name})` : ''}`);
+        } else if (command === 'list') {
+            const entries = listAbis(db);
+            if (entries.length === 0) {
+                console.log('No ABIs registered');
+            }
+            for (const entry of entries) {
+                const iface = new ethers.Interface(entry.abi);
+                const functions = iface.fragments.filter(fragment => fragment.type === 'function').length;
+                const events = iface.fragments.filter(fragment => fragment.type === 'event').length;
+                console.log(`${ethers.getAddress(entry.address)}  ${entry.name || '-'}  (${functions} functions, ${events} events)`);
+            }
+        } else if (command === 'remove' && args.length >= 1) {
+            removeAbi(db, args[0]);
+            console.log(`✓ Removed ABI for ${args[0]}`);
+        } else {
+            console.error('Usage: node abi_registry.js register <address> <abi.json> [name]');
+            console.error('       node abi_registry.js list');
+            console.error('       node abi_registry.js remove <address>');
+            process.exit(1);
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('\nError:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { loadAbiRegistry, decodeCalldata, decodeError, decodeLog, readAbiFile };
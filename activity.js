@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+/**
+ * Activity rollups for the target contract
+ * `update` aggregates the indexed transactions sent to the contract into per-address profiles (first and
+ * last interaction, transactions, active days, streaks, value sent, gas spent), per-address daily counts
+ * and global daily series (transactions, unique and new users, volume). Like the leaderboard it only
+ * reads final blocks and later runs only aggregate blocks added since the previous one (starting over when
+ * earlier blocks were stored or removed meanwhile); --watch keeps running and picks up new blocks as the
+ * indexer stores them.
+ * Days are UTC; weeks start on Monday. Transactions of blocks imported without a timestamp count toward
+ * the profile totals but not toward days or streaks.
+ *
+ * Usage:
+ *   node activity.js update [--full] [--watch [--interval 30]]
+ *   node activity.js profile <address> [--period day|week] [--json]
+ *   node activity.js series [--period day|week] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]
+ *   node activity.js top [--by txs|days|streak|value|gas] [--limit 20] [--json]
+ * Every command takes --contract (defaults to the network's target contract) and --network.
+ */
+
+const { ethers } = require('ethers');
+const { parseArgs } = require('util');
+const {
+    openStore,
+    loadProgress,
+    getIndexedRange,
+    getBlocksRevision,
+    getBlockTimestamp,
+    findTransactions,
+    getMeta,
+    setMeta,
+    getActivityProfile,
+    listActivityProfiles,
+    getActivityAddressDays,
+    getActivityDays,
+    getActivityWeeklyUsers,
+    saveActivity,
+    clearActivity
+} = require('./store');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+
+// Blocks aggregated per store transaction
+const CHUNK_BLOCKS = 10000;
+const DEFAULT_WATCH_INTERVAL = 30;
+const PERIODS = ['day', 'week'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function dayOf(timestamp) {
+    return timestamp === null || timestamp === undefined ? null : new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the week a day falls in
+ */
+function weekOf(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * Fee paid by a transaction in wei; unknown (0) for records without gas used
+ */
+function gasCost(txn) {
+    if (!txn.gasUsed) {
+        return 0n;
+    }
+    return BigInt(txn.gasUsed) * BigInt(txn.effectiveGasPrice || txn.gasPrice || '0');
+}
+
+function addAmount(total, amount) {
+    return (BigInt(total) + amount).toString();
+}
+
+/**
+ * Fold transactions (in block order) into the stored rollups
+ * Returns the touched profiles, address-day and day rows, ready for saveActivity
+ */
+function applyTransactions(db, txns) {
+    const profiles = new Map();
+    const addressDays = new Map();
+    const days = new Map();
+
+    for (const txn of txns) {
+        const address = txn.from.toLowerCase();
+        const day = dayOf(txn.blockTimestamp);
+        const failed = txn.status === 'Fail';
+        // Value only moves when the transaction succeeds; the fee is paid either way
+        const value = txn.status === 'Success' ? BigInt(txn.value || '0') : 0n;
+        const gas = gasCost(txn);
+
+        if (!profiles.has(address)) {
+            profiles.set(address, getActivityProfile(db, address));
+        }
+        let profile = profiles.get(address);
+        const isNew = profile === null;
+        if (isNew) {
+            profile = {
+                address,
+                firstBlock: txn.blockNumber,
+                firstTimestamp: txn.blockTimestamp,
+                txCount: 0,
+                failedCount: 0,
+                valueSent: '0',
+                gasSpent: '0',
+                activeDays: 0,
+                lastActiveDay: null,
+                currentStreak: 0,
+                longestStreak: 0
+            };
+            profiles.set(address, profile);
+        }
+        profile.lastBlock = txn.blockNumber;
+        profile.lastTimestamp = txn.blockTimestamp;
+        profile.txCount++;
+        profile.failedCount += failed ? 1 : 0;
+        profile.valueSent = addAmount(profile.valueSent, value);
+        profile.gasSpent = addAmount(profile.gasSpent, gas);
+
+        if (day === null) {
+            continue;
+        }
+
+        // Blocks arrive in order, so a new active day is always later than the last one
+        if (day !== profile.lastActiveDay) {
+            profile.currentStreak = profile.lastActiveDay !== null && addDays(profile.lastActiveDay, 1) === day
+                ? profile.currentStreak + 1
+                : 1;
+            profile.longestStreak = Math.max(profile.longestStreak, profile.currentStreak);
+            profile.activeDays++;
+            profile.lastActiveDay = day;
+        }
+
+        const dayKey = `${address}:${day}`;
+        if (!addressDays.has(dayKey)) {
+            const [stored] = getActivityAddressDays(db, address, { fromDay: day, toDay: day });
+            addressDays.set(dayKey, stored ? { address, ...stored, isNew: false } : {
+                address, day, txCount: 0, failedCount: 0, valueSent: '0', gasSpent: '0', isNew: true
+            });
+        }
+        const addressDay = addressDays.get(dayKey);
+
+        if (!days.has(day)) {
+            const [stored] = getActivityDays(db, { fromDay: day, toDay: day });
+            days.set(day, stored || { day, txCount: 0, failedCount: 0, uniqueUsers: 0, newUsers: 0, volume: '0', gasSpent: '0' });
+        }
+        const totals = days.get(day);
+
+        if (addressDay.isNew && addressDay.txCount === 0) {
+            totals.uniqueUsers++;
+        }
+        if (isNew) {
+            totals.newUsers++;
+        }
+        addressDay.txCount++;
+        addressDay.failedCount += failed ? 1 : 0;
+        addressDay.valueSent = addAmount(addressDay.valueSent, value);
+        addressDay.gasSpent = addAmount(addressDay.gasSpent, gas);
+        totals.txCount++;
+        totals.failedCount += failed ? 1 : 0;
+        totals.volume = addAmount(totals.volume, value);
+        totals.gasSpent = addAmount(totals.gasSpent, gas);
+    }
+
+    return {
+        profiles: [...profiles.values()].filter(profile => profile !== null),
+        addressDays: [...addressDays.values()].map(({ isNew, ...entry }) => entry),
+        days: [...days.values()]
+    };
+}
+
+/**
+ * Aggregate the contract's transactions up to toBlock
+ * Continues after the last aggregated block unless the contract changed, blocks were stored or removed
+ * below it since the last run or `full` is set; every chunk is saved together with the new position, so
+ * an interrupted run resumes where it stopped
+ */
+function updateActivity(db, contract, toBlock, { full = false } = {}) {
+    const blocksRevision = getBlocksRevision(db);
+    const lastBlock = getMeta(db, 'activity.lastBlock');
+    // Aggregating only what follows lastBlock would miss earlier blocks stored or removed since the last run
+    const historyChanged = getMeta(db, 'activity.blocksRevision') !== String(blocksRevision);
+    const incremental = !full && lastBlock !== null && !historyChanged && getMeta(db, 'activity.contract') === contract.toLowerCase();
+
+    if (!incremental) {
+        db.transaction(() => {
+            clearActivity(db);
+            setMeta(db, 'activity.lastBlock', null);
+            setMeta(db, 'activity.contract', contract.toLowerCase());
+            setMeta(db, 'activity.blocksRevision', blocksRevision);
+        })();
+    }
+
+    const fromBlock = incremental ? Number(lastBlock) + 1 : getIndexedRange(db).fromBlock;
+    let transactions = 0;
+    const addresses = new Set();
+
+    for (let start = fromBlock; start <= toBlock; start += CHUNK_BLOCKS) {
+        const end = Math.min(toBlock, start + CHUNK_BLOCKS - 1);
+        const txns = findTransactions(db, { to: contract, fromBlock: start, toBlock: end });
+
+        db.transaction(() => {
+            const changes = applyTransactions(db, txns);
+            saveActivity(db, changes);
+            setMeta(db, 'activity.lastBlock', end);
+            changes.profiles.forEach(profile => addresses.add(profile.address));
+        })();
+        transactions += txns.length;
+    }
+
+    return { fromBlock, toBlock, transactions, addresses: addresses.size, incremental };
+}
+
+/**
+ * Newest block that is both indexed and final
+ */
+function latestFinalBlock(db) {
+    const range = getIndexedRange(db);
+    const live = loadProgress(db);
+    return live.finalizedBlock !== null ? Math.min(range.toBlock, live.finalizedBlock) : range.toBlock;
+}
+
+/**
+ * Day of the last aggregated block; a streak is still running if its last day is this day or the one before
+ */
+function referenceDay(db) {
+    const lastBlock = getMeta(db, 'activity.lastBlock');
+    return lastBlock !== null ? dayOf(getBlockTimestamp(db, Number(lastBlock))) : null;
+}
+
+/**
+ * A stored profile with its streak as of the last aggregated block
+ */
+function describeProfile(profile, today) {
+    const running = today !== null && profile.lastActiveDay !== null
+        && (profile.lastActiveDay === today || addDays(profile.lastActiveDay, 1) === today);
+    return { ...profile, currentStreak: running ? profile.currentStreak : 0 };
+}
+
+/**
+ * Sum daily rows into weekly ones; `uniqueUsers` (a Map of week to distinct users) replaces the daily counts
+ */
+function groupByWeek(rows, uniqueUsers) {
+    const weeks = new Map();
+    for (const row of rows) {
+        const week = weekOf(row.day);
+        const total = weeks.get(week);
+        if (!total) {
+            weeks.set(week, { ...row, day: week });
+            continue;
+        }
+        for (const [key, value] of Object.entries(row)) {
+            if (key === 'day') {
+                continue;
+            }
+            total[key] = typeof value === 'number' ? total[key] + value : addAmount(total[key], BigInt(value));
+        }
+    }
+    return [...weeks.values()].map(row => {
+        const { day, ...totals } = row;
+        return { period: day, ...totals, ...(uniqueUsers ? { uniqueUsers: uniqueUsers.get(day) || 0 } : {}) };
+    });
+}
+
+/**
+ * Global series per day or week
+ */
+function activitySeries(db, { period = 'day', fromDay, toDay } = {}) {
+    const rows = getActivityDays(db, { fromDay, toDay });
+    if (period === 'day') {
+        return rows.map(({ day, ...totals }) => ({ period: day, ...totals }));
+    }
+    return groupByWeek(rows, getActivityWeeklyUsers(db, { fromDay, toDay }));
+}
+
+/**
+ * One address's interactions per day or week
+ */
+function addressSeries(db, address, { period = 'day' } = {}) {
+    const rows = getActivityAddressDays(db, address);
+    if (period === 'day') {
+        return rows.map(({ day, ...totals }) => ({ period: day, ...totals }));
+    }
+    return groupByWeek(rows);
+}
+
+function formatTime(timestamp) {
+    return timestamp !== null ? new Date(timestamp * 1000).toISOString() : 'unknown time';
+}
+
+function printProfile(profile, series, period) {
+    console.log(`  First interaction: block ${profile.firstBlock} (${formatTime(profile.firstTimestamp)})`);
+    console.log(`  Last interaction:  block ${profile.lastBlock} (${formatTime(profile.lastTimestamp)})`);
+    console.log(`  Transactions: ${profile.txCount} (${profile.failedCount} failed)`);
+    console.log(`  Active days: ${profile.activeDays}, current streak ${profile.currentStreak}, longest streak ${profile.longestStreak}`);
+    console.log(`  Value sent: ${ethers.formatEther(profile.valueSent)} (${profile.valueSent} wei)`);
+    console.log(`  Gas spent: ${ethers.formatEther(profile.gasSpent)} (${profile.gasSpent} wei)`);
+    console.log(`\n  Interactions per ${period}:`);
+    for (const row of series) {
+        console.log(`    ${row.period}  ${row.txCount} transaction(s)${row.failedCount > 0 ? `, ${row.failedCount} failed` : ''}`);
+    }
+}
+
+function printSeries(series, period) {
+    console.log(`  ${period.padEnd(10)}  ${'txs'.padStart(8)}  ${'failed'.padStart(6)}  ${'users'.padStart(7)}  ${'new'.padStart(6)}  volume`);
+    for (const row of series) {
+        console.log(`  ${row.period}  ${String(row.txCount).padStart(8)}  ${String(row.failedCount).padStart(6)}  ${String(row.uniqueUsers).padStart(7)}  ${String(row.newUsers).padStart(6)}  ${ethers.formatEther(row.volume)}`);
+    }
+}
+
+function printTop(profiles, by) {
+    profiles.forEach((profile, index) => {
+        console.log(`  ${String(index + 1).padStart(3)}. ${profile.address}  ${profile.txCount} txs, ${profile.activeDays} days, longest streak ${profile.longestStreak}, value ${ethers.formatEther(profile.valueSent)}, gas ${ethers.formatEther(profile.gasSpent)}`);
+    });
+    if (profiles.length === 0) {
+        console.log(`  No activity to rank by ${by}`);
+    }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Main execution
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            contract: { type: 'string' },
+            full: { type: 'boolean', default: false },
+            watch: { type: 'boolean', default: false },
+            interval: { type: 'string', default: String(DEFAULT_WATCH_INTERVAL) },
+            period: { type: 'string', default: 'day' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            by: { type: 'string', default: 'txs' },
+            limit: { type: 'string', default: '20' },
+            json: { type: 'boolean', default: false },
+            ...CONFIG_OPTIONS
+        }
+    });
+    const [command, address] = positionals;
+    const interval = Number(values.interval);
+    const limit = Number(values.limit);
+
+    const usage = [
+        'Usage: node activity.js update [--full] [--watch [--interval 30]]',
+        '       node activity.js profile <address> [--period day|week] [--json]',
+        '       node activity.js series [--period day|week] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]',
+        '       node activity.js top [--by txs|days|streak|value|gas] [--limit 20] [--json]'
+    ];
+    if (!['update', 'profile', 'series', 'top'].includes(command) || (command === 'profile' && !address)) {
+        usage.forEach(line => console.error(line));
+        process.exit(1);
+    }
+    if (command === 'profile' && !ethers.isAddress(address)) {
+        console.error(`Error: Invalid address: ${address}`);
+        process.exit(1);
+    }
+    if (values.contract && !ethers.isAddress(values.contract)) {
+        console.error(`Error: Invalid contract address: ${values.contract}`);
+        process.exit(1);
+    }
+    if (!PERIODS.includes(values.period)) {
+        console.error(`Error: --period must be one of ${PERIODS.join(', ')}`);
+        process.exit(1);
+    }
+    for (const option of ['from', 'to']) {
+        if (values[option] !== undefined && !DAY_PATTERN.test(values[option])) {
+            console.error(`Error: --${option} must be a day (YYYY-MM-DD)`);
+            process.exit(1);
+        }
+    }
+    if (!Number.isFinite(interval) || interval <= 0) {
+        console.error('Error: --interval must be a positive number of seconds');
+        process.exit(1);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        console.error('Error: --limit must be a positive integer');
+        process.exit(1);
+    }
+
+    let network;
+    let contract;
+    try {
+        network = loadNetwork(values);
+        contract = values.contract ? ethers.getAddress(values.contract) : requireContract(network, 'target');
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    (async () => {
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { db });
+
+        if (command === 'update') {
+            do {
+                const toBlock = latestFinalBlock(db);
+                if (toBlock === null) {
+                    throw new Error('No indexed blocks to aggregate');
+                }
+                const result = updateActivity(db, contract, toBlock, { full: values.full });
+                if (result.fromBlock <= result.toBlock) {
+                    console.log(`${result.incremental ? 'Incremental update' : 'Full rebuild'}: blocks ${result.fromBlock}-${result.toBlock}, ${result.transactions} transaction(s) from ${result.addresses} address(es)`);
+                } else if (!values.watch) {
+                    console.log(`✓ Activity is up to date (block ${result.toBlock})`);
+                }
+                values.full = false;
+                if (values.watch) {
+                    await wait(interval * 1000);
+                }
+            } while (values.watch);
+            return;
+        }
+
+        if (getMeta(db, 'activity.lastBlock') === null) {
+            throw new Error('No activity aggregated yet (run: node activity.js update)');
+        }
+        const aggregated = getMeta(db, 'activity.contract');
+        if (aggregated !== contract.toLowerCase()) {
+            throw new Error(`Activity was aggregated for ${ethers.getAddress(aggregated)}, not ${contract} (run: node activity.js update)`);
+        }
+        const toBlock = Number(getMeta(db, 'activity.lastBlock'));
+        const today = referenceDay(db);
+
+        if (command === 'profile') {
+            const stored = getActivityProfile(db, address);
+            const profile = stored ? describeProfile(stored, today) : null;
+            const series = stored ? addressSeries(db, address, { period: values.period }) : [];
+            if (values.json) {
+                console.log(JSON.stringify({ contract, toBlock, profile, series }, null, 2));
+                return;
+            }
+            console.log('='.repeat(80));
+            console.log(`ACTIVITY - ${ethers.getAddress(address)} on ${contract}, up to block ${toBlock}`);
+            console.log('='.repeat(80));
+            if (!profile) {
+                console.log('  No interactions');
+                return;
+            }
+            printProfile(profile, series, values.period);
+        } else if (command === 'series') {
+            const series = activitySeries(db, { period: values.period, fromDay: values.from, toDay: values.to });
+            if (values.json) {
+                console.log(JSON.stringify({ contract, toBlock, period: values.period, series }, null, 2));
+                return;
+            }
+            console.log('='.repeat(80));
+            console.log(`ACTIVITY PER ${values.period.toUpperCase()} - ${contract}, up to block ${toBlock}`);
+            console.log('='.repeat(80));
+            printSeries(series, values.period);
+        } else {
+            const profiles = listActivityProfiles(db, { by: values.by, limit }).map(profile => describeProfile(profile, today));
+            if (values.json) {
+                console.log(JSON.stringify({ contract, toBlock, by: values.by, profiles }, null, 2));
+                return;
+            }
+            console.log('='.repeat(80));
+            console.log(`MOST ACTIVE BY ${values.by.toUpperCase()} - ${contract}, up to block ${toBlock}`);
+            console.log('='.repeat(80));
+            printTop(profiles, values.by);
+        }
+    })()
+        .then(() => {
+            if (!values.json) {
+                console.log('\nDone!');
+            }
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    applyTransactions,
+    updateActivity,
+    activitySeries,
+    addressSeries,
+    describeProfile,
+    weekOf
+};
@@ -0,0 +1,49 @@
+/**
+ * Crash-safe file writes
+ * The content goes to a temporary file next to the target, is flushed to disk, then renamed over the
+ * target, so a reader (or the next start after a kill) sees either the old file or the new one, never
+ * a truncated mix of both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Flush a directory entry change (the rename) to disk; not supported on every platform
+ */
+function syncDirectory(dir) {
+    let fd;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Directories cannot be opened or synced on Windows; the rename is still atomic
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Replace file with data (string or Buffer) atomically: temp file, fsync, rename
+ */
+function writeFileAtomic(file, data) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    try {
+        const fd = fs.openSync(temp, 'w');
+        try {
+            fs.writeFileSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(temp, file);
+    } catch (error) {
+        fs.rmSync(temp, { force: true });
+        throw error;
+    }
+    syncDirectory(path.dirname(file));
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Historical backfill for the indexer
+ * Splits a block range across workers; each worker records the ranges it has finished in the store,
+ * so an interrupted backfill resumes where it stopped. Runs alongside the live indexer: backfill
+ * only writes final blocks and keeps its own progress row.
+ *
+ * Usage: node backfill.js --from <block|deployment> [--to <block>] [--workers N] [--chunk-size N] [--network monad]
+ */
+
+const { parseArgs } = require('util');
+const { fetchBlocksInOrder } = require('./block_fetcher');
+const { loadAbiRegistry, decodeCalldata, decodeError } = require('./abi_registry');
+const { openStore, getBackfilledRanges, startBackfillRange, commitBackfillBlock, getTotalTransactions } = require('./store');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+
+const DEFAULT_WORKERS = 4;
+const DEFAULT_CHUNK_SIZE = 1000;
+// Blocks in flight per worker
+const BLOCKS_IN_FLIGHT_PER_WORKER = 4;
+
+/**
+ * Find the block a contract was deployed in by binary searching for the first block with code
+ * Needs an RPC endpoint that serves historical state
+ */
+async function findDeploymentBlock(provider, address, latestBlock) {
+    const code = await provider.getCode(address, latestBlock);
+    if (code === '0x') {
+        throw new Error(`No contract code at ${address}`);
+    }
+
+    let low = 0;
+    let high = latestBlock;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (await provider.getCode(address, mid) === '0x') {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Parts of fromBlock..toBlock not covered by finished ranges, split into chunks of at most chunkSize
+ */
+function planChunks(fromBlock, toBlock, finishedRanges, chunkSize) {
+    const gaps = [];
+    let cursor = fromBlock;
+
+    for (const range of finishedRanges) {
+        if (range.endBlock < cursor) {
+            continue;
+        }
+        if (range.startBlock > toBlock) {
+            break;
+        }
+        if (range.startBlock > cursor) {
+            gaps.push({ startBlock: cursor, endBlock: range.startBlock - 1 });
+        }
+        cursor = Math.max(cursor, range.endBlock + 1);
+    }
+    if (cursor <= toBlock) {
+        gaps.push({ startBlock: cursor, endBlock: toBlock });
+    }
+
+    const chunks = [];
+    for (const gap of gaps) {
+        for (let start = gap.startBlock; start <= gap.endBlock; start += chunkSize) {
+            chunks.push({ startBlock: start, endBlock: Math.min(gap.endBlock, start + chunkSize - 1) });
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Backfill fromBlock..toBlock with `workers` workers pulling chunks from a shared queue
+ */
+async function backfill(provider, db, fromBlock, toBlock, workers, chunkSize, { fidelity } = {}) {
+    const chunks = planChunks(fromBlock, toBlock, getBackfilledRanges(db), chunkSize);
+    const totalBlocks = chunks.reduce((sum, chunk) => sum + chunk.endBlock - chunk.startBlock + 1, 0);
+
+    if (chunks.length === 0) {
+        console.log(`✓ Blocks ${fromBlock}-${toBlock} are already backfilled`);
+        return { blocks: 0, chunks: 0 };
+    }
+
+    const chunkCount = chunks.length;
+    console.log(`Backfilling ${totalBlocks} blocks in ${chunkCount} chunks with ${workers} workers`);
+
+    let blocksDone = 0;
+
+    const registry = loadAbiRegistry(db);
+    const decodeCall = (to, data) => decodeCalldata(registry, to, data);
+    const decodeRevert = (to, data) => decodeError(registry, to, data);
+
+    const runWorker = async (workerId) => {
+        while (chunks.length > 0) {
+            const chunk = chunks.shift();
+            const rangeId = startBackfillRange(db, chunk.startBlock, workerId);
+
+            await fetchBlocksInOrder(provider, chunk.startBlock, chunk.endBlock, BLOCKS_IN_FLIGHT_PER_WORKER, async (block) => {
+                commitBackfillBlock(db, block, rangeId);
+                blocksDone++;
+            }, { decodeCall, decodeError: decodeRevert, fidelity });
+
+            console.log(`  [worker ${workerId}] ✓ Blocks ${chunk.startBlock}-${chunk.endBlock} (${blocksDone}/${totalBlocks})`);
+        }
+    };
+
+    const results = await Promise.allSettled(
+        Array.from({ length: workers }, (_, i) => runWorker(i + 1))
+    );
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} worker(s) failed: ${failed[0].reason.message} (re-run to resume)`);
+    }
+
+    return { blocks: blocksDone, chunks: chunkCount };
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            workers: { type: 'string', default: String(DEFAULT_WORKERS) },
+            'chunk-size': { type: 'string', default: String(DEFAULT_CHUNK_SIZE) },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    if (!values.from) {
+        console.error('Usage: node backfill.js --from <block|deployment> [--to <block>] [--workers N] [--chunk-size N]');
+        console.error('Example: node backfill.js --from deployment --workers 8');
+        process.exit(1);
+    }
+
+    const workers = Number(values.workers);
+    const chunkSize = Number(values['chunk-size']);
+    if (!Number.isInteger(workers) || workers < 1 || !Number.isInteger(chunkSize) || chunkSize < 1) {
+        console.error('Error: --workers and --chunk-size must be positive integers');
+        process.exit(1);
+    }
+
+    (async () => {
+        const network = loadNetwork(values);
+        const provider = createProvider(network.rpcUrls, network.chainId);
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { provider, db });
+
+        // Blocks this far behind the chain head are treated as final
+        const finalBlock = await provider.getBlockNumber() - network.confirmations;
+
+        let fromBlock;
+        if (values.from === 'deployment') {
+            const target = requireContract(network, 'target');
+            console.log(`Finding deployment block of ${target}...`);
+            fromBlock = await findDeploymentBlock(provider, target, finalBlock);
+            console.log(`  ✓ Deployed in block ${fromBlock}`);
+        } else {
+            fromBlock = Number(values.from);
+        }
+
+        // Only final blocks are backfilled, so the live indexer's reorg handling never overlaps with backfill
+        const toBlock = values.to !== undefined ? Math.min(Number(values.to), finalBlock) : finalBlock;
+
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock > toBlock) {
+            throw new Error(`Invalid block range: ${values.from} - ${values.to !== undefined ? values.to : toBlock}`);
+        }
+
+        await backfill(provider, db, fromBlock, toBlock, workers, chunkSize, { fidelity: network.fidelity });
+        console.log(`\n✓ Backfill of blocks ${fromBlock}-${toBlock} complete`);
+        console.log(`  Total transactions indexed: ${getTotalTransactions(db)}`);
+    })()
+        .then(() => {
+            console.log('\nDone!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { backfill, planChunks, findDeploymentBlock };
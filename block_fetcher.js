@@ -0,0 +1,299 @@
+/**
+ * Block fetching pipeline for the indexer
+ * Fetches blocks with full transactions and their receipts, several blocks at a time,
+ * and hands them back strictly in block order
+ */
+
+const { ethers } = require('ethers');
+const { withRetry } = require('./rpc_pool');
+const { logger } = require('./logger');
+
+// Extra attempts for a block or its missing receipts before the failure is passed to the caller
+const FETCH_RETRIES = 3;
+
+// Schema version of the transaction records built for each fidelity level (see config.js)
+// 1 (basic): calldata cut to its selector; status and gas used from the receipt
+// 2 (full): full calldata, block timestamp and index, EIP-1559 fee fields, effective gas price,
+//           created contract, receipt logs, and the revert reason of failed transactions
+const RECORD_VERSIONS = { basic: 1, full: 2 };
+
+// Whether the node answers eth_getBlockReceipts; switched off after the first "method not found"
+let blockReceiptsSupported = true;
+
+/**
+ * True when a JSON-RPC error means the node does not implement the method
+ */
+function isMethodUnsupported(error) {
+    if (error.code === 'UNSUPPORTED_OPERATION') {
+        return true;
+    }
+    const rpcError = error.error || (error.info && error.info.error);
+    if (rpcError && rpcError.code === -32601) {
+        return true;
+    }
+    return /method not found|not supported|does not exist/i.test(error.message || '');
+}
+
+/**
+ * Fetch all receipts of a block, keyed by lowercase transaction hash
+ */
+async function fetchBlockReceipts(provider, block) {
+    const receipts = new Map();
+
+    if (blockReceiptsSupported) {
+        try {
+            const result = await provider.send('eth_getBlockReceipts', [ethers.toQuantity(block.number)]);
+            if (Array.isArray(result)) {
+                for (const receipt of result) {
+                    receipts.set(receipt.transactionHash.toLowerCase(), receipt);
+                }
+                return fetchMissingReceipts(provider, block, receipts);
+            }
+        } catch (error) {
+            if (!isMethodUnsupported(error)) {
+                throw error;
+            }
+            logger.info('   [INFO] eth_getBlockReceipts not supported by node, using batched receipt requests');
+            blockReceiptsSupported = false;
+        }
+    }
+
+    return fetchMissingReceipts(provider, block, receipts);
+}
+
+/**
+ * Fetch receipts for every transaction of the block not yet in `receipts`, retrying with backoff
+ * A node that lags behind can return a block before all of its receipts, so a missing receipt is
+ * retried rather than stored as an unknown status; throws if some are still missing after the retries
+ */
+async function fetchMissingReceipts(provider, block, receipts) {
+    const missing = () => block.transactions.filter(hash => !receipts.has(hash.toLowerCase()));
+    if (missing().length === 0) {
+        return receipts;
+    }
+
+    await withRetry(async () => {
+        // Requests sent in the same tick are grouped by the provider into JSON-RPC batches
+        // (up to batchMaxCount per HTTP request), so this is one round trip per 100 receipts
+        const results = await Promise.all(
+            missing().map(hash => provider.send('eth_getTransactionReceipt', [hash]))
+        );
+        for (const receipt of results) {
+            if (receipt) {
+                receipts.set(receipt.transactionHash.toLowerCase(), receipt);
+            }
+        }
+
+        const stillMissing = missing().length;
+        if (stillMissing > 0) {
+            throw new Error(`${stillMissing} receipt(s) of block ${block.number} not available from RPC`);
+        }
+    }, { retries: FETCH_RETRIES });
+
+    return receipts;
+}
+
+/**
+ * Re-run a failed transaction with eth_call against its parent block to find out why it reverted
+ * Earlier transactions of the same block are not replayed, so the call can succeed or revert
+ * differently; returns { reason, data } or null when nothing could be learned
+ * decodeError(to, data), when given, returns { error, args } for custom errors of known contracts
+ */
+async function simulateRevert(provider, tx, decodeError) {
+    try {
+        await provider.call({
+            from: tx.from,
+            to: tx.to,
+            data: tx.data,
+            value: tx.value,
+            gasLimit: tx.gasLimit,
+            blockTag: tx.blockNumber - 1
+        });
+        return null;
+    } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION' || error.data === null || error.data === undefined) {
+            return null;
+        }
+        const data = error.data;
+        const builtin = ethers.AbiCoder.getBuiltinCallException('call', {}, data);
+        let reason = builtin.reason;
+        if (reason === null && data.length >= 10) {
+            const decoded = decodeError ? decodeError(tx.to, data) : null;
+            reason = decoded
+                ? `${decoded.error} ${JSON.stringify(decoded.args)}`
+                : `custom error ${data.substring(0, 10)}`;
+        }
+        return { reason, data: data === '0x' ? null : data };
+    }
+}
+
+/**
+ * Build the stored transaction record from a transaction and its raw receipt
+ * decodeCall(to, data), when given, returns { method, args } for calldata of known contracts
+ * options.fidelity 'full' builds a version 2 record; it also takes the block `timestamp` and the
+ * `revert` found by simulateRevert for a failed transaction
+ */
+function formatTransaction(tx, receipt, decodeCall, options = {}) {
+    const inputData = tx.data || "0x";
+
+    // Determine status
+    let status = "Unknown";
+    if (receipt) {
+        const receiptStatus = Number(receipt.status);
+        if (receiptStatus === 1) {
+            status = "Success";
+        } else if (receiptStatus === 0) {
+            status = "Fail";
+        }
+    }
+
+    const decoded = decodeCall ? decodeCall(tx.to, inputData) : null;
+
+    const record = {
+        hash: tx.hash,
+        blockNumber: tx.blockNumber,
+        from: tx.from,
+        to: tx.to || "Contract Creation",
+        value: tx.value ? tx.value.toString() : "0",
+        gas: tx.gasLimit ? tx.gasLimit.toString() : "0",
+        gasPrice: tx.gasPrice ? tx.gasPrice.toString() : "0",
+        input: inputData.length > 10 ? inputData.substring(0, 10) + "..." : inputData,
+        nonce: tx.nonce !== undefined ? tx.nonce : 0,
+        type: tx.type !== undefined ? tx.type : null,
+        chainId: tx.chainId ? tx.chainId.toString() : "unknown",
+        status: status,
+        selector: inputData.length >= 10 ? inputData.substring(0, 10).toLowerCase() : null,
+        method: decoded ? decoded.method : null,
+        methodArgs: decoded ? decoded.args : null,
+        gasUsed: receipt && receipt.gasUsed ? BigInt(receipt.gasUsed).toString() : null
+    };
+
+    if (options.fidelity !== 'full') {
+        return { ...record, schemaVersion: RECORD_VERSIONS.basic };
+    }
+
+    const revert = options.revert || null;
+    let revertReason = revert ? revert.reason : null;
+    // A failure without revert data that burned the whole gas limit ran out of gas
+    if (status === "Fail" && revertReason === null && record.gasUsed !== null && record.gasUsed === record.gas) {
+        revertReason = "out of gas";
+    }
+
+    return {
+        ...record,
+        schemaVersion: RECORD_VERSIONS.full,
+        input: inputData,
+        timestamp: options.timestamp !== undefined ? options.timestamp : null,
+        transactionIndex: tx.index !== undefined ? tx.index : null,
+        maxFeePerGas: tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined ? tx.maxFeePerGas.toString() : null,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas !== null && tx.maxPriorityFeePerGas !== undefined ? tx.maxPriorityFeePerGas.toString() : null,
+        effectiveGasPrice: receipt && receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : null,
+        contractAddress: receipt && receipt.contractAddress ? ethers.getAddress(receipt.contractAddress) : null,
+        logs: receipt && Array.isArray(receipt.logs)
+            ? receipt.logs.map(log => ({ index: Number(log.logIndex), address: log.address, topics: log.topics, data: log.data }))
+            : [],
+        revertReason,
+        revertData: revert ? revert.data : null
+    };
+}
+
+/**
+ * Fetch a single block with all of its transactions formatted
+ * Throws if the block or its receipts cannot be fetched, so callers never record a partial block
+ * With options.withLogs the block also carries the receipts' logs, in log order
+ * options.fidelity 'full' builds version 2 records, replaying failed transactions for their revert reason
+ */
+async function fetchBlock(provider, blockNum, options = {}) {
+    // With prefetchTxs the full transaction objects come back in the same eth_getBlockByNumber call
+    const blockData = await provider.getBlock(blockNum, true);
+
+    if (!blockData) {
+        throw new Error(`Block ${blockNum} not available from RPC`);
+    }
+
+    const transactions = [];
+    const logs = [];
+    if (blockData.transactions.length > 0) {
+        const receipts = await fetchBlockReceipts(provider, blockData);
+        const full = options.fidelity === 'full';
+
+        // Failed transactions are replayed together; their calls share JSON-RPC batches
+        const reverts = new Map();
+        if (full) {
+            const failed = blockData.prefetchedTransactions.filter(tx => {
+                const receipt = receipts.get(tx.hash.toLowerCase());
+                return receipt && Number(receipt.status) === 0;
+            });
+            const results = await Promise.all(failed.map(tx => simulateRevert(provider, tx, options.decodeError)));
+            failed.forEach((tx, i) => reverts.set(tx.hash.toLowerCase(), results[i]));
+        }
+
+        for (const tx of blockData.prefetchedTransactions) {
+            const receipt = receipts.get(tx.hash.toLowerCase());
+            transactions.push(formatTransaction(tx, receipt, options.decodeCall, {
+                fidelity: options.fidelity,
+                timestamp: blockData.timestamp,
+                revert: reverts.get(tx.hash.toLowerCase())
+            }));
+            if (options.withLogs && receipt && Array.isArray(receipt.logs)) {
+                for (const log of receipt.logs) {
+                    logs.push({
+                        blockNumber: blockData.number,
+                        index: Number(log.logIndex),
+                        transactionHash: log.transactionHash,
+                        address: log.address,
+                        topics: log.topics,
+                        data: log.data
+                    });
+                }
+            }
+        }
+    }
+
+    const block = {
+        number: blockData.number,
+        hash: blockData.hash,
+        parentHash: blockData.parentHash,
+        timestamp: blockData.timestamp,
+        transactions
+    };
+    if (options.withLogs) {
+        block.logs = logs.sort((a, b) => a.index - b.index);
+    }
+    return block;
+}
+
+/**
+ * Fetch blocks fromBlock..toBlock with up to `concurrency` blocks in flight,
+ * calling onBlock for each one in ascending order
+ * Each block fetch is retried with backoff. onBlock for block N only runs after onBlock for N-1 has
+ * resolved; a block that still fails stops the run,
+ * and onBlock can return false to stop early (e.g. when a reorg is detected)
+ * options are passed through to fetchBlock
+ */
+async function fetchBlocksInOrder(provider, fromBlock, toBlock, concurrency, onBlock, options = {}) {
+    const inFlight = new Map();
+    let nextToSchedule = fromBlock;
+
+    for (let blockNum = fromBlock; blockNum <= toBlock; blockNum++) {
+        while (nextToSchedule <= toBlock && nextToSchedule < blockNum + concurrency) {
+            const scheduled = nextToSchedule;
+            const pending = withRetry(() => fetchBlock(provider, scheduled, options), {
+                retries: FETCH_RETRIES,
+                onRetry: (error, attempt) => logger.warn(`   [RETRY] Block ${scheduled} (attempt ${attempt}): ${error.message}`, { block: scheduled, attempt })
+            });
+            // Failures are surfaced when the block's turn comes; avoid unhandled rejections until then
+            pending.catch(() => {});
+            inFlight.set(nextToSchedule, pending);
+            nextToSchedule++;
+        }
+
+        const block = await inFlight.get(blockNum);
+        inFlight.delete(blockNum);
+        if (await onBlock(block) === false) {
+            return;
+        }
+    }
+}
+
+module.exports = { RECORD_VERSIONS, fetchBlock, fetchBlockReceipts, fetchBlocksInOrder, formatTransaction, simulateRevert };
@@ -1,108 +1,93 @@
+#!/usr/bin/env node
+/**
+ * NFT holdings of one wallet, or of many wallets across several collections
+ *
+ * Single address: balance and token ids of the network's NFT collection, from the ownership index
+ * (nft_index.js) or on-chain, optionally verified on-chain.
+ *
+ * Address tracking (--addresses): reads a list of wallets from a file or stdin (one per line, or a JSON
+ * array; # starts a comment) and checks every --collection, ERC-721 or ERC-1155 as detected through
+ * ERC-165. ERC-1155 collections have no enumeration, so their token ids are given as address:id,id,...
+ * Balances are read at one block through Multicall3 and written to holders_report.json and .csv.
+ * With --watch the wallets are checked again on every new block and gained or lost tokens are reported.
+ * Held tokens whose metadata nft_metadata.js has stored are shown with their traits and rarity tier
+ * (tiers from --rules, see nft_metadata.js).
+ *
+ * Usage: node check_holder.js [address] [--verify] [--rules points_rules.json] [--network monad]
+ *        node check_holder.js --addresses wallets.txt|- [--collection addr[:id,id]]... [--out-dir dir]
+ *                             [--watch [--interval 5]] [--rules points_rules.json] [--network monad]
+ * Without an address, the network's configured userAddress is checked; without --collection, its NFT contract.
+ */
+
 const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { openStore } = require('./store');
+const { getHoldings, fetchOnChainHoldings } = require('./nft_index');
+const { DEFAULT_RARITY_TIERS, loadRarityTiers, getTokenDetails, describeToken } = require('./nft_metadata');
+const { multicallFunction } = require('./multicall');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+const { writeFileAtomic } = require('./atomic_file');
 
-// Configuration
-const RPC_URL = "https://rpc3.monad.xyz";
-const NFT_CONTRACT_ADDRESS = "0x202b6523e33369722C170F41599ec32722181480";
-const USER_ADDRESS = "0x84A7818F15D42e77EC028DDe50D84Db82FEBf46D";
-
-// ERC721 ABI - only the functions we need
-const ERC721_ABI = [
-    "function balanceOf(address owner) view returns (uint256)",
-    "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
-    "function ownerOf(uint256 tokenId) view returns (address)",
-    "function totalSupply() view returns (uint256)"
+const INTERFACE_IDS = {
+    erc721: '0x80ac58cd',
+    erc721Enumerable: '0x780e9d63',
+    erc1155: '0xd9b67a26'
+};
+const COLLECTION_ABI = [
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+    'function balanceOf(address account, uint256 id) view returns (uint256)'
 ];
+const collectionInterface = new ethers.Interface(COLLECTION_ABI);
+const DEFAULT_WATCH_INTERVAL = 5;
 
-async function fetchNFTBalance() {
+async function fetchNFTBalance(address, { verify = false, network = loadNetwork(), rarityTiers = DEFAULT_RARITY_TIERS } = {}) {
     try {
+        const nftContract = requireContract(network, 'nft');
+
         console.log('Connecting to Monad RPC');
-        console.log(`RPC URL: ${RPC_URL}`);
-        console.log(`NFT Contract: ${NFT_CONTRACT_ADDRESS}`);
-        console.log(`User Address: ${USER_ADDRESS}`);
+        console.log(`Network: ${network.name} (chain id ${network.chainId})`);
+        console.log(`RPC endpoints: ${network.rpcUrls.join(', ')}`);
+        console.log(`NFT Contract: ${nftContract}`);
+        console.log(`User Address: ${address}`);
         console.log('');
 
         // Create provider
-        const provider = new ethers.JsonRpcProvider(RPC_URL);
-
-        // Create contract instance
-        const nftContract = new ethers.Contract(
-            NFT_CONTRACT_ADDRESS,
-            ERC721_ABI,
-            provider
-        );
-
-        // Get balance
-        console.log('Fetching NFT balance...');
-        const balance = await nftContract.balanceOf(USER_ADDRESS);
-        const balanceNumber = Number(balance);
-
-        console.log(`Balance: ${balanceNumber} NFTs owned by ${USER_ADDRESS}`);
-        console.log('');
-
-        // If balance is 0, no need to enumerate
-        if (balanceNumber === 0) {
-            console.log('User owns 0 NFTs from this collection');
-            return {
-                balance: 0,
-                tokenIds: []
-            };
-        }
+        const provider = createProvider(network.rpcUrls, network.chainId);
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { provider, db });
 
-        // Enumerate token IDs
-        console.log(`Enumerating token IDs (${balanceNumber} tokens)...`);
-        const tokenIds = [];
-        let method1Success = false;
-
-        // Method 1: Try tokenOfOwnerByIndex (more efficient)
-        try {
-            console.log('Trying Method 1: tokenOfOwnerByIndex...');
-            for (let i = 0; i < balanceNumber; i++) {
-                const tokenId = await nftContract.tokenOfOwnerByIndex(USER_ADDRESS, i);
-                tokenIds.push(tokenId.toString());
-                console.log(`  ✓ Token #${i + 1}: ID ${tokenId.toString()}`);
-            }
-            method1Success = true;
-            console.log('Method 1 successful!');
-        } catch (error) {
-            console.log('Method 1 failed:', error.message);
-            console.log('Falling back to Method 2...');
-            tokenIds.length = 0; // Reset
-        }
-
-        // Method 2: Fallback to ownerOf enumeration
-        if (!method1Success) {
-            console.log('Trying Method 2: ownerOf enumeration...');
-
-            // Try to get total supply to limit search range
-            let maxCheck = 10000;
-            try {
-                const totalSupply = await nftContract.totalSupply();
-                maxCheck = Math.min(Number(totalSupply), 10000);
-                console.log(`  Total supply: ${maxCheck} tokens`);
-            } catch (error) {
-                console.log('  totalSupply not available, using default range');
-                maxCheck = Math.min(10000, balanceNumber * 20);
+        // Holdings come from the Transfer-log ownership index (built by nft_index.js)
+        console.log('Reading NFT holdings from the ownership index...');
+        let holdings = await getHoldings(db, provider, nftContract, address, { verify });
+        if (holdings === null) {
+            console.log('No ownership index for this collection yet (run nft_index.js), reading on-chain instead');
+            holdings = await fetchOnChainHoldings(provider, nftContract, address);
+            if (holdings.tokenIds === null) {
+                console.log('Collection is not enumerable, token IDs are unavailable until it is indexed');
             }
+        } else {
+            console.log(`Index covers blocks up to ${holdings.indexedBlock}`);
+        }
 
-            console.log(`  Checking token IDs from 1 to ${maxCheck}...`);
-
-            for (let id = 1; id <= maxCheck && tokenIds.length < balanceNumber; id++) {
-                try {
-                    const owner = await nftContract.ownerOf(id);
+        const balanceNumber = holdings.balance;
+        const tokenIds = holdings.tokenIds || [];
 
-                    if (owner.toLowerCase() === USER_ADDRESS.toLowerCase()) {
-                        tokenIds.push(id.toString());
-                        console.log(`  ✓ Token #${tokenIds.length}: ID ${id}`);
-                    }
-                } catch (error) {
-                    // Token doesn't exist or is burned, continue
-                }
-            }
-
-            if (tokenIds.length === balanceNumber) {
-                console.log('Method 2 successful!');
+        if (holdings.verification) {
+            const { consistent, onChainBalance, mismatchedTokens } = holdings.verification;
+            console.log('');
+            console.log('Verifying against on-chain balanceOf/ownerOf...');
+            if (consistent) {
+                console.log('Verification successful!');
             } else {
-                console.log(`Method 2 incomplete: found ${tokenIds.length}/${balanceNumber} tokens`);
+                console.log(`Verification failed: on-chain balance ${onChainBalance}, index has ${balanceNumber}`);
+                mismatchedTokens.forEach(tokenId => {
+                    console.log(`  ✗ Token ID ${tokenId} is not owned by ${address} on-chain`);
+                });
             }
         }
 
@@ -112,14 +97,19 @@ async function fetchNFTBalance() {
         console.log('='.repeat(80));
         console.log(`NFT Balance: ${balanceNumber}`);
         console.log(`Token IDs Owned:`);
+        const details = getTokenDetails(db, nftContract, tokenIds, rarityTiers);
         tokenIds.forEach((tokenId, index) => {
-            console.log(`  ${index + 1}. Token ID: ${tokenId}`);
+            const token = details.get(tokenId);
+            console.log(`  ${index + 1}. Token ID: ${tokenId}${token ? ` - ${describeToken(token)}` : ''}`);
         });
         console.log('='.repeat(80));
 
         return {
             balance: balanceNumber,
-            tokenIds: tokenIds
+            tokenIds: tokenIds,
+            tokens: [...details].map(([tokenId, token]) => ({ tokenId, ...token })),
+            indexedBlock: holdings.indexedBlock,
+            verification: holdings.verification || null
         };
 
     } catch (error) {
@@ -129,19 +119,427 @@ async function fetchNFTBalance() {
     }
 }
 
+/**
+ * Parse a list of wallets: a JSON array of addresses, or addresses separated by whitespace or commas
+ * Duplicates are dropped; every invalid entry is reported in a single error
+ */
+function parseAddressList(text, source) {
+    let entries;
+    if (text.trim().startsWith('[')) {
+        try {
+            entries = JSON.parse(text).map(String);
+        } catch (error) {
+            throw new Error(`Could not read addresses from ${source}: ${error.message}`);
+        }
+    } else {
+        entries = text.split('\n')
+            .map(line => line.replace(/#.*$/, ''))
+            .flatMap(line => line.split(/[\s,]+/))
+            .filter(entry => entry.length > 0);
+    }
+
+    const invalid = entries.filter(entry => !ethers.isAddress(entry));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid address(es) in ${source}: ${invalid.slice(0, 10).join(', ')}${invalid.length > 10 ? ` and ${invalid.length - 10} more` : ''}`);
+    }
+    const addresses = [...new Set(entries.map(entry => ethers.getAddress(entry)))];
+    if (addresses.length === 0) {
+        throw new Error(`No addresses in ${source}`);
+    }
+    return addresses;
+}
+
+/**
+ * Read the wallet list from a file, or from stdin for "-"
+ */
+function readAddressList(source) {
+    if (source === '-') {
+        return parseAddressList(fs.readFileSync(0, 'utf8'), 'stdin');
+    }
+    if (!fs.existsSync(source)) {
+        throw new Error(`Address list not found: ${source}`);
+    }
+    return parseAddressList(fs.readFileSync(source, 'utf8'), source);
+}
+
+/**
+ * Parse "address" or "address:id,id" (token ids, needed for ERC-1155 collections)
+ */
+function parseCollectionSpec(spec) {
+    const [address, ids] = spec.split(':');
+    if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid collection address: ${address}`);
+    }
+    let tokenIds = null;
+    if (ids !== undefined) {
+        tokenIds = ids.split(',').filter(id => id.length > 0);
+        if (tokenIds.length === 0 || tokenIds.some(id => !/^\d+$/.test(id))) {
+            throw new Error(`Token ids of ${address} must be a comma-separated list of numbers, got "${ids}"`);
+        }
+    }
+    return { address: ethers.getAddress(address), tokenIds };
+}
+
+/**
+ * Find out which standard each collection implements through ERC-165
+ * Returns [{ address, standard: 'erc721'|'erc1155', enumerable, tokenIds }]; collections that implement
+ * neither, or ERC-1155 collections without token ids, are reported in a single error
+ */
+async function detectCollections(provider, specs, blockTag) {
+    const checks = specs.flatMap(spec => Object.values(INTERFACE_IDS).map(id => ({ target: spec.address, args: [id] })));
+    const answers = await multicallFunction(provider, collectionInterface, 'supportsInterface', checks, { blockTag });
+    const names = Object.keys(INTERFACE_IDS);
+
+    const errors = [];
+    const collections = specs.map((spec, i) => {
+        const supports = Object.fromEntries(names.map((name, j) => [name, answers[i * names.length + j] === true]));
+        if (supports.erc1155) {
+            if (!spec.tokenIds) {
+                errors.push(`${spec.address} is ERC-1155: list the token ids to check as ${spec.address}:1,2,3`);
+            }
+            return { address: spec.address, standard: 'erc1155', enumerable: false, tokenIds: spec.tokenIds };
+        }
+        if (supports.erc721) {
+            return { address: spec.address, standard: 'erc721', enumerable: supports.erc721Enumerable, tokenIds: null };
+        }
+        errors.push(`${spec.address} does not report ERC-721 or ERC-1155 support (ERC-165)`);
+        return null;
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Unsupported collection(s):\n  - ${errors.join('\n  - ')}`);
+    }
+    return collections;
+}
+
+/**
+ * Holdings of every address in every collection at blockTag, through Multicall3
+ * Returns a Map of address to { [collection]: { balance, tokenIds } }; ERC-721 token ids are only
+ * known for enumerable collections (null otherwise), ERC-1155 ones list the ids held with their amounts
+ */
+async function checkHolders(provider, collections, addresses, blockTag) {
+    const holdings = new Map(addresses.map(address => [address, {}]));
+    const failed = [];
+    const record = (address, collection, value) => {
+        holdings.get(address)[collection.address] = value;
+    };
+
+    for (const collection of collections) {
+        if (collection.standard === 'erc1155') {
+            const pairs = addresses.flatMap(address => collection.tokenIds.map(id => ({ address, id })));
+            const amounts = await multicallFunction(provider, collectionInterface, 'balanceOf(address,uint256)',
+                pairs.map(({ address, id }) => ({ target: collection.address, args: [address, id] })), { blockTag });
+
+            addresses.forEach((address, i) => {
+                const tokens = {};
+                let balance = 0n;
+                collection.tokenIds.forEach((id, j) => {
+                    const amount = amounts[i * collection.tokenIds.length + j];
+                    if (amount === null) {
+                        failed.push(`${collection.address} balanceOf(${address}, ${id})`);
+                    } else if (amount > 0n) {
+                        tokens[id] = amount.toString();
+                        balance += amount;
+                    }
+                });
+                record(address, collection, { balance: Number(balance), tokenIds: Object.keys(tokens), amounts: tokens });
+            });
+            continue;
+        }
+
+        const balances = await multicallFunction(provider, collectionInterface, 'balanceOf(address)',
+            addresses.map(address => ({ target: collection.address, args: [address] })), { blockTag });
+        addresses.forEach((address, i) => {
+            if (balances[i] === null) {
+                failed.push(`${collection.address} balanceOf(${address})`);
+            }
+        });
+
+        let tokenIds = new Map();
+        if (collection.enumerable) {
+            const lookups = addresses.flatMap((address, i) => Array.from({ length: Number(balances[i] || 0n) }, (_, index) => ({ address, index })));
+            const ids = await multicallFunction(provider, collectionInterface, 'tokenOfOwnerByIndex',
+                lookups.map(({ address, index }) => ({ target: collection.address, args: [address, index] })), { blockTag });
+            tokenIds = new Map(addresses.map(address => [address, []]));
+            lookups.forEach(({ address }, j) => {
+                if (ids[j] !== null) {
+                    tokenIds.get(address).push(ids[j].toString());
+                }
+            });
+        }
+
+        addresses.forEach((address, i) => {
+            record(address, collection, {
+                balance: Number(balances[i] || 0n),
+                tokenIds: collection.enumerable ? tokenIds.get(address) : null
+            });
+        });
+    }
+
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} balance call(s) failed at block ${blockTag}, e.g. ${failed[0]}`);
+    }
+    return holdings;
+}
+
+/**
+ * Holders report: every address with its holdings per collection and a per-collection summary
+ * With a db, held tokens that have stored metadata are listed with their traits and rarity (tokens)
+ */
+function buildHoldersReport(network, block, collections, holdings, { db = null, rarityTiers = DEFAULT_RARITY_TIERS } = {}) {
+    const details = new Map(collections.map(collection => {
+        const tokenIds = [...holdings.values()].flatMap(perCollection => perCollection[collection.address].tokenIds || []);
+        return [collection.address, db ? getTokenDetails(db, collection.address, tokenIds, rarityTiers) : new Map()];
+    }));
+    const withTraits = (collection, entry) => {
+        const known = (entry.tokenIds || []).filter(tokenId => details.get(collection).has(tokenId));
+        if (known.length === 0) {
+            return entry;
+        }
+        return { ...entry, tokens: known.map(tokenId => ({ tokenId, ...details.get(collection).get(tokenId) })) };
+    };
+
+    const holders = [...holdings.entries()].map(([address, perCollection]) => ({
+        address,
+        holder: Object.values(perCollection).some(entry => entry.balance > 0),
+        holdings: Object.fromEntries(Object.entries(perCollection).map(([collection, entry]) => [collection, withTraits(collection, entry)]))
+    }));
+
+    return {
+        network: network.name,
+        chainId: network.chainId,
+        block,
+        generatedAt: new Date().toISOString(),
+        collections,
+        summary: {
+            addresses: holders.length,
+            holders: holders.filter(entry => entry.holder).length,
+            perCollection: Object.fromEntries(collections.map(collection => [
+                collection.address,
+                holders.filter(entry => entry.holdings[collection.address].balance > 0).length
+            ]))
+        },
+        holders
+    };
+}
+
+function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the report as holders_report.json and holders_report.csv (one balance column per collection)
+ */
+function writeHoldersReport(report, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const jsonFile = path.join(outDir, 'holders_report.json');
+    writeFileAtomic(jsonFile, JSON.stringify(report, null, 2));
+
+    const csvFile = path.join(outDir, 'holders_report.csv');
+    const header = ['address', 'holder', ...report.collections.map(collection => collection.address)];
+    const lines = [header.map(csvEscape).join(',')];
+    for (const entry of report.holders) {
+        lines.push([
+            entry.address,
+            entry.holder,
+            ...report.collections.map(collection => entry.holdings[collection.address].balance)
+        ].map(csvEscape).join(','));
+    }
+    writeFileAtomic(csvFile, lines.join('\n') + '\n');
+
+    return { jsonFile, csvFile };
+}
+
+/**
+ * Compare two holdings maps: one entry per address and collection whose balance or token ids changed
+ */
+function diffHoldings(previous, current) {
+    const changes = [];
+    for (const [address, perCollection] of current) {
+        for (const [collection, after] of Object.entries(perCollection)) {
+            const before = previous.get(address)[collection];
+            const beforeIds = new Set(before.tokenIds || []);
+            const afterIds = new Set(after.tokenIds || []);
+            const gained = [...afterIds].filter(id => !beforeIds.has(id));
+            const lost = [...beforeIds].filter(id => !afterIds.has(id));
+            const amountsChanged = JSON.stringify(before.amounts || {}) !== JSON.stringify(after.amounts || {});
+            if (before.balance !== after.balance || gained.length > 0 || lost.length > 0 || amountsChanged) {
+                changes.push({ address, collection, before: before.balance, after: after.balance, gained, lost });
+            }
+        }
+    }
+    return changes;
+}
+
+function describeChange(change) {
+    const delta = change.after - change.before;
+    const verb = delta > 0 ? `gained ${delta}` : delta < 0 ? `lost ${-delta}` : 'moved tokens';
+    const ids = [
+        change.gained.length > 0 ? `+${change.gained.join(', +')}` : null,
+        change.lost.length > 0 ? `-${change.lost.join(', -')}` : null
+    ].filter(Boolean).join(' ');
+    return `${change.address} ${verb} in ${change.collection} (${change.before} -> ${change.after})${ids ? ` [${ids}]` : ''}`;
+}
+
+/**
+ * Check many wallets across collections and write the holders report; with `watch`, keep checking on
+ * every new block and report the changes
+ */
+async function trackHolders(network, addresses, specs, options = {}) {
+    const { outDir, watch = false, interval = DEFAULT_WATCH_INTERVAL, rarityTiers = DEFAULT_RARITY_TIERS } = options;
+    const provider = createProvider(network.rpcUrls, network.chainId);
+    // Traits come from the store when there is one; the balances never need it
+    const db = fs.existsSync(network.dbFile) ? openStore(network.dbFile) : null;
+    await checkChainId(network, { provider, db });
+    const reportOptions = { db, rarityTiers };
+
+    let block = await provider.getBlockNumber();
+    const collections = await detectCollections(provider, specs, block);
+
+    console.log('='.repeat(80));
+    console.log(`HOLDERS - ${network.name}, ${addresses.length} address(es), block ${block}`);
+    console.log('='.repeat(80));
+    for (const collection of collections) {
+        const detail = collection.standard === 'erc1155'
+            ? `token ids ${collection.tokenIds.join(', ')}`
+            : (collection.enumerable ? 'enumerable' : 'not enumerable, token ids unavailable');
+        console.log(`  ${collection.address}: ${collection.standard.toUpperCase()} (${detail})`);
+    }
+
+    let holdings = await checkHolders(provider, collections, addresses, block);
+    let report = buildHoldersReport(network, block, collections, holdings, reportOptions);
+    let files = writeHoldersReport(report, outDir);
+
+    console.log(`\n✓ ${report.summary.holders} of ${report.summary.addresses} address(es) hold tokens`);
+    for (const [collection, count] of Object.entries(report.summary.perCollection)) {
+        console.log(`  ${collection}: ${count} holder(s)`);
+    }
+    console.log(`\n✓ Results saved to: ${files.jsonFile}`);
+    console.log(`✓ Results saved to: ${files.csvFile}`);
+
+    if (!watch) {
+        return report;
+    }
+
+    console.log(`\nWatching for changes every ${interval}s...`);
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, interval * 1000));
+        try {
+            const latest = await provider.getBlockNumber();
+            if (latest <= block) {
+                continue;
+            }
+            const current = await checkHolders(provider, collections, addresses, latest);
+            const changes = diffHoldings(holdings, current);
+            block = latest;
+            holdings = current;
+
+            if (changes.length > 0) {
+                console.log(`\n[${new Date().toISOString()}] Block ${block}: ${changes.length} change(s)`);
+                changes.forEach(change => console.log(`   [CHANGE] ${describeChange(change)}`));
+                report = { ...buildHoldersReport(network, block, collections, holdings, reportOptions), changes };
+                files = writeHoldersReport(report, outDir);
+            }
+        } catch (error) {
+            console.error(`\n[ERROR] ${error.message}`);
+        }
+    }
+}
+
 // Run the function
 if (require.main === module) {
-    fetchNFTBalance()
-        .then(result => {
-            console.log('');
-            console.log('Done!');
-            process.exit(0);
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            verify: { type: 'boolean', default: false },
+            addresses: { type: 'string' },
+            collection: { type: 'string', multiple: true },
+            'out-dir': { type: 'string' },
+            watch: { type: 'boolean', default: false },
+            interval: { type: 'string', default: String(DEFAULT_WATCH_INTERVAL) },
+            rules: { type: 'string' },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    let network;
+    let rarityTiers;
+    try {
+        network = loadNetwork(values);
+        rarityTiers = loadRarityTiers(values.rules ? path.resolve(values.rules) : null);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (values.addresses !== undefined) {
+        const interval = Number(values.interval);
+        if (!Number.isFinite(interval) || interval <= 0) {
+            console.error('Error: --interval must be a positive number of seconds');
+            process.exit(1);
+        }
+
+        let addresses;
+        let specs;
+        try {
+            addresses = readAddressList(values.addresses === '-' ? '-' : path.resolve(values.addresses));
+            specs = values.collection && values.collection.length > 0
+                ? values.collection.map(parseCollectionSpec)
+                : [parseCollectionSpec(requireContract(network, 'nft'))];
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+
+        trackHolders(network, addresses, specs, {
+            outDir: path.resolve(values['out-dir'] || network.outputDir),
+            watch: values.watch,
+            interval,
+            rarityTiers
         })
-        .catch(error => {
-            console.error('');
-            console.error('Script failed');
+            .then(() => {
+                console.log('\nDone!');
+                process.exit(0);
+            })
+            .catch(error => {
+                console.error('\nError:', error.message);
+                process.exit(1);
+            });
+    } else {
+        const address = positionals[0] || network.userAddress;
+        if (!address) {
+            console.error(`Usage: node check_holder.js <address> [--verify] (no userAddress configured for network "${network.name}")`);
             process.exit(1);
-        });
+        }
+        if (!ethers.isAddress(address)) {
+            console.error(`Error: Invalid Ethereum address: ${address}`);
+            process.exit(1);
+        }
+
+        fetchNFTBalance(ethers.getAddress(address), { verify: values.verify, network, rarityTiers })
+            .then(result => {
+                console.log('');
+                console.log('Done!');
+                process.exit(0);
+            })
+            .catch(error => {
+                console.error('');
+                console.error('Script failed');
+                process.exit(1);
+            });
+    }
 }
 
-module.exports = { fetchNFTBalance };
+module.exports = {
+    fetchNFTBalance,
+    parseAddressList,
+    parseCollectionSpec,
+    detectCollections,
+    checkHolders,
+    buildHoldersReport,
+    writeHoldersReport,
+    diffHoldings,
+    trackHolders
+};
@@ -0,0 +1,34 @@
+/**
+ * Time source of the long-running loops
+ * Code that waits or stamps times takes a clock ({ now, sleep }), so tests can run it without real waiting
+ */
+
+/**
+ * Wait ms milliseconds; resolves early when signal (an AbortSignal) is aborted
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', done);
+            }
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        if (signal) {
+            signal.addEventListener('abort', done, { once: true });
+        }
+    });
+}
+
+const systemClock = {
+    now: () => Date.now(),
+    sleep
+};
+
+module.exports = { systemClock, sleep };
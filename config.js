@@ -0,0 +1,210 @@
+/**
+ * Shared configuration: named networks with their chain id, RPC endpoints, contracts and data directory
+ * Settings are layered, later layers winning: built-in networks, the config file, environment
+ * variables, then CLI flags. Every command accepts --network, --config, --rpc and --data-dir.
+ *
+ * Config file (indexer.config.json next to the scripts, or --config / INDEXER_CONFIG):
+ *   {
+ *     "network": "monad",
+ *     "networks": {
+ *       "monad": { "rpcUrls": ["https://rpc3.monad.xyz", "https://my-node.example"] },
+ *       "my-devnet": { "chainId": 20143, "rpcUrls": ["http://10.0.0.5:8545"], "dataDir": "data/my-devnet" }
+ *     }
+ *   }
+ *
+ * "fidelity" selects the transaction records written by the indexer, backfill and repairs: "basic"
+ * (schema version 1, calldata cut to the selector) or "full" (version 2, see block_fetcher.js).
+ *
+ * Environment: INDEXER_NETWORK, RPC_URLS (comma separated), INDEXER_DATA_DIR, INDEXER_CONFIRMATIONS,
+ * INDEXER_FIDELITY, TARGET_CONTRACT, NFT_CONTRACT
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getMeta, setMeta } = require('./store');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'indexer.config.json');
+const DEFAULT_NETWORK = 'monad';
+const FIDELITY_LEVELS = ['basic', 'full'];
+
+// Relative data directories in this table and in the config file are relative to the scripts
+const NETWORKS = {
+    monad: {
+        chainId: 143,
+        rpcUrls: ["https://rpc3.monad.xyz"],
+        contracts: {
+            target: "0xcA5C2a5688f6C824d029F3A23B75082c5f75b442",
+            nft: "0x202b6523e33369722C170F41599ec32722181480"
+        },
+        userAddress: "0x84A7818F15D42e77EC028DDe50D84Db82FEBf46D",
+        // Mainnet keeps the original layout: database and results next to the scripts
+        dataDir: ".",
+        confirmations: 20
+    },
+    'monad-testnet': {
+        chainId: 10143,
+        rpcUrls: ["https://testnet-rpc.monad.xyz"],
+        contracts: { target: null, nft: null },
+        userAddress: null,
+        dataDir: "data/monad-testnet",
+        confirmations: 20
+    },
+    local: {
+        chainId: 31337,
+        rpcUrls: ["http://127.0.0.1:8545"],
+        contracts: { target: null, nft: null },
+        userAddress: null,
+        dataDir: "data/local",
+        confirmations: 0
+    }
+};
+
+// parseArgs options shared by every command
+const CONFIG_OPTIONS = {
+    network: { type: 'string' },
+    config: { type: 'string' },
+    rpc: { type: 'string', multiple: true },
+    'data-dir': { type: 'string' },
+    fidelity: { type: 'string' }
+};
+
+function readConfigFile(filePath, required) {
+    if (!fs.existsSync(filePath)) {
+        if (required) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config from ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the settings of the selected network
+ * `values` are the parsed CLI flags (see CONFIG_OPTIONS); everything is optional
+ * Every problem found is reported in a single error
+ */
+function loadNetwork(values = {}) {
+    const configFile = values.config || process.env.INDEXER_CONFIG;
+    const file = readConfigFile(path.resolve(configFile || DEFAULT_CONFIG_FILE), Boolean(configFile));
+    const name = values.network || process.env.INDEXER_NETWORK || file.network || DEFAULT_NETWORK;
+
+    const builtIn = NETWORKS[name] || {};
+    const fromFile = (file.networks || {})[name];
+    if (!NETWORKS[name] && !fromFile) {
+        const known = [...new Set([...Object.keys(NETWORKS), ...Object.keys(file.networks || {})])];
+        throw new Error(`Unknown network "${name}" (known: ${known.join(', ')})`);
+    }
+    const settings = {
+        ...builtIn,
+        ...(fromFile || {}),
+        contracts: { target: null, nft: null, ...builtIn.contracts, ...((fromFile || {}).contracts || {}) }
+    };
+
+    const envUrls = (process.env.RPC_URLS || '').split(',').map(url => url.trim()).filter(url => url.length > 0);
+    let rpcUrls = settings.rpcUrls;
+    if (values.rpc && values.rpc.length > 0) {
+        rpcUrls = values.rpc;
+    } else if (envUrls.length > 0) {
+        rpcUrls = envUrls;
+    }
+
+    let dataDir = path.resolve(__dirname, settings.dataDir || path.join('data', name));
+    if (values['data-dir']) {
+        dataDir = path.resolve(values['data-dir']);
+    } else if (process.env.INDEXER_DATA_DIR) {
+        dataDir = path.resolve(process.env.INDEXER_DATA_DIR);
+    }
+
+    const network = {
+        name,
+        chainId: settings.chainId,
+        rpcUrls,
+        contracts: {
+            target: process.env.TARGET_CONTRACT || settings.contracts.target,
+            nft: process.env.NFT_CONTRACT || settings.contracts.nft
+        },
+        userAddress: settings.userAddress || null,
+        confirmations: process.env.INDEXER_CONFIRMATIONS !== undefined
+            ? Number(process.env.INDEXER_CONFIRMATIONS)
+            : (settings.confirmations !== undefined ? settings.confirmations : 20),
+        fidelity: values.fidelity || process.env.INDEXER_FIDELITY || settings.fidelity || 'basic',
+        dataDir,
+        dbFile: path.join(dataDir, 'indexer.db'),
+        outputDir: dataDir
+    };
+
+    const errors = [];
+    if (!Number.isInteger(network.chainId) || network.chainId <= 0) {
+        errors.push('"chainId" must be a positive integer');
+    }
+    if (!Array.isArray(network.rpcUrls) || network.rpcUrls.length === 0) {
+        errors.push('"rpcUrls" must be a non-empty array');
+    }
+    for (const [contract, address] of Object.entries(network.contracts)) {
+        if (address !== null && !ethers.isAddress(address)) {
+            errors.push(`contracts.${contract} is not a valid address: ${address}`);
+        }
+    }
+    if (network.userAddress !== null && !ethers.isAddress(network.userAddress)) {
+        errors.push(`"userAddress" is not a valid address: ${network.userAddress}`);
+    }
+    if (!Number.isInteger(network.confirmations) || network.confirmations < 0) {
+        errors.push('"confirmations" must be a non-negative integer');
+    }
+    if (!FIDELITY_LEVELS.includes(network.fidelity)) {
+        errors.push(`"fidelity" must be one of ${FIDELITY_LEVELS.join(', ')}, got "${network.fidelity}"`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration for network "${name}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    for (const contract of Object.keys(network.contracts)) {
+        if (network.contracts[contract] !== null) {
+            network.contracts[contract] = ethers.getAddress(network.contracts[contract]);
+        }
+    }
+    return network;
+}
+
+/**
+ * A configured contract address, or an error naming the setting to add
+ */
+function requireContract(network, contract) {
+    const address = network.contracts[contract];
+    if (!address) {
+        throw new Error(`No ${contract} contract configured for network "${network.name}" (set networks.${network.name}.contracts.${contract} in the config file)`);
+    }
+    return address;
+}
+
+/**
+ * Refuse to mix chains: every RPC endpoint must serve the network's chain id, and the store must
+ * only hold data from that chain (recorded in its meta table the first time it is used)
+ */
+async function checkChainId(network, { provider, db } = {}) {
+    if (provider) {
+        const remote = Number(await provider.send('eth_chainId', []));
+        if (remote !== network.chainId) {
+            throw new Error(`RPC endpoint serves chain id ${remote}, but network "${network.name}" is chain id ${network.chainId}`);
+        }
+        // A pool also checks its other endpoints, so a failover never lands on another chain
+        if (typeof provider.verifyEndpoints === 'function') {
+            await provider.verifyEndpoints();
+        }
+    }
+    if (db) {
+        const stored = getMeta(db, 'chainId');
+        if (stored === null) {
+            setMeta(db, 'chainId', network.chainId);
+        } else if (Number(stored) !== network.chainId) {
+            throw new Error(`${network.dbFile} holds data for chain id ${stored}, not network "${network.name}" (chain id ${network.chainId}); use another --data-dir`);
+        }
+    }
+}
+
+module.exports = { NETWORKS, CONFIG_OPTIONS, FIDELITY_LEVELS, loadNetwork, requireContract, checkChainId };
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Export indexed data for analytics and payout pipelines
+ * Datasets:
+ *   transactions   indexed transactions (filters: --from-block, --to-block, --address, --contract, --status)
+ *   leaderboard    leaderboard entries with per-rule points and balances (written by leaderboard.js)
+ *   points         every scored match of every leaderboard address with its multiplier
+ *                  (filters: --from-block, --to-block, --address, --contract)
+ * Rows are streamed from the store to CSV, NDJSON or Parquet, so exports never hold the full dataset in memory.
+ *
+ * Usage: node export.js <transactions|leaderboard|points> [--format csv|ndjson|parquet] [--out file|-]
+ *        [--from-block N] [--to-block N] [--address addr] [--contract addr] [--status Success|Fail|Unknown]
+ *        [--rules points_rules.json] [--network monad]
+ * --out defaults to <dataset>.<format> in the network's data directory; "-" writes CSV or NDJSON to stdout.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const parquet = require('parquetjs-lite');
+const { openStore, iterateTransactions, iterateLeaderboard } = require('./store');
+const { DEFAULT_RULES_FILE, loadRules, collectMatches, scoreMatches, applyMultipliers } = require('./points_rules');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+
+const FORMATS = ['csv', 'ndjson', 'parquet'];
+const DATASETS = ['transactions', 'leaderboard', 'points'];
+const STATUSES = ['Success', 'Fail', 'Unknown'];
+
+// Rows buffered per Parquet row group
+const PARQUET_ROW_GROUP_SIZE = 4096;
+const PARQUET_TYPES = { string: 'UTF8', int: 'INT64', double: 'DOUBLE' };
+
+function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => stream.once('drain', resolve));
+}
+
+function closeStream(stream) {
+    if (stream === process.stdout) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+    });
+}
+
+/**
+ * Open a row writer for `columns` ([{ name, type: string|int|double }]) in the given format
+ * Returns { write(row), close() }; rows are objects keyed by column name, null for missing values
+ */
+async function openWriter(format, file, columns) {
+    if (format === 'parquet') {
+        if (file === '-') {
+            throw new Error('Parquet cannot be written to stdout, pass --out <file>');
+        }
+        const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map(column => [
+            column.name,
+            { type: PARQUET_TYPES[column.type], optional: true }
+        ])));
+        const writer = await parquet.ParquetWriter.openFile(schema, file);
+        writer.setRowGroupSize(PARQUET_ROW_GROUP_SIZE);
+        return {
+            write: row => {
+                // Parquet leaves optional columns out of a row instead of storing null
+                const values = {};
+                for (const column of columns) {
+                    if (row[column.name] !== null && row[column.name] !== undefined) {
+                        values[column.name] = row[column.name];
+                    }
+                }
+                return writer.appendRow(values);
+            },
+            close: () => writer.close()
+        };
+    }
+
+    const stream = file === '-' ? process.stdout : fs.createWriteStream(file);
+    if (format === 'csv') {
+        await writeChunk(stream, columns.map(column => csvEscape(column.name)).join(',') + '\n');
+        return {
+            write: row => writeChunk(stream, columns.map(column => csvEscape(row[column.name])).join(',') + '\n'),
+            close: () => closeStream(stream)
+        };
+    }
+    return {
+        write: row => writeChunk(stream, JSON.stringify(Object.fromEntries(columns.map(column => [column.name, row[column.name] !== undefined ? row[column.name] : null]))) + '\n'),
+        close: () => closeStream(stream)
+    };
+}
+
+// Columns after schemaVersion are only filled for version 2 (full fidelity) records
+const TRANSACTION_COLUMNS = [
+    { name: 'hash', type: 'string' },
+    { name: 'blockNumber', type: 'int' },
+    { name: 'blockTimestamp', type: 'int' },
+    { name: 'from', type: 'string' },
+    { name: 'to', type: 'string' },
+    { name: 'value', type: 'string' },
+    { name: 'gas', type: 'string' },
+    { name: 'gasPrice', type: 'string' },
+    { name: 'gasUsed', type: 'string' },
+    { name: 'nonce', type: 'int' },
+    { name: 'type', type: 'int' },
+    { name: 'chainId', type: 'string' },
+    { name: 'status', type: 'string' },
+    { name: 'selector', type: 'string' },
+    { name: 'method', type: 'string' },
+    { name: 'methodArgs', type: 'string' },
+    { name: 'schemaVersion', type: 'int' },
+    { name: 'input', type: 'string' },
+    { name: 'maxFeePerGas', type: 'string' },
+    { name: 'maxPriorityFeePerGas', type: 'string' },
+    { name: 'effectiveGasPrice', type: 'string' },
+    { name: 'contractAddress', type: 'string' },
+    { name: 'logCount', type: 'int' },
+    { name: 'revertReason', type: 'string' }
+];
+
+const POINTS_COLUMNS = [
+    { name: 'address', type: 'string' },
+    { name: 'rank', type: 'int' },
+    { name: 'ruleId', type: 'string' },
+    { name: 'hash', type: 'string' },
+    { name: 'blockNumber', type: 'int' },
+    { name: 'timestamp', type: 'int' },
+    { name: 'to', type: 'string' },
+    { name: 'method', type: 'string' },
+    { name: 'event', type: 'string' },
+    { name: 'logIndex', type: 'int' },
+    { name: 'points', type: 'double' },
+    { name: 'multiplier', type: 'double' },
+    { name: 'multiplierBlock', type: 'int' },
+    { name: 'multipliedPoints', type: 'double' }
+];
+
+/**
+ * Leaderboard columns: the fixed ones plus one per rule and per multiplier asset, as in leaderboard.csv
+ */
+function leaderboardColumns(config) {
+    return [
+        { name: 'rank', type: 'int' },
+        { name: 'address', type: 'string' },
+        { name: 'totalPoints', type: 'int' },
+        { name: 'basePoints', type: 'double' },
+        { name: 'multiplier', type: 'double' },
+        { name: 'matches', type: 'int' },
+        ...config.rules.map(rule => ({ name: `rule:${rule.id}`, type: 'double' })),
+        ...config.multipliers.assets.map(asset => ({ name: `balance:${asset.id}`, type: 'double' })),
+        { name: 'updatedBlock', type: 'int' },
+        { name: 'updatedAt', type: 'string' }
+    ];
+}
+
+async function exportTransactions(db, writer, filters) {
+    let rows = 0;
+    for (const txn of iterateTransactions(db, filters)) {
+        await writer.write({
+            ...txn,
+            to: ethers.isAddress(txn.to) ? txn.to : null,
+            methodArgs: txn.methodArgs ? JSON.stringify(txn.methodArgs) : null,
+            // Version 1 records only kept the selector
+            input: txn.schemaVersion >= 2 ? txn.input : null,
+            logCount: txn.logs ? txn.logs.length : null
+        });
+        rows++;
+    }
+    return rows;
+}
+
+async function exportLeaderboard(db, writer, config, { address }) {
+    let rows = 0;
+    for (const entry of iterateLeaderboard(db, { address })) {
+        await writer.write({
+            ...entry,
+            ...Object.fromEntries(config.rules.map(rule => [`rule:${rule.id}`, entry.rules[rule.id] || 0])),
+            ...Object.fromEntries(config.multipliers.assets.map(asset => [`balance:${asset.id}`, entry.balances[asset.id] || 0]))
+        });
+        rows++;
+    }
+    return rows;
+}
+
+/**
+ * Score each leaderboard address in turn and write its matches, so only one address is in memory at a time
+ * Without a leaderboard, --address scores that one address
+ */
+async function exportPoints(db, provider, writer, config, { address, contract, fromBlock, toBlock }) {
+    // Addresses are read up front: the connection cannot run other queries while a row iterator is open
+    const accounts = [...iterateLeaderboard(db, { address })].map(entry => ({ address: entry.address, rank: entry.rank }));
+    if (accounts.length === 0 && address) {
+        accounts.push({ address: ethers.getAddress(address), rank: null });
+    }
+    if (accounts.length === 0) {
+        throw new Error('The leaderboard is empty, run leaderboard.js first (or pass --address)');
+    }
+
+    let rows = 0;
+    for (const account of accounts) {
+        // Caps and multipliers depend on the whole history, so the range filters apply to the output only
+        const matches = collectMatches(db, config, { address: account.address }).get(account.address.toLowerCase()) || [];
+        const scored = scoreMatches(config, matches);
+        const applied = await applyMultipliers(db, provider, config, account.address, scored);
+
+        for (const match of applied.matches) {
+            if ((fromBlock !== undefined && match.blockNumber < fromBlock) || (toBlock !== undefined && match.blockNumber > toBlock)) {
+                continue;
+            }
+            if (contract && match.to.toLowerCase() !== contract.toLowerCase()) {
+                continue;
+            }
+            await writer.write({ address: account.address, rank: account.rank, ...match, event: match.event || null });
+            rows++;
+        }
+    }
+    return rows;
+}
+
+// Main execution
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'csv' },
+            out: { type: 'string' },
+            'from-block': { type: 'string' },
+            'to-block': { type: 'string' },
+            address: { type: 'string' },
+            contract: { type: 'string' },
+            status: { type: 'string' },
+            rules: { type: 'string', default: DEFAULT_RULES_FILE },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    const dataset = positionals[0];
+    const usage = () => {
+        console.error('Usage: node export.js <transactions|leaderboard|points> [--format csv|ndjson|parquet] [--out file|-]');
+        console.error('       [--from-block N] [--to-block N] [--address addr] [--contract addr] [--status Success|Fail|Unknown]');
+        process.exit(1);
+    };
+    if (!DATASETS.includes(dataset)) {
+        usage();
+    }
+    if (!FORMATS.includes(values.format)) {
+        console.error(`Error: --format must be one of ${FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+
+    const fromBlock = values['from-block'] !== undefined ? Number(values['from-block']) : undefined;
+    const toBlock = values['to-block'] !== undefined ? Number(values['to-block']) : undefined;
+    if ([fromBlock, toBlock].some(block => block !== undefined && !(Number.isInteger(block) && block >= 0))) {
+        console.error('Error: --from-block and --to-block must be block numbers');
+        process.exit(1);
+    }
+    for (const field of ['address', 'contract']) {
+        if (values[field] !== undefined && !ethers.isAddress(values[field])) {
+            console.error(`Error: Invalid Ethereum address: ${values[field]}`);
+            process.exit(1);
+        }
+    }
+    if (values.status !== undefined && !STATUSES.includes(values.status)) {
+        console.error(`Error: --status must be one of ${STATUSES.join(', ')}`);
+        process.exit(1);
+    }
+    if (values.status !== undefined && dataset !== 'transactions') {
+        console.error('Error: --status only applies to the transactions dataset');
+        process.exit(1);
+    }
+    if (dataset === 'leaderboard' && (fromBlock !== undefined || toBlock !== undefined || values.contract !== undefined)) {
+        console.error('Error: the leaderboard dataset only takes the --address filter');
+        process.exit(1);
+    }
+
+    let network;
+    try {
+        network = loadNetwork(values);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    const out = values.out === '-' ? '-' : path.resolve(values.out || path.join(network.outputDir, `${dataset}.${values.format}`));
+    if (out === '-' && values.format === 'parquet') {
+        console.error('Error: Parquet cannot be written to stdout, pass --out <file>');
+        process.exit(1);
+    }
+    // Progress goes to stderr when the data itself is written to stdout
+    const log = out === '-' ? console.error : console.log;
+    if (out === '-') {
+        // The reader went away (e.g. piped into head): nothing more to write
+        process.stdout.on('error', error => process.exit(error.code === 'EPIPE' ? 0 : 1));
+    }
+
+    (async () => {
+        if (!fs.existsSync(network.dbFile)) {
+            throw new Error(`Index database not found: ${network.dbFile}`);
+        }
+        const db = openStore(network.dbFile);
+        const config = dataset !== 'transactions' ? loadRules(path.resolve(values.rules)) : null;
+        // Only points may need RPC (current holdings, or balances outside the NFT ownership index)
+        const provider = dataset === 'points' ? createProvider(network.rpcUrls, network.chainId) : null;
+        await checkChainId(network, { provider, db });
+
+        const filters = { fromBlock, toBlock, address: values.address };
+        const columns = {
+            transactions: TRANSACTION_COLUMNS,
+            leaderboard: config ? leaderboardColumns(config) : null,
+            points: POINTS_COLUMNS
+        }[dataset];
+
+        if (out !== '-') {
+            fs.mkdirSync(path.dirname(out), { recursive: true });
+        }
+        const writer = await openWriter(values.format, out, columns);
+        let rows;
+        try {
+            if (dataset === 'transactions') {
+                rows = await exportTransactions(db, writer, { ...filters, to: values.contract, status: values.status });
+            } else if (dataset === 'leaderboard') {
+                rows = await exportLeaderboard(db, writer, config, filters);
+            } else {
+                rows = await exportPoints(db, provider, writer, config, { ...filters, contract: values.contract });
+            }
+        } finally {
+            await writer.close();
+        }
+
+        log(`✓ Exported ${rows} ${dataset} row(s) as ${values.format}${out !== '-' ? ` to ${out}` : ''}`);
+    })()
+        .then(() => {
+            log('\nDone!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { openWriter, exportTransactions, exportLeaderboard, exportPoints, leaderboardColumns, TRANSACTION_COLUMNS, POINTS_COLUMNS };
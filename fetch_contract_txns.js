@@ -1,185 +1,382 @@
 #!/usr/bin/env node
 /**
  * Script to fetch transactions from Monad network incrementally
- * Processes blocks one by one and saves progress after each block
+ * Fetches several blocks concurrently and stores each block together with progress, in block order
+ *
+ * Matching activity is queued for the subscriptions in subscriptions.json (see notifications.js)
+ *
+ * With --metrics-port, Prometheus metrics and liveness/readiness checks are served on that port
+ * (see metrics.js); the indexer reports unhealthy when it has not made progress for --stall-timeout
+ * seconds. --log-format json prints one JSON object per log line instead of the console output.
+ *
+ * SIGINT/SIGTERM stop the indexer once the block being stored is committed. Only one indexer runs per
+ * data directory: indexer.lock holds the PID of the running one.
+ *
+ * Usage: node fetch_contract_txns.js [--network monad] [--rpc <url>]... [--data-dir dir] [--subscriptions file]
+ *                                    [--metrics-port 9464] [--stall-timeout 300] [--log-format text|json]
  */
 
-const { ethers } = require('ethers');
-const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { fetchBlocksInOrder } = require('./block_fetcher');
+const { loadAbiRegistry, decodeCalldata, decodeError } = require('./abi_registry');
+const {
+    openStore,
+    closeStore,
+    loadProgress,
+    repairProgress,
+    getBlockHash,
+    commitBlock,
+    rollbackToBlock,
+    getTotalTransactions,
+    retractNotificationsAbove
+} = require('./store');
+const { DEFAULT_SUBSCRIPTIONS_FILE, loadSubscriptions, queueBlockNotifications, deliverDueNotifications } = require('./notifications');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+const { DEFAULT_STALL_TIMEOUT, createIndexerMonitor, startMonitorServer } = require('./metrics');
+const { LOG_FORMATS, logger, setLogFormat } = require('./logger');
+const { systemClock } = require('./clock');
+const { acquireLock } = require('./lock');
+
+// Number of blocks fetched concurrently (override with INDEXER_CONCURRENCY)
+const BLOCKS_IN_FLIGHT = Number(process.env.INDEXER_CONCURRENCY) || 8;
+// Maximum blocks handed to the pipeline before re-reading the chain head
+const MAX_BLOCKS_PER_ROUND = BLOCKS_IN_FLIGHT * 25;
+// Delay before retrying after an error, doubled on every consecutive failure up to the maximum
+const RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 120000;
+// Lock file in the data directory, holding the PID of the running indexer
+const LOCK_FILE = "indexer.lock";
 
-const RPC_URL = "https://rpc3.monad.xyz";
-const PROGRESS_FILE = "indexer_progress.json";
-const OUTPUT_DIR = "transactions";
-
-// Load or initialize progress
-function loadProgress() {
-    if (fs.existsSync(PROGRESS_FILE)) {
-        const data = fs.readFileSync(PROGRESS_FILE, 'utf8');
-        return JSON.parse(data);
+/**
+ * Roll back after a reorg detected at forkBlock (its parentHash did not match our stored hash)
+ * Walks back to the last block whose stored hash is still canonical, removes everything above it,
+ * and returns the block number to resume indexing from
+ */
+async function rollbackReorg(provider, db, progress, forkBlock) {
+    let ancestor = forkBlock - 1;
+
+    while (ancestor > progress.finalizedBlock) {
+        const storedHash = getBlockHash(db, ancestor);
+        const canonical = await provider.getBlock(ancestor);
+        if (storedHash && canonical && canonical.hash === storedHash) {
+            break;
+        }
+        ancestor--;
     }
-    return { lastProcessedBlock: null, totalTransactions: 0 };
-}
 
-// Save progress
-function saveProgress(blockNumber, totalTxns) {
-    const progress = {
-        lastProcessedBlock: blockNumber,
-        totalTransactions: totalTxns,
-        lastUpdated: new Date().toISOString()
-    };
-    fs.writeFileSync(PROGRESS_FILE, JSON.stringify(progress, null, 2));
-}
-
-// Save transactions for a block
-function saveBlockTransactions(blockNumber, transactions) {
-    if (!fs.existsSync(OUTPUT_DIR)) {
-        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    // Never roll back past a block we already treat as final
+    const finalizedHash = getBlockHash(db, ancestor);
+    if (ancestor === progress.finalizedBlock && finalizedHash) {
+        const canonical = await provider.getBlock(ancestor);
+        if (canonical && canonical.hash !== finalizedHash) {
+            throw new Error(`Reorg below the finalized block: finalized block ${ancestor} was replaced`);
+        }
     }
 
-    const filename = path.join(OUTPUT_DIR, `block_${blockNumber}.json`);
-    const data = {
-        blockNumber,
-        transactionCount: transactions.length,
-        timestamp: new Date().toISOString(),
-        transactions
-    };
+    const rolledBackTo = progress.lastProcessedBlock;
+    let removedTxns = 0;
+    let retracted = 0;
+    db.transaction(() => {
+        removedTxns = rollbackToBlock(db, ancestor, progress);
+        retracted = retractNotificationsAbove(db, ancestor);
+    })();
+
+    logger.warn(`   [REORG] Rolled back blocks ${ancestor + 1}-${rolledBackTo} (${removedTxns} transactions removed)`, {
+        fromBlock: ancestor + 1,
+        toBlock: rolledBackTo,
+        removedTransactions: removedTxns
+    });
+    if (retracted > 0) {
+        logger.warn(`   [REORG] Retracted ${retracted} notification(s)`, { retracted });
+    }
 
-    fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-    return filename;
+    return ancestor + 1;
 }
 
-async function processBlock(provider, blockNum) {
-    const transactions = [];
-
-    try {
-        const blockData = await provider.getBlock(blockNum, true);
-
-        if (!blockData || !blockData.transactions || blockData.transactions.length === 0) {
-            return transactions;
-        }
-
-        // getBlock() returns transaction hashes as strings, not full transaction objects
-        // We need to fetch each transaction individually
-        for (const txHash of blockData.transactions) {
-            try {
-                // Fetch the full transaction object
-                const tx = await provider.getTransaction(txHash);
-                // Fetch transaction receipt for status
-                const receipt = await provider.getTransactionReceipt(txHash);
-
-                if (!tx) {
-                    console.log(`   [WARNING] Could not fetch transaction ${txHash}`);
-                    continue;
-                }
-
-                const inputData = tx.data || "0x";
-
-                // Determine status
-                let status = "Unknown";
-                if (receipt) {
-                    if (receipt.status === 1) {
-                        status = "Success";
-                    } else if (receipt.status === 0) {
-                        status = "Fail";
-                    }
-                }
-
-                transactions.push({
-                    hash: tx.hash,
-                    blockNumber: tx.blockNumber,
-                    from: tx.from,
-                    to: tx.to || "Contract Creation",
-                    value: tx.value ? tx.value.toString() : "0",
-                    gas: tx.gasLimit ? tx.gasLimit.toString() : "0",
-                    gasPrice: tx.gasPrice ? tx.gasPrice.toString() : "0",
-                    input: inputData.length > 10 ? inputData.substring(0, 10) + "..." : inputData,
-                    nonce: tx.nonce !== undefined ? tx.nonce : 0,
-                    type: tx.type !== undefined ? tx.type : null,
-                    chainId: tx.chainId ? tx.chainId.toString() : "unknown",
-                    status: status
-                });
-            } catch (txError) {
-                console.error(`   [ERROR] Error fetching transaction ${txHash}: ${txError.message}`);
-            }
-        }
-    } catch (error) {
-        console.error(`Error processing block ${blockNum}: ${error.message}`);
+/**
+ * Compare the stored hash of the newest final block with what every RPC endpoint reports
+ * Endpoints on a different fork are demoted by the pool; if the endpoints' majority disagrees with
+ * the store, a finalized block was indexed from a bad fork and the round fails with an error
+ */
+async function crossCheckFinalized(provider, db, blockNumber) {
+    const storedHash = getBlockHash(db, blockNumber);
+    if (!storedHash || provider.urls.length < 2) {
+        return;
     }
 
-    return transactions;
+    const check = await provider.crossCheckBlock(blockNumber);
+    if (!check.consistent) {
+        const outliers = check.endpoints.filter(entry => entry.hash && entry.hash !== check.hash);
+        logger.warn(`   [WARN] RPC endpoints disagree on block ${blockNumber}: ${outliers.map(entry => entry.url).join(', ')} on another fork`, {
+            block: blockNumber,
+            endpoints: outliers.map(entry => entry.url)
+        });
+    }
+    if (check.hash && check.hash !== storedHash) {
+        throw new Error(`Finalized block ${blockNumber} is stored with hash ${storedHash} but the RPC endpoints report ${check.hash}`);
+    }
 }
 
-async function main() {
-    console.log("Starting Monad Network Indexer...");
-    console.log(`RPC URL: ${RPC_URL}\n`);
+/**
+ * Index new blocks until options.signal is aborted (see main)
+ */
+async function follow(network, subscriptions, options) {
+    const clock = options.clock || systemClock;
+    const signal = options.signal || null;
+
+    logger.info("Starting Monad Network Indexer...");
+    logger.info(`Network: ${network.name} (chain id ${network.chainId})`, { network: network.name, chainId: network.chainId });
+    logger.info(`RPC endpoints: ${network.rpcUrls.join(', ')}`, { rpcUrls: network.rpcUrls });
+    logger.info(`Record fidelity: ${network.fidelity}`, { fidelity: network.fidelity });
+    logger.info(`Subscriptions: ${subscriptions.length > 0 ? subscriptions.map(subscription => subscription.id).join(', ') : 'none'}\n`, {
+        subscriptions: subscriptions.map(subscription => subscription.id)
+    });
+
+    const monitor = createIndexerMonitor({ stallTimeout: options.stallTimeout || DEFAULT_STALL_TIMEOUT, now: clock.now });
+    let monitorServer = null;
+    if (options.metricsPort !== undefined) {
+        monitorServer = await startMonitorServer(monitor, options.metricsPort);
+        logger.info(`Metrics on http://localhost:${options.metricsPort}/metrics, health checks on /health/live and /health/ready\n`, {
+            metricsPort: options.metricsPort
+        });
+    }
 
-    // Create provider
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
+    // Create provider (one or more endpoints); every RPC call is reported to the metrics
+    const provider = options.provider || createProvider(network.rpcUrls, network.chainId, { onRequest: monitor.observeRpc });
+    const db = options.db || openStore(network.dbFile);
+    await checkChainId(network, { provider, db });
+
+    // A store damaged outside the indexer (or by hand) resumes from the blocks it actually holds
+    for (const repair of repairProgress(db)) {
+        logger.warn(`[RECOVER] Progress ${repair}`, { repair });
+    }
 
     // Load progress to determine start block
-    let progress = loadProgress();
+    let progress = loadProgress(db);
     let nextBlockToProcess;
 
     if (progress.lastProcessedBlock) {
         nextBlockToProcess = progress.lastProcessedBlock + 1;
-        console.log(`Resuming from block ${nextBlockToProcess} (last processed: ${progress.lastProcessedBlock})`);
+        logger.info(`Resuming from block ${nextBlockToProcess} (last processed: ${progress.lastProcessedBlock})`, { block: nextBlockToProcess });
     } else {
-        // If no progress file, start from current block
+        // If no progress yet, start from current block
         nextBlockToProcess = await provider.getBlockNumber();
-        console.log(`First run - starting from current block: ${nextBlockToProcess}`);
+        logger.info(`First run - starting from current block: ${nextBlockToProcess}`, { block: nextBlockToProcess });
     }
+    monitor.recordPosition(progress, getTotalTransactions(db));
+
+    let failures = 0;
+    let crossCheckedBlock = progress.finalizedBlock;
+
+    // Webhooks are delivered in the background so a slow receiver never holds up indexing
+    let delivering = null;
+    const deliverNotifications = () => {
+        if (delivering || !subscriptions.some(subscription => subscription.webhook !== null)) {
+            return;
+        }
+        delivering = deliverDueNotifications(db, subscriptions, { clock })
+            .catch(error => logger.error(`\n[ERROR] Webhook delivery: ${error.message}`))
+            .finally(() => {
+                delivering = null;
+            });
+    };
+    // NFT transfers are matched against the receipts' logs
+    const withLogs = subscriptions.some(subscription => subscription.type === 'nft-transfer');
 
-    // Run continuously
-    while (true) {
+    // Run until stopped
+    while (!(signal && signal.aborted)) {
         try {
             // Get latest block on chain
             const latestBlock = await provider.getBlockNumber();
+            monitor.recordHead(latestBlock);
 
             // Process all blocks from nextBlockToProcess up to latestBlock
             if (nextBlockToProcess <= latestBlock) {
-                // Calculate lag for logging
-                const lag = latestBlock - nextBlockToProcess;
-
-                console.log(`\n[${new Date().toISOString()}] Processing block ${nextBlockToProcess} (Lag: ${lag})`);
-
-                const transactions = await processBlock(provider, nextBlockToProcess);
-
-                if (transactions.length > 0) {
-                    const filename = saveBlockTransactions(nextBlockToProcess, transactions);
-                    console.log(`   [SUCCESS] Found ${transactions.length} transactions - saved to ${filename}`);
+                const roundEnd = Math.min(latestBlock, nextBlockToProcess + MAX_BLOCKS_PER_ROUND - 1);
+                let reorgAt = null;
+
+                // Reloaded every round so newly registered ABIs are picked up without a restart
+                const registry = loadAbiRegistry(db);
+                const decodeCall = (to, data) => decodeCalldata(registry, to, data);
+                const decodeRevert = (to, data) => decodeError(registry, to, data);
+
+                await fetchBlocksInOrder(provider, nextBlockToProcess, roundEnd, BLOCKS_IN_FLIGHT, async (block) => {
+                    // On shutdown, stop after the block already being stored; prefetched ones are dropped
+                    if (signal && signal.aborted) {
+                        return false;
+                    }
 
-                    // Update progress object
-                    progress.totalTransactions += transactions.length;
-                    progress.lastProcessedBlock = nextBlockToProcess;
+                    // The new block must build on the block we stored last
+                    const expectedParent = getBlockHash(db, block.number - 1);
+                    if (expectedParent && expectedParent !== block.parentHash) {
+                        reorgAt = block.number;
+                        return false;
+                    }
 
-                    // Save to file
-                    saveProgress(nextBlockToProcess, progress.totalTransactions);
-                    console.log(`   Total transactions indexed: ${progress.totalTransactions}`);
-                } else {
-                    console.log(`   [INFO] No transactions in this block`);
+                    // Calculate lag for logging
+                    const lag = latestBlock - block.number;
+
+                    logger.info(`\n[${new Date(clock.now()).toISOString()}] Processed block ${block.number} (Lag: ${lag})`, {
+                        block: block.number,
+                        lag,
+                        transactions: block.transactions.length
+                    });
+
+                    // Store the block, progress and its notifications together; blocks `confirmations` behind it become final
+                    progress.lastProcessedBlock = block.number;
+                    progress.finalizedBlock = Math.max(progress.finalizedBlock || 0, block.number - network.confirmations);
+                    let queued = 0;
+                    db.transaction(() => {
+                        commitBlock(db, block, progress);
+                        queued = queueBlockNotifications(db, subscriptions, block, network);
+                    })();
+
+                    const totalTransactions = getTotalTransactions(db);
+                    monitor.recordBlock(block, progress, totalTransactions);
+
+                    if (block.transactions.length > 0) {
+                        logger.info(`   [SUCCESS] Found ${block.transactions.length} transactions`, { block: block.number, transactions: block.transactions.length });
+                        logger.info(`   Total transactions indexed: ${totalTransactions}`, { totalTransactions });
+                    } else {
+                        logger.info(`   [INFO] No transactions in this block`, { block: block.number });
+                    }
+                    if (queued > 0) {
+                        logger.info(`   [NOTIFY] Queued ${queued} notification(s)`, { block: block.number, queued });
+                    }
 
-                    // Update progress object
-                    progress.lastProcessedBlock = nextBlockToProcess;
+                    // Move to next block
+                    nextBlockToProcess = block.number + 1;
+                }, { decodeCall, decodeError: decodeRevert, withLogs, fidelity: network.fidelity });
 
-                    // Save to file
-                    saveProgress(nextBlockToProcess, progress.totalTransactions);
+                if (reorgAt !== null) {
+                    logger.warn(`\n[REORG] Block ${reorgAt} does not build on stored block ${reorgAt - 1}`, { block: reorgAt });
+                    nextBlockToProcess = await rollbackReorg(provider, db, progress, reorgAt);
+                    monitor.recordReorg();
+                    monitor.recordPosition(progress, getTotalTransactions(db));
                 }
 
-                // Move to next block
-                nextBlockToProcess++;
+                if (progress.finalizedBlock !== null && progress.finalizedBlock !== crossCheckedBlock) {
+                    await crossCheckFinalized(provider, db, progress.finalizedBlock);
+                    crossCheckedBlock = progress.finalizedBlock;
+                }
+                deliverNotifications();
+                failures = 0;
             } else {
+                deliverNotifications();
+                monitor.recordIdle();
                 // Caught up to chain tip, wait for new blocks
-                process.stdout.write('.');
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                logger.progress();
+                await clock.sleep(2000, signal);
             }
 
         } catch (error) {
-            console.error(`\n[ERROR] ${error.message}`);
-            console.log('Retrying in 5 seconds...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
+            logger.error(`\n[ERROR] ${error.message}`);
+            monitor.recordError();
+            // Drop any in-memory progress that did not make it into the store
+            progress = loadProgress(db);
+            for (const endpoint of provider.getStats()) {
+                logger.info(`   ${endpoint.url}: ${endpoint.requests} requests, ${endpoint.errors} errors (${endpoint.rateLimited} rate limited, ${endpoint.timeouts} timeouts), ${endpoint.latencyMs}ms avg`, { endpoint });
+            }
+            const delay = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** failures);
+            failures++;
+            logger.info(`Retrying in ${delay / 1000} seconds...`, { delayMs: delay });
+            await clock.sleep(delay, signal);
+        }
+    }
+
+    if (delivering) {
+        await delivering;
+    }
+    if (monitorServer) {
+        monitorServer.close();
+    }
+    progress = loadProgress(db);
+    if (!options.db) {
+        closeStore(db);
+    }
+    if (!options.provider) {
+        provider.destroy();
+    }
+    return progress;
+}
+
+/**
+ * options: metricsPort (serve metrics and health checks when set) and stallTimeout (seconds)
+ * provider, db and clock default to the network's endpoints, its store and the system clock.
+ * Runs until options.signal (an AbortSignal) is aborted and resolves with the stored progress.
+ * Only one indexer runs per data directory: the lock file is taken first and released on exit.
+ */
+async function main(network, subscriptions = [], options = {}) {
+    const lock = acquireLock(path.join(network.dataDir, LOCK_FILE));
+    if (lock.staleOwner) {
+        logger.warn(`[LOCK] Took over ${lock.file} left by PID ${lock.staleOwner.pid}, which is no longer running`, { pid: lock.staleOwner.pid });
+    }
+    try {
+        return await follow(network, subscriptions, options);
+    } finally {
+        lock.release();
+    }
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            subscriptions: { type: 'string' },
+            'metrics-port': { type: 'string', default: process.env.METRICS_PORT },
+            'stall-timeout': { type: 'string', default: String(DEFAULT_STALL_TIMEOUT) },
+            'log-format': { type: 'string', default: process.env.LOG_FORMAT || 'text' },
+            ...CONFIG_OPTIONS
         }
+    });
+    const metricsPort = values['metrics-port'] !== undefined ? Number(values['metrics-port']) : undefined;
+    const stallTimeout = Number(values['stall-timeout']);
+    if (metricsPort !== undefined && (!Number.isInteger(metricsPort) || metricsPort < 0 || metricsPort > 65535)) {
+        console.error('Error: --metrics-port must be a port number');
+        process.exit(1);
     }
+    if (!Number.isFinite(stallTimeout) || stallTimeout <= 0) {
+        console.error('Error: --stall-timeout must be a positive number of seconds');
+        process.exit(1);
+    }
+    if (!LOG_FORMATS.includes(values['log-format'])) {
+        console.error(`Error: --log-format must be one of ${LOG_FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+    setLogFormat(values['log-format']);
+
+    let network;
+    let subscriptions;
+    try {
+        network = loadNetwork(values);
+        subscriptions = loadSubscriptions(
+            values.subscriptions ? path.resolve(values.subscriptions) : DEFAULT_SUBSCRIPTIONS_FILE,
+            Boolean(values.subscriptions)
+        );
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    // The first SIGINT/SIGTERM lets the current block finish; a second one kills the process
+    const controller = new AbortController();
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            logger.warn(`\n[SHUTDOWN] ${signal} received, stopping after the current block (send it again to force)`, { signal });
+            controller.abort();
+        });
+    }
+
+    main(network, subscriptions, { metricsPort, stallTimeout, signal: controller.signal })
+        .then(progress => {
+            logger.info(`[SHUTDOWN] Stopped at block ${progress.lastProcessedBlock}`, { block: progress.lastProcessedBlock });
+            process.exit(0);
+        })
+        .catch(error => {
+            logger.error(`Error: ${error.message}`);
+            process.exit(1);
+        });
 }
 
-main().catch(console.error);
+module.exports = { LOCK_FILE, main, rollbackReorg };
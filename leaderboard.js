@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Leaderboard over every address credited by the points rules
+ * Scores all addresses in one pass with batched balance lookups, ranks them (tied scores share a rank)
+ * and writes leaderboard.json and leaderboard.csv. Later runs only rescore addresses with new activity
+ * since the previous run, unless the rules changed, blocks were stored or removed below the newest
+ * one since then (backfill, verify --repair, a rollback) or --full is given.
+ *
+ * Usage: node leaderboard.js [--rules points_rules.json] [--out-dir dir] [--full] [--refresh-balances] [--network monad]
+ * --out-dir defaults to the network's data directory.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    openStore,
+    loadProgress,
+    getIndexedRange,
+    getBlocksRevision,
+    getMeta,
+    setMeta,
+    saveLeaderboardEntries,
+    saveLeaderboardRanks,
+    clearLeaderboard,
+    loadLeaderboard
+} = require('./store');
+const {
+    DEFAULT_RULES_FILE,
+    loadRules,
+    collectMatches,
+    scoreMatches,
+    getAssetBalancesBatch,
+    computeMultiplier,
+    applyMultipliers
+} = require('./points_rules');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+const { writeFileAtomic } = require('./atomic_file');
+
+const BALANCE_BATCH_SIZE = 100;
+
+/**
+ * Hash of the normalized rules, used to detect rule changes between runs
+ */
+function hashRules(config) {
+    return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex');
+}
+
+/**
+ * Assign competition ranks ("1224"): equal totals share a rank and the next rank skips ahead
+ * Entries must already be sorted by total points, highest first
+ */
+function assignRanks(entries) {
+    let rank = 0;
+    let previousPoints = null;
+    return entries.map((entry, index) => {
+        if (entry.totalPoints !== previousPoints) {
+            rank = index + 1;
+            previousPoints = entry.totalPoints;
+        }
+        return { ...entry, rank };
+    });
+}
+
+/**
+ * Build a leaderboard entry from scored matches and their applied multipliers
+ */
+function buildEntry(address, scored, applied) {
+    return {
+        address: ethers.getAddress(address),
+        totalPoints: applied.totalPoints,
+        basePoints: scored.basePoints,
+        multiplier: applied.multiplier,
+        matches: scored.matches.length,
+        rules: Object.fromEntries(scored.rules.map(rule => [rule.id, rule.points])),
+        balances: applied.balances
+    };
+}
+
+/**
+ * Update the stored leaderboard up to toBlock and re-rank it
+ */
+async function updateLeaderboard(provider, db, config, toBlock, { full = false, refreshBalances = false } = {}) {
+    const rulesHash = hashRules(config);
+    // Read before scoring, so blocks written meanwhile make the next run start over
+    const blocksRevision = getBlocksRevision(db);
+    const lastBlock = getMeta(db, 'leaderboard.lastBlock');
+    // Blocks stored or removed below lastBlock since the last run (backfill, verify --repair, a rollback) are never
+    // seen by the incremental pass
+    const historyChanged = getMeta(db, 'leaderboard.blocksRevision') !== String(blocksRevision);
+    const incremental = !full && lastBlock !== null && !historyChanged && getMeta(db, 'leaderboard.rulesHash') === rulesHash;
+
+    let matchesByAddress;
+    if (incremental) {
+        // Only addresses with new matches need rescoring, but with their whole history (daily caps)
+        const changed = collectMatches(db, config, { fromBlock: Number(lastBlock) + 1, toBlock });
+        matchesByAddress = new Map();
+        for (const address of changed.keys()) {
+            matchesByAddress.set(address, collectMatches(db, config, { address, toBlock }).get(address) || []);
+        }
+        console.log(`Incremental update: ${matchesByAddress.size} address(es) with activity in blocks ${Number(lastBlock) + 1}-${toBlock}`);
+    } else {
+        matchesByAddress = collectMatches(db, config, { toBlock });
+        console.log(`Full rebuild: ${matchesByAddress.size} address(es) with activity up to block ${toBlock}`);
+    }
+
+    const addresses = [...matchesByAddress.keys()];
+    const currentMode = config.multipliers.mode === 'current';
+    let balances = new Map();
+    if (currentMode) {
+        console.log(`Fetching balances for ${addresses.length} address(es)...`);
+        balances = await getAssetBalancesBatch(db, provider, config.multipliers, addresses, BALANCE_BATCH_SIZE);
+    } else {
+        console.log(`Evaluating ${config.multipliers.mode} multipliers for ${addresses.length} address(es)...`);
+    }
+
+    const entries = [];
+    for (const address of addresses) {
+        const scored = scoreMatches(config, matchesByAddress.get(address));
+        const applied = await applyMultipliers(db, provider, config, address, scored, { balances: balances.get(address) });
+        entries.push(buildEntry(address, scored, applied));
+    }
+
+    if (incremental && refreshBalances && !currentMode) {
+        // Past holdings never change, so only current-mode multipliers can go stale
+        console.log(`Skipping balance refresh: multipliers use ${config.multipliers.mode} holdings`);
+    } else if (incremental && refreshBalances) {
+        // Holdings change without any indexed activity, so recompute multipliers for everyone else too
+        const stale = loadLeaderboard(db).filter(entry => !matchesByAddress.has(entry.address.toLowerCase()));
+        console.log(`Refreshing balances for ${stale.length} other address(es)...`);
+        const staleBalances = await getAssetBalancesBatch(db, provider, config.multipliers, stale.map(entry => entry.address), BALANCE_BATCH_SIZE);
+
+        for (const entry of stale) {
+            const entryBalances = staleBalances.get(entry.address.toLowerCase());
+            const { multiplier } = computeMultiplier(config.multipliers, entryBalances);
+            entries.push({
+                ...entry,
+                totalPoints: Math.floor(entry.basePoints * multiplier),
+                multiplier,
+                balances: Object.fromEntries(entryBalances.map(balance => [balance.id, balance.balance]))
+            });
+        }
+    }
+
+    db.transaction(() => {
+        if (!incremental) {
+            clearLeaderboard(db);
+        }
+        saveLeaderboardEntries(db, entries, toBlock);
+
+        const ranked = assignRanks(loadLeaderboard(db));
+        saveLeaderboardRanks(db, ranked);
+
+        setMeta(db, 'leaderboard.lastBlock', toBlock);
+        setMeta(db, 'leaderboard.rulesHash', rulesHash);
+        setMeta(db, 'leaderboard.blocksRevision', blocksRevision);
+    })();
+
+    return { updated: entries.length, incremental };
+}
+
+function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the ranked leaderboard as JSON and CSV
+ */
+function writeLeaderboardFiles(db, config, outDir, toBlock) {
+    const entries = loadLeaderboard(db);
+    const ruleIds = config.rules.map(rule => rule.id);
+    const assetIds = config.multipliers.assets.map(asset => asset.id);
+
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const jsonFile = path.join(outDir, 'leaderboard.json');
+    const jsonData = {
+        toBlock,
+        addresses: entries.length,
+        generatedAt: new Date().toISOString(),
+        entries: entries.map(entry => ({
+            rank: entry.rank,
+            address: entry.address,
+            totalPoints: entry.totalPoints,
+            basePoints: entry.basePoints,
+            multiplier: entry.multiplier,
+            matches: entry.matches,
+            rules: entry.rules,
+            balances: entry.balances
+        }))
+    };
+    writeFileAtomic(jsonFile, JSON.stringify(jsonData, null, 2));
+
+    const csvFile = path.join(outDir, 'leaderboard.csv');
+    const header = ['rank', 'address', 'totalPoints', 'basePoints', 'multiplier', 'matches',
+        ...ruleIds.map(id => `rule:${id}`), ...assetIds.map(id => `balance:${id}`)];
+    const lines = [header.map(csvEscape).join(',')];
+    for (const entry of entries) {
+        lines.push([
+            entry.rank, entry.address, entry.totalPoints, entry.basePoints, entry.multiplier, entry.matches,
+            ...ruleIds.map(id => entry.rules[id] || 0),
+            ...assetIds.map(id => entry.balances[id] || 0)
+        ].map(csvEscape).join(','));
+    }
+    writeFileAtomic(csvFile, lines.join('\n') + '\n');
+
+    return { jsonFile, csvFile, entries };
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            rules: { type: 'string', default: DEFAULT_RULES_FILE },
+            'out-dir': { type: 'string' },
+            full: { type: 'boolean', default: false },
+            'refresh-balances': { type: 'boolean', default: false },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    (async () => {
+        const network = loadNetwork(values);
+        const config = loadRules(path.resolve(values.rules));
+        const provider = createProvider(network.rpcUrls, network.chainId);
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { provider, db });
+
+        // Only final blocks are scored, so a reorg never leaves orphaned activity in the leaderboard
+        const range = getIndexedRange(db);
+        const live = loadProgress(db);
+        const toBlock = live.finalizedBlock !== null ? Math.min(range.toBlock, live.finalizedBlock) : range.toBlock;
+        if (toBlock === null) {
+            throw new Error('No indexed blocks to score');
+        }
+
+        console.log('='.repeat(80));
+        console.log(`LEADERBOARD - ${network.name}, up to block ${toBlock}`);
+        console.log('='.repeat(80));
+
+        const result = await updateLeaderboard(provider, db, config, toBlock, {
+            full: values.full,
+            refreshBalances: values['refresh-balances']
+        });
+        const { jsonFile, csvFile, entries } = writeLeaderboardFiles(db, config, path.resolve(values['out-dir'] || network.outputDir), toBlock);
+
+        console.log(`\n✓ ${result.updated} address(es) scored, ${entries.length} ranked`);
+        entries.slice(0, 10).forEach(entry => {
+            console.log(`  #${entry.rank}  ${entry.address}  ${entry.totalPoints} points (${entry.multiplier}x)`);
+        });
+        console.log(`\n✓ Results saved to: ${jsonFile}`);
+        console.log(`✓ Results saved to: ${csvFile}`);
+    })()
+        .then(() => {
+            console.log('\nDone!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { updateLeaderboard, writeLeaderboardFiles, assignRanks, hashRules };
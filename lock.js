@@ -0,0 +1,88 @@
+/**
+ * Single-instance lock files
+ * A lock file holds the PID, host and start time of the process owning it. It is created atomically
+ * (a fully written temp file hard-linked into place), so a crash never leaves a half-written lock.
+ * A lock left behind by a process that is no longer running on this host is stale and taken over.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic_file');
+
+/**
+ * Owner recorded in a lock file, or null when the file is missing or unreadable
+ */
+function readLock(file) {
+    try {
+        const owner = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Number.isInteger(owner.pid) ? owner : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isRunning(owner) {
+    // A process on another host (shared data directory) cannot be checked; assume it is alive
+    if (owner.host !== os.hostname()) {
+        return true;
+    }
+    try {
+        process.kill(owner.pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Take the lock file or throw if a running process holds it
+ * Returns { file, staleOwner, release }; staleOwner is the owner of a stale lock that was taken over
+ * (null otherwise) and release() removes the lock if it is still ours
+ */
+function acquireLock(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const owner = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() };
+    const temp = `${file}.${process.pid}.tmp`;
+    writeFileAtomic(temp, JSON.stringify(owner, null, 2));
+
+    let staleOwner = null;
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                fs.linkSync(temp, file);
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const current = readLock(file);
+            if (current && isRunning(current)) {
+                throw new Error(`Another instance (PID ${current.pid} on ${current.host}, started ${current.startedAt}) holds ${file}; delete the file if that process is gone`);
+            }
+            if (attempt > 0) {
+                throw new Error(`Could not take over the stale lock ${file}`);
+            }
+            // Unreadable locks are stale too: a complete lock file is always readable
+            staleOwner = current || { pid: null };
+            fs.rmSync(file, { force: true });
+        }
+    } finally {
+        fs.rmSync(temp, { force: true });
+    }
+
+    return {
+        file,
+        staleOwner,
+        release() {
+            const current = readLock(file);
+            if (current && current.pid === owner.pid && current.startedAt === owner.startedAt) {
+                fs.rmSync(file, { force: true });
+            }
+        }
+    };
+}
+
+module.exports = { acquireLock, readLock };
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Event log indexer built on eth_getLogs
+ * Indexes logs matching an address/topic filter, decodes them with the registered ABIs and stores
+ * them next to the transactions that emitted them. Catches interactions with watched contracts
+ * made through routers, multisigs and smart accounts, which top-level transactions miss.
+ * Only final blocks are indexed, so logs never need reorg handling.
+ *
+ * Usage: node log_indexer.js [--from <block>] [--address <addr>]... [--topic <topic0>]... [--once] [--network monad]
+ * Without --address, every contract with a registered ABI is watched.
+ */
+
+const { ethers } = require('ethers');
+const { parseArgs } = require('util');
+const { loadAbiRegistry, decodeLog } = require('./abi_registry');
+const { openStore, loadProgress, saveProgress, writeLogs } = require('./store');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+
+// Largest block range per eth_getLogs call (override with LOG_BLOCK_RANGE); halved when the node refuses a range
+const MAX_LOG_RANGE = Number(process.env.LOG_BLOCK_RANGE) || 100;
+const PROGRESS_NAME = 'logs';
+
+/**
+ * True when a getLogs error means the block range or result set was too large
+ */
+function isRangeTooLarge(error) {
+    const message = `${error.message || ''} ${JSON.stringify((error.error || (error.info && error.info.error)) || {})}`;
+    return /range|too many|limit|exceed|too large|response size/i.test(message);
+}
+
+/**
+ * Scan fromBlock..toBlock for logs matching filter, calling onLogs(logs, startBlock, endBlock)
+ * for each range in ascending order. The range shrinks when the node rejects it as too large.
+ */
+async function scanLogs(provider, filter, fromBlock, toBlock, onLogs, maxRange = MAX_LOG_RANGE) {
+    let start = fromBlock;
+    let range = maxRange;
+
+    while (start <= toBlock) {
+        const end = Math.min(toBlock, start + range - 1);
+        let logs;
+        try {
+            logs = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+        } catch (error) {
+            if (range > 1 && isRangeTooLarge(error)) {
+                range = Math.max(1, Math.floor(range / 2));
+                continue;
+            }
+            throw error;
+        }
+
+        await onLogs(logs, start, end);
+        start = end + 1;
+    }
+}
+
+/**
+ * Index logs for fromBlock..toBlock, saving decoded logs and progress together after every range
+ */
+async function indexLogs(provider, db, filter, fromBlock, toBlock) {
+    const registry = loadAbiRegistry(db);
+    const progress = loadProgress(db, PROGRESS_NAME);
+    let stored = 0;
+
+    await scanLogs(provider, filter, fromBlock, toBlock, async (logs, startBlock, endBlock) => {
+        const records = logs.map(log => {
+            const decoded = decodeLog(registry, log);
+            return {
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                transactionHash: log.transactionHash,
+                address: log.address,
+                topics: [...log.topics],
+                data: log.data,
+                event: decoded ? decoded.event : null,
+                args: decoded ? decoded.args : null
+            };
+        });
+
+        db.transaction(() => {
+            writeLogs(db, records);
+            progress.lastProcessedBlock = endBlock;
+            progress.finalizedBlock = endBlock;
+            saveProgress(db, progress, PROGRESS_NAME);
+        })();
+
+        stored += records.length;
+        if (records.length > 0) {
+            console.log(`   [SUCCESS] Blocks ${startBlock}-${endBlock}: ${records.length} logs`);
+        }
+    });
+
+    return stored;
+}
+
+/**
+ * Build the eth_getLogs filter from CLI addresses/topics, defaulting to every registered contract
+ */
+function buildFilter(db, addresses, topics) {
+    const watched = addresses.length > 0 ? addresses : [...loadAbiRegistry(db).keys()];
+    if (watched.length === 0) {
+        throw new Error('No contracts to watch: register an ABI with abi_registry.js or pass --address');
+    }
+    for (const address of watched) {
+        if (!ethers.isAddress(address)) {
+            throw new Error(`Invalid Ethereum address: ${address}`);
+        }
+    }
+
+    const filter = { address: watched.map(address => ethers.getAddress(address)) };
+    if (topics.length > 0) {
+        // A nested array matches any of the given topic0 values
+        filter.topics = [topics];
+    }
+    return filter;
+}
+
+async function main(network, options) {
+    console.log("Starting Monad Log Indexer...");
+    console.log(`Network: ${network.name} (chain id ${network.chainId})`);
+    console.log(`RPC endpoints: ${network.rpcUrls.join(', ')}\n`);
+
+    const provider = createProvider(network.rpcUrls, network.chainId);
+    const db = openStore(network.dbFile);
+    await checkChainId(network, { provider, db });
+    const filter = buildFilter(db, options.addresses, options.topics);
+
+    console.log(`Watching ${filter.address.length} contract(s)${filter.topics ? ` for ${filter.topics[0].length} topic(s)` : ''}`);
+
+    const progress = loadProgress(db, PROGRESS_NAME);
+    let nextBlock;
+    if (options.from !== undefined) {
+        nextBlock = options.from;
+    } else if (progress.lastProcessedBlock !== null) {
+        nextBlock = progress.lastProcessedBlock + 1;
+        console.log(`Resuming from block ${nextBlock}`);
+    } else {
+        nextBlock = await provider.getBlockNumber() - network.confirmations;
+        console.log(`First run - starting from final block: ${nextBlock}`);
+    }
+
+    while (true) {
+        try {
+            // Blocks `confirmations` behind the chain head are treated as final
+            const finalBlock = await provider.getBlockNumber() - network.confirmations;
+
+            if (nextBlock <= finalBlock) {
+                console.log(`\n[${new Date().toISOString()}] Indexing logs in blocks ${nextBlock}-${finalBlock}`);
+                const stored = await indexLogs(provider, db, filter, nextBlock, finalBlock);
+                console.log(`   Stored ${stored} logs`);
+                nextBlock = finalBlock + 1;
+            } else if (options.once) {
+                return;
+            } else {
+                // Caught up to the final block, wait for new blocks
+                process.stdout.write('.');
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+        } catch (error) {
+            console.error(`\n[ERROR] ${error.message}`);
+            // Resume after the last range that was saved
+            const saved = loadProgress(db, PROGRESS_NAME);
+            if (saved.lastProcessedBlock !== null && saved.lastProcessedBlock >= nextBlock) {
+                nextBlock = saved.lastProcessedBlock + 1;
+            }
+            if (options.once) {
+                throw error;
+            }
+            console.log('Retrying in 5 seconds...');
+            await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+    }
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            from: { type: 'string' },
+            address: { type: 'string', multiple: true, default: [] },
+            topic: { type: 'string', multiple: true, default: [] },
+            once: { type: 'boolean', default: false },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    const from = values.from !== undefined ? Number(values.from) : undefined;
+    if (from !== undefined && !Number.isInteger(from)) {
+        console.error(`Error: Invalid --from block: ${values.from}`);
+        process.exit(1);
+    }
+
+    let network;
+    try {
+        network = loadNetwork(values);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    main(network, { from, addresses: values.address, topics: values.topic, once: values.once })
+        .then(() => {
+            console.log('\nDone!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { scanLogs, indexLogs, buildFilter };
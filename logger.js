@@ -0,0 +1,58 @@
+/**
+ * Console output shared by the long-running processes
+ * In the default text format messages are printed exactly as written. In the json format every message
+ * is one JSON object per line ({ time, level, msg, ...fields }) for log collectors: the message loses
+ * its layout (leading whitespace, [timestamp] and [TAG] prefixes) and the fields carry the values.
+ *
+ * Select the format with setLogFormat() or the LOG_FORMAT environment variable.
+ */
+
+const LOG_FORMATS = ['text', 'json'];
+
+let format = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+function setLogFormat(value) {
+    if (!LOG_FORMATS.includes(value)) {
+        throw new Error(`Log format must be one of ${LOG_FORMATS.join(', ')}, got "${value}"`);
+    }
+    format = value;
+}
+
+function getLogFormat() {
+    return format;
+}
+
+/**
+ * Message text without its console layout: "\n[2024-01-01T00:00:00Z] [REORG] Rolled back" -> "Rolled back"
+ */
+function plainMessage(text) {
+    return text.trim().replace(/^(\[[^\]]*\]\s*)+/, '').trim();
+}
+
+function write(level, text, fields) {
+    if (format === 'json') {
+        const entry = { time: new Date().toISOString(), level, msg: plainMessage(text), ...fields };
+        const stream = level === 'error' ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value))}\n`);
+    } else if (level === 'error') {
+        console.error(text);
+    } else {
+        console.log(text);
+    }
+}
+
+const logger = {
+    info: (text, fields = {}) => write('info', text, fields),
+    warn: (text, fields = {}) => write('warn', text, fields),
+    error: (text, fields = {}) => write('error', text, fields),
+    /**
+     * Idle marker while waiting for new blocks; only shown in the text format
+     */
+    progress: () => {
+        if (format === 'text') {
+            process.stdout.write('.');
+        }
+    }
+};
+
+module.exports = { LOG_FORMATS, logger, setLogFormat, getLogFormat, plainMessage };
@@ -0,0 +1,282 @@
+/**
+ * Prometheus metrics and health checks for the indexer
+ *
+ * MetricsRegistry keeps counters, gauges and histograms in memory and renders them in the Prometheus
+ * text exposition format. createIndexerMonitor() defines the indexer's metrics, tracks whether it is
+ * still making progress, and startMonitorServer() serves them:
+ *   GET /metrics        Prometheus metrics
+ *   GET /health/live    200 while the indexer makes progress, 503 once it has stalled
+ *   GET /health/ready   200 once the indexer has reached the chain and is not stalled
+ */
+
+const http = require('http');
+
+// RPC request duration buckets, in seconds
+const RPC_DURATION_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+// Window over which blocks per second is averaged
+const RATE_WINDOW = 60000;
+// Progress older than this (seconds) marks the indexer stalled (override with --stall-timeout)
+const DEFAULT_STALL_TIMEOUT = 300;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * In-memory set of metrics; every metric holds one series per distinct label set
+ */
+class MetricsRegistry {
+    #metrics = new Map();
+    #collectors = [];
+
+    #register(type, name, help, extra = {}) {
+        if (this.#metrics.has(name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        const metric = { type, name, help, series: new Map(), ...extra };
+        this.#metrics.set(name, metric);
+        return metric;
+    }
+
+    #series(metric, labels, create) {
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!metric.series.has(key)) {
+            metric.series.set(key, { labels, ...create() });
+        }
+        return metric.series.get(key);
+    }
+
+    counter(name, help) {
+        const metric = this.#register('counter', name, help);
+        return {
+            inc: (amount = 1, labels = {}) => {
+                this.#series(metric, labels, () => ({ value: 0 })).value += amount;
+            }
+        };
+    }
+
+    gauge(name, help) {
+        const metric = this.#register('gauge', name, help);
+        return {
+            set: (value, labels = {}) => {
+                this.#series(metric, labels, () => ({ value: 0 })).value = value;
+            }
+        };
+    }
+
+    histogram(name, help, buckets) {
+        const metric = this.#register('histogram', name, help, { buckets });
+        return {
+            observe: (value, labels = {}) => {
+                const series = this.#series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) {
+                        series.counts[i]++;
+                    }
+                });
+                series.sum += value;
+                series.count++;
+            }
+        };
+    }
+
+    /**
+     * Run fn before every render, to refresh gauges that are read rather than pushed
+     */
+    onCollect(fn) {
+        this.#collectors.push(fn);
+    }
+
+    render() {
+        for (const collect of this.#collectors) {
+            collect();
+        }
+
+        const lines = [];
+        for (const metric of this.#metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const series of metric.series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+                lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * Metrics and health state of one indexer process
+ * The indexer reports what it does (record*); observeRpc is meant as the provider's onRequest hook.
+ * The indexer counts as making progress when it stores a block or finds itself at the chain head, so
+ * an idle chain is healthy but repeated failures (RPC down, store errors) are not.
+ */
+function createIndexerMonitor({ stallTimeout = DEFAULT_STALL_TIMEOUT, now = Date.now } = {}) {
+    const registry = new MetricsRegistry();
+    const headBlock = registry.gauge('indexer_head_block', 'Latest block number reported by the RPC endpoints');
+    const lastProcessedBlock = registry.gauge('indexer_last_processed_block', 'Newest block stored by the indexer');
+    const finalizedBlock = registry.gauge('indexer_finalized_block', 'Newest block treated as final');
+    const lag = registry.gauge('indexer_lag_blocks', 'Blocks between the chain head and the newest stored block');
+    const blocksPerSecond = registry.gauge('indexer_blocks_per_second', `Blocks stored per second over the last ${RATE_WINDOW / 1000}s`);
+    const blocksProcessed = registry.counter('indexer_blocks_processed_total', 'Blocks stored by this process');
+    const transactionsProcessed = registry.counter('indexer_transactions_processed_total', 'Transactions stored by this process');
+    const transactionsIndexed = registry.gauge('indexer_transactions_indexed', 'Transactions in the store');
+    const reorgs = registry.counter('indexer_reorgs_total', 'Chain reorganizations rolled back');
+    const errors = registry.counter('indexer_errors_total', 'Indexing rounds that failed and were retried');
+    const lastProgress = registry.gauge('indexer_last_progress_timestamp_seconds', 'Unix time the indexer last made progress');
+    const stalled = registry.gauge('indexer_stalled', '1 when the indexer has not made progress within the stall timeout');
+    const rpcRequests = registry.counter('rpc_requests_total', 'JSON-RPC calls by method and endpoint');
+    const rpcErrors = registry.counter('rpc_errors_total', 'Failed JSON-RPC calls by method, endpoint and kind (rate-limit, timeout, failure, rpc-error)');
+    const rpcDuration = registry.histogram('rpc_request_duration_seconds', 'JSON-RPC request latency by method', RPC_DURATION_BUCKETS);
+
+    const state = {
+        startedAt: now(),
+        lastProgressAt: now(),
+        headBlock: null,
+        lastProcessedBlock: null,
+        finalizedBlock: null
+    };
+    const recentBlocks = [];
+
+    const markProgress = () => {
+        state.lastProgressAt = now();
+    };
+
+    const health = () => {
+        const secondsSinceProgress = Math.round((now() - state.lastProgressAt) / 1000);
+        const isStalled = secondsSinceProgress > stallTimeout;
+        return {
+            live: !isStalled,
+            ready: state.headBlock !== null && !isStalled,
+            stalled: isStalled,
+            secondsSinceProgress,
+            stallTimeout,
+            headBlock: state.headBlock,
+            lastProcessedBlock: state.lastProcessedBlock,
+            finalizedBlock: state.finalizedBlock,
+            lag: state.headBlock !== null && state.lastProcessedBlock !== null ? state.headBlock - state.lastProcessedBlock : null
+        };
+    };
+
+    registry.onCollect(() => {
+        while (recentBlocks.length > 0 && recentBlocks[0] <= now() - RATE_WINDOW) {
+            recentBlocks.shift();
+        }
+        const window = Math.min(RATE_WINDOW, now() - state.startedAt) / 1000;
+        blocksPerSecond.set(window > 0 ? Math.round((recentBlocks.length / window) * 1000) / 1000 : 0);
+
+        const current = health();
+        if (current.lag !== null) {
+            lag.set(current.lag);
+        }
+        lastProgress.set(Math.floor(state.lastProgressAt / 1000));
+        stalled.set(current.stalled ? 1 : 0);
+    });
+
+    return {
+        registry,
+        health,
+        recordHead(blockNumber) {
+            state.headBlock = blockNumber;
+            headBlock.set(blockNumber);
+        },
+        recordBlock(block, progress, totalTransactions) {
+            state.lastProcessedBlock = progress.lastProcessedBlock;
+            state.finalizedBlock = progress.finalizedBlock;
+            lastProcessedBlock.set(progress.lastProcessedBlock);
+            if (progress.finalizedBlock !== null) {
+                finalizedBlock.set(progress.finalizedBlock);
+            }
+            blocksProcessed.inc();
+            transactionsProcessed.inc(block.transactions.length);
+            transactionsIndexed.set(totalTransactions);
+            recentBlocks.push(now());
+            markProgress();
+        },
+        /**
+         * Resumed or rolled back: the stored position changed without a new block
+         */
+        recordPosition(progress, totalTransactions) {
+            state.lastProcessedBlock = progress.lastProcessedBlock;
+            state.finalizedBlock = progress.finalizedBlock;
+            if (progress.lastProcessedBlock !== null) {
+                lastProcessedBlock.set(progress.lastProcessedBlock);
+            }
+            if (progress.finalizedBlock !== null) {
+                finalizedBlock.set(progress.finalizedBlock);
+            }
+            transactionsIndexed.set(totalTransactions);
+        },
+        recordIdle() {
+            markProgress();
+        },
+        recordReorg() {
+            reorgs.inc();
+        },
+        recordError() {
+            errors.inc();
+        },
+        observeRpc({ method, url, durationMs, error }) {
+            rpcRequests.inc(1, { method, endpoint: url });
+            if (error) {
+                rpcErrors.inc(1, { method, endpoint: url, kind: error });
+            }
+            rpcDuration.observe(durationMs / 1000, { method });
+        }
+    };
+}
+
+/**
+ * Serve a monitor's /metrics and /health endpoints; resolves with the listening server
+ */
+function startMonitorServer(monitor, port) {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(monitor.registry.render());
+            return;
+        }
+        if (req.method === 'GET' && (pathname === '/health/live' || pathname === '/health/ready')) {
+            const health = monitor.health();
+            const ok = pathname === '/health/live' ? health.live : health.ready;
+            res.writeHead(ok ? 200 : 503, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ status: ok ? 'ok' : 'unhealthy', ...health }, null, 2));
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found\n');
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { DEFAULT_STALL_TIMEOUT, MetricsRegistry, createIndexerMonitor, startMonitorServer };
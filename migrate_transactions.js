@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * One-shot migration of the JSON indexer output into the SQLite store
+ * Imports every transactions/block_*.json file and the progress from indexer_progress.json
+ *
+ * Usage: node migrate_transactions.js [transactionsDir] [progressFile] [--network monad]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { openStore, loadProgress, saveProgress, writeBlock, getBlockHash } = require('./store');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+
+const DEFAULT_TRANSACTIONS_DIR = path.join(__dirname, 'transactions');
+const DEFAULT_PROGRESS_FILE = path.join(__dirname, 'indexer_progress.json');
+
+/**
+ * List block files in a transactions directory, in block order
+ */
+function getBlockFiles(transactionsDir) {
+    return fs.readdirSync(transactionsDir)
+        .filter(file => file.endsWith('.json') && file.startsWith('block_'))
+        .map(file => ({ file, blockNumber: Number(file.slice('block_'.length, -'.json'.length)) }))
+        .filter(entry => Number.isInteger(entry.blockNumber))
+        .sort((a, b) => a.blockNumber - b.blockNumber)
+        .map(entry => path.join(transactionsDir, entry.file));
+}
+
+function migrate(transactionsDir, progressFile, db) {
+    let importedBlocks = 0;
+    let importedTxns = 0;
+
+    if (fs.existsSync(transactionsDir)) {
+        const files = getBlockFiles(transactionsDir);
+        console.log(`Importing ${files.length} block files from ${transactionsDir}...`);
+
+        const importFile = db.transaction((data) => {
+            // Files written before reorg tracking have no block hashes, and their
+            // timestamp is the time of indexing rather than the block time
+            writeBlock(db, {
+                number: data.blockNumber,
+                hash: data.blockHash || null,
+                parentHash: data.parentHash || null,
+                timestamp: null,
+                transactions: data.transactions || []
+            });
+        });
+
+        for (const filePath of files) {
+            try {
+                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                importFile(data);
+                importedBlocks++;
+                importedTxns += (data.transactions || []).length;
+            } catch (error) {
+                console.log(`  ! Error importing ${path.basename(filePath)}: ${error.message}`);
+            }
+        }
+    } else {
+        console.log(`  ✗ Transactions directory not found: ${transactionsDir}`);
+    }
+
+    const progress = loadProgress(db);
+
+    if (fs.existsSync(progressFile)) {
+        // A progress file cut short by a crash is rebuilt from the blocks imported above
+        let legacy = null;
+        try {
+            legacy = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+        } catch (error) {
+            console.log(`  ! Progress file ${progressFile} is damaged (${error.message}), rebuilding progress from the stored blocks`);
+            const highest = db.prepare('SELECT MAX(number) AS number FROM blocks').get().number;
+            if (highest !== null && highest > (progress.lastProcessedBlock || 0)) {
+                progress.lastProcessedBlock = highest;
+            }
+        }
+
+        if (legacy !== null) {
+            console.log(`Importing progress from ${progressFile} (last processed: ${legacy.lastProcessedBlock})`);
+
+            db.transaction(() => {
+                // Empty blocks never had a file; keep their hashes so the indexer can still check parent hashes
+                for (const [blockNumber, hash] of Object.entries(legacy.blockHashes || {})) {
+                    if (getBlockHash(db, Number(blockNumber)) === null) {
+                        writeBlock(db, { number: Number(blockNumber), hash, parentHash: null, timestamp: null, transactions: [] });
+                    }
+                }
+
+                if (legacy.lastProcessedBlock > (progress.lastProcessedBlock || 0)) {
+                    progress.lastProcessedBlock = legacy.lastProcessedBlock;
+                    progress.finalizedBlock = legacy.finalizedBlock !== undefined ? legacy.finalizedBlock : null;
+                }
+            })();
+
+            if (legacy.totalTransactions !== undefined && legacy.totalTransactions !== importedTxns) {
+                console.log(`  ! Progress file reports ${legacy.totalTransactions} transactions, imported ${importedTxns}`);
+            }
+        }
+    }
+
+    // The stored total always reflects what is actually in the database
+    progress.totalTransactions = db.prepare('SELECT COUNT(*) AS count FROM transactions').get().count;
+    saveProgress(db, progress);
+
+    return { importedBlocks, importedTxns, progress };
+}
+
+// Main execution
+if (require.main === module) {
+    const { values, positionals } = parseArgs({ options: CONFIG_OPTIONS, allowPositionals: true });
+    const transactionsDir = path.resolve(positionals[0] || DEFAULT_TRANSACTIONS_DIR);
+    const progressFile = path.resolve(positionals[1] || DEFAULT_PROGRESS_FILE);
+
+    (async () => {
+        // The legacy files hold no chain id; they are imported into the selected network's store
+        const network = loadNetwork(values);
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { db });
+        const result = migrate(transactionsDir, progressFile, db);
+
+        console.log('');
+        console.log(`✓ Imported ${result.importedBlocks} blocks, ${result.importedTxns} transactions into ${network.dbFile}`);
+        console.log(`  Last processed block: ${result.progress.lastProcessedBlock}`);
+        console.log(`  Total transactions: ${result.progress.totalTransactions}`);
+    })()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,87 @@
+/**
+ * Read-only contract calls aggregated through Multicall3
+ * Many calls go out as a few aggregate3 calls, each allowed to fail on its own. On chains without
+ * Multicall3 the calls are sent one by one instead (still packed into JSON-RPC batches by the provider).
+ */
+
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+// Calls per aggregate3 call
+const DEFAULT_BATCH_SIZE = 500;
+
+// Whether Multicall3 is deployed, per provider
+const deployed = new WeakMap();
+
+async function hasMulticall(provider) {
+    if (!deployed.has(provider)) {
+        deployed.set(provider, provider.getCode(MULTICALL3_ADDRESS).then(code => code !== '0x'));
+    }
+    return deployed.get(provider);
+}
+
+/**
+ * Run calls ([{ target, callData }]) at blockTag
+ * Returns one { success, returnData } per call, in order; a reverted call does not fail the others
+ */
+async function aggregateCalls(provider, calls, { blockTag, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    if (calls.length === 0) {
+        return [];
+    }
+
+    if (!(await hasMulticall(provider))) {
+        return Promise.all(calls.map(async ({ target, callData }) => {
+            try {
+                return { success: true, returnData: await provider.call({ to: target, data: callData, blockTag }) };
+            } catch (error) {
+                if (error.code !== 'CALL_EXCEPTION') {
+                    throw error;
+                }
+                return { success: false, returnData: '0x' };
+            }
+        }));
+    }
+
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const batches = [];
+    for (let i = 0; i < calls.length; i += batchSize) {
+        const batch = calls.slice(i, i + batchSize).map(({ target, callData }) => ({ target, allowFailure: true, callData }));
+        batches.push(multicall.aggregate3.staticCall(batch, blockTag !== undefined ? { blockTag } : {}));
+    }
+
+    const results = [];
+    for (const batch of await Promise.all(batches)) {
+        for (const result of batch) {
+            results.push({ success: result.success, returnData: result.returnData });
+        }
+    }
+    return results;
+}
+
+/**
+ * Call one function of many contracts: each entry of `requests` is { target, args }
+ * Returns the decoded first return value of each call, or null for calls that reverted or returned nothing
+ */
+async function multicallFunction(provider, iface, fragment, requests, options = {}) {
+    const results = await aggregateCalls(provider, requests.map(({ target, args }) => ({
+        target,
+        callData: iface.encodeFunctionData(fragment, args)
+    })), options);
+
+    return results.map(result => {
+        if (!result.success || result.returnData === '0x') {
+            return null;
+        }
+        try {
+            return iface.decodeFunctionResult(fragment, result.returnData)[0];
+        } catch (error) {
+            return null;
+        }
+    });
+}
+
+module.exports = { MULTICALL3_ADDRESS, aggregateCalls, multicallFunction };
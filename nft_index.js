@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * ERC-721 ownership index built from the collection's Transfer logs
+ * Keeps the current owner of every token plus the full transfer history, so holdings (now or at any
+ * past block) are answered from the store instead of enumerating tokens over RPC.
+ * Only final blocks are indexed, so the index never needs reorg handling.
+ *
+ * Usage: node nft_index.js [--contract <addr>] [--from <block>] [--once] [--network monad]
+ * --contract defaults to the network's configured NFT collection.
+ * Without --from, the first run starts at the collection's deployment block.
+ */
+
+const { ethers } = require('ethers');
+const { parseArgs } = require('util');
+const { scanLogs } = require('./log_indexer');
+const { findDeploymentBlock } = require('./backfill');
+const { openStore, loadProgress, saveProgress, writeNftTransfers, getOwnedTokens } = require('./store');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const ERC721_ABI = [
+    "function balanceOf(address owner) view returns (uint256)",
+    "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+    "function ownerOf(uint256 tokenId) view returns (address)"
+];
+
+function progressName(contract) {
+    return `nft:${contract.toLowerCase()}`;
+}
+
+/**
+ * Decode an ERC-721 Transfer log; ERC-20 Transfers (tokenId not indexed) are skipped
+ */
+function parseTransferLog(log) {
+    if (log.topics.length !== 4 || log.topics[0] !== TRANSFER_TOPIC) {
+        return null;
+    }
+    return {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+        from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+        to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+        tokenId: BigInt(log.topics[3]).toString()
+    };
+}
+
+/**
+ * Index Transfer logs of a collection for fromBlock..toBlock, saving transfers and progress together
+ */
+async function indexTransfers(provider, db, contract, fromBlock, toBlock) {
+    const progress = loadProgress(db, progressName(contract));
+    let stored = 0;
+
+    const filter = { address: contract, topics: [TRANSFER_TOPIC] };
+    await scanLogs(provider, filter, fromBlock, toBlock, async (logs, startBlock, endBlock) => {
+        const transfers = logs
+            .map(parseTransferLog)
+            .filter(transfer => transfer !== null)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        db.transaction(() => {
+            writeNftTransfers(db, contract, transfers);
+            progress.lastProcessedBlock = endBlock;
+            progress.finalizedBlock = endBlock;
+            saveProgress(db, progress, progressName(contract));
+        })();
+
+        stored += transfers.length;
+        if (transfers.length > 0) {
+            console.log(`   [SUCCESS] Blocks ${startBlock}-${endBlock}: ${transfers.length} transfers`);
+        }
+    });
+
+    return stored;
+}
+
+/**
+ * Last block the ownership index covers for a collection, or null when it has never been built
+ */
+function getIndexedBlock(db, contract) {
+    return loadProgress(db, progressName(contract)).lastProcessedBlock;
+}
+
+/**
+ * Check indexed holdings against the chain: balanceOf must match the count, and
+ * ownerOf must return the holder for every indexed token
+ */
+async function verifyHoldings(provider, contract, address, tokenIds) {
+    const nftContract = new ethers.Contract(contract, ERC721_ABI, provider);
+    const onChainBalance = Number(await nftContract.balanceOf(address));
+
+    const owners = await Promise.all(tokenIds.map(tokenId => nftContract.ownerOf(tokenId).catch(() => null)));
+    const mismatchedTokens = tokenIds.filter((tokenId, i) => !owners[i] || owners[i].toLowerCase() !== address.toLowerCase());
+
+    return {
+        onChainBalance,
+        mismatchedTokens,
+        consistent: onChainBalance === tokenIds.length && mismatchedTokens.length === 0
+    };
+}
+
+/**
+ * Holdings read directly from the chain, for collections that have no ownership index yet
+ * Token ids are only available from enumerable collections; otherwise tokenIds is null
+ */
+async function fetchOnChainHoldings(provider, contract, address) {
+    const nftContract = new ethers.Contract(contract, ERC721_ABI, provider);
+    const balance = Number(await nftContract.balanceOf(address));
+
+    let tokenIds = [];
+    try {
+        const ids = await Promise.all(
+            Array.from({ length: balance }, (_, i) => nftContract.tokenOfOwnerByIndex(address, i))
+        );
+        tokenIds = ids.map(id => id.toString());
+    } catch (error) {
+        tokenIds = null;
+    }
+
+    return { balance, tokenIds, indexedBlock: null };
+}
+
+/**
+ * Holdings of an address from the ownership index, optionally verified on-chain
+ * Returns null when no index has been built for the collection
+ */
+async function getHoldings(db, provider, contract, address, { verify = false } = {}) {
+    const indexedBlock = getIndexedBlock(db, contract);
+    if (indexedBlock === null) {
+        return null;
+    }
+
+    const tokenIds = getOwnedTokens(db, contract, address);
+    const holdings = { balance: tokenIds.length, tokenIds, indexedBlock };
+
+    if (verify) {
+        holdings.verification = await verifyHoldings(provider, contract, address, tokenIds);
+    }
+    return holdings;
+}
+
+async function main(network, options) {
+    console.log("Starting NFT Ownership Indexer...");
+    console.log(`Network: ${network.name} (chain id ${network.chainId})`);
+    console.log(`RPC endpoints: ${network.rpcUrls.join(', ')}`);
+    console.log(`NFT Contract: ${options.contract}\n`);
+
+    const provider = createProvider(network.rpcUrls, network.chainId);
+    const db = openStore(network.dbFile);
+    await checkChainId(network, { provider, db });
+
+    let nextBlock;
+    const indexedBlock = getIndexedBlock(db, options.contract);
+    if (options.from !== undefined) {
+        nextBlock = options.from;
+    } else if (indexedBlock !== null) {
+        nextBlock = indexedBlock + 1;
+        console.log(`Resuming from block ${nextBlock}`);
+    } else {
+        // Ownership is only correct when the whole history is indexed, so start at deployment
+        console.log('First run - finding collection deployment block...');
+        nextBlock = await findDeploymentBlock(provider, options.contract, await provider.getBlockNumber() - network.confirmations);
+        console.log(`  ✓ Deployed in block ${nextBlock}`);
+    }
+
+    while (true) {
+        try {
+            // Blocks `confirmations` behind the chain head are treated as final
+            const finalBlock = await provider.getBlockNumber() - network.confirmations;
+
+            if (nextBlock <= finalBlock) {
+                console.log(`\n[${new Date().toISOString()}] Indexing transfers in blocks ${nextBlock}-${finalBlock}`);
+                const stored = await indexTransfers(provider, db, options.contract, nextBlock, finalBlock);
+                console.log(`   Stored ${stored} transfers`);
+                nextBlock = finalBlock + 1;
+            } else if (options.once) {
+                return;
+            } else {
+                // Caught up to the final block, wait for new blocks
+                process.stdout.write('.');
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+        } catch (error) {
+            console.error(`\n[ERROR] ${error.message}`);
+            // Resume after the last range that was saved
+            const saved = getIndexedBlock(db, options.contract);
+            if (saved !== null && saved >= nextBlock) {
+                nextBlock = saved + 1;
+            }
+            if (options.once) {
+                throw error;
+            }
+            console.log('Retrying in 5 seconds...');
+            await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+    }
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            contract: { type: 'string' },
+            from: { type: 'string' },
+            once: { type: 'boolean', default: false },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    let network;
+    let contract;
+    try {
+        network = loadNetwork(values);
+        contract = values.contract !== undefined ? values.contract : requireContract(network, 'nft');
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    if (!ethers.isAddress(contract)) {
+        console.error(`Error: Invalid Ethereum address: ${contract}`);
+        process.exit(1);
+    }
+    const from = values.from !== undefined ? Number(values.from) : undefined;
+    if (from !== undefined && !Number.isInteger(from)) {
+        console.error(`Error: Invalid --from block: ${values.from}`);
+        process.exit(1);
+    }
+
+    main(network, { contract: ethers.getAddress(contract), from, once: values.once })
+        .then(() => {
+            console.log('\nDone!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    indexTransfers,
+    getHoldings,
+    verifyHoldings,
+    fetchOnChainHoldings,
+    getIndexedBlock,
+    parseTransferLog,
+    TRANSFER_TOPIC
+};
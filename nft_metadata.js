@@ -0,0 +1,662 @@
+#!/usr/bin/env node
+/**
+ * Token metadata, traits and rarity of an NFT collection
+ * `sync` reads each token's tokenURI (uri for ERC-1155) through Multicall3 and fetches the document from
+ * ipfs:// (through an HTTP gateway), ar://, data: or http(s) URIs. Documents are cached in the data
+ * directory under their sha256 content hash, and their traits are normalized into the store (nft_traits),
+ * where holder reports and the trait and rarity multipliers of the points rules read them. Tokens fetched
+ * before are not fetched again unless --refresh is given; --offline only re-reads the cache.
+ *
+ * Rarity: a token scores, per trait type, the number of tokens over the number sharing its value (tokens
+ * without the trait share a "none" value), summed over trait types; numeric stats (traits with a
+ * display_type) do not count. Tokens are ranked by score and rarity tiers go by rank: the top 1% is
+ * legendary, then 5% epic, 15% rare, 40% uncommon, the rest common.
+ * A rules file with multipliers.rarityTiers ([{ name, top }], top in percent) overrides the tiers.
+ *
+ * Usage:
+ *   node nft_metadata.js sync [--tokens 1,2,3] [--refresh] [--offline] [--gateway https://ipfs.io] [--concurrency 8]
+ *   node nft_metadata.js traits [--json]
+ *   node nft_metadata.js token <id> [--json]
+ * Every command takes --contract (defaults to the network's NFT collection), --rules and --network.
+ * Without --tokens, sync covers the ownership index (nft_index.js) and the tokens already stored.
+ * IPFS_GATEWAY sets the default gateway, e.g. a local one for testing.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { openStore, getNftTokenIds, saveNftMetadata, getNftMetadata, getNftTraitCounts } = require('./store');
+const { multicallFunction } = require('./multicall');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+const { writeFileAtomic } = require('./atomic_file');
+
+const DEFAULT_GATEWAY = "https://ipfs.io";
+const ARWEAVE_GATEWAY = "https://arweave.net";
+// Milliseconds before a metadata request is given up
+const FETCH_TIMEOUT = 15000;
+const DEFAULT_CONCURRENCY = 8;
+// Tokens whose URIs are read and whose metadata is stored together
+const SYNC_CHUNK_SIZE = 200;
+
+// Checked in order: a token belongs to the first tier whose top percent of ranks includes it
+const DEFAULT_RARITY_TIERS = [
+    { name: 'legendary', top: 1 },
+    { name: 'epic', top: 5 },
+    { name: 'rare', top: 15 },
+    { name: 'uncommon', top: 40 }
+];
+const COMMON_TIER = 'common';
+
+const METADATA_ABI = [
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function tokenURI(uint256 tokenId) view returns (string)',
+    'function uri(uint256 id) view returns (string)'
+];
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+const metadataInterface = new ethers.Interface(METADATA_ABI);
+
+/**
+ * Problems with a rarity tier list, as messages; empty when the list is valid
+ */
+function rarityTierErrors(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        return ['must be a non-empty array of { name, top } tiers'];
+    }
+
+    const errors = [];
+    const names = new Set();
+    let previousTop = 0;
+    tiers.forEach((tier, i) => {
+        if (!tier || typeof tier.name !== 'string' || tier.name.length === 0) {
+            errors.push(`[${i}].name must be a non-empty string`);
+        } else if (tier.name === COMMON_TIER) {
+            errors.push(`[${i}].name "${COMMON_TIER}" is reserved for tokens below every tier`);
+        } else if (names.has(tier.name)) {
+            errors.push(`[${i}].name "${tier.name}" is used twice`);
+        } else {
+            names.add(tier.name);
+        }
+        if (!tier || typeof tier.top !== 'number' || !(tier.top > previousTop && tier.top <= 100)) {
+            errors.push(`[${i}].top must be a percentage above the previous tier's, at most 100`);
+        } else {
+            previousTop = tier.top;
+        }
+    });
+    return errors;
+}
+
+/**
+ * Rarity tiers of a rules file (multipliers.rarityTiers), or the default tiers
+ */
+function loadRarityTiers(rulesFile) {
+    if (!rulesFile) {
+        return DEFAULT_RARITY_TIERS;
+    }
+    if (!fs.existsSync(rulesFile)) {
+        throw new Error(`Rules file not found: ${rulesFile}`);
+    }
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse rules file ${rulesFile}: ${error.message}`);
+    }
+
+    const tiers = config.multipliers && config.multipliers.rarityTiers;
+    if (tiers === undefined) {
+        return DEFAULT_RARITY_TIERS;
+    }
+    const errors = rarityTierErrors(tiers);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rarity tiers (${rulesFile}):\n  - ${errors.map(error => `multipliers.rarityTiers${error}`).join('\n  - ')}`);
+    }
+    return tiers;
+}
+
+function decodeDataUri(uri) {
+    const match = /^data:([^,]*),(.*)$/s.exec(uri);
+    if (!match) {
+        throw new Error('Malformed data: URI');
+    }
+    if (match[1].split(';').includes('base64')) {
+        return Buffer.from(match[2], 'base64');
+    }
+    try {
+        return Buffer.from(decodeURIComponent(match[2]), 'utf8');
+    } catch (error) {
+        // Unencoded JSON with a stray %
+        return Buffer.from(match[2], 'utf8');
+    }
+}
+
+/**
+ * Where a token URI's document is: { content } for data: URIs, { url } for documents fetched over HTTP
+ * The ERC-1155 {id} placeholder becomes the token id as 64 hex digits; ipfs:// and ar:// go through gateways
+ */
+function resolveTokenUri(uri, tokenId, { gateway = DEFAULT_GATEWAY } = {}) {
+    const resolved = uri.trim().replace(/\{id\}/gi, BigInt(tokenId).toString(16).padStart(64, '0'));
+
+    if (resolved.startsWith('data:')) {
+        return { content: decodeDataUri(resolved) };
+    }
+    if (resolved.startsWith('ipfs://')) {
+        const ipfsPath = resolved.slice('ipfs://'.length).replace(/^ipfs\//, '');
+        return { url: `${gateway.replace(/\/+$/, '')}/ipfs/${ipfsPath}` };
+    }
+    if (resolved.startsWith('ar://')) {
+        return { url: `${ARWEAVE_GATEWAY}/${resolved.slice('ar://'.length)}` };
+    }
+    if (/^https?:\/\//i.test(resolved)) {
+        return { url: resolved };
+    }
+    throw new Error(`Unsupported token URI: ${resolved.length > 80 ? `${resolved.slice(0, 80)}...` : resolved}`);
+}
+
+/**
+ * Raw metadata document of a token URI
+ */
+async function fetchDocument(uri, tokenId, { gateway = DEFAULT_GATEWAY, timeout = FETCH_TIMEOUT } = {}) {
+    const location = resolveTokenUri(uri, tokenId, { gateway });
+    if (location.content) {
+        return location.content;
+    }
+
+    const response = await fetch(location.url, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText} from ${location.url}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+function metadataCacheDir(network) {
+    return path.join(network.dataDir, 'metadata');
+}
+
+/**
+ * Keep a document in the cache under its sha256 hash, replacing a damaged copy; returns the hash
+ */
+function cacheDocument(cacheDir, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const file = path.join(cacheDir, `${hash}.json`);
+    if (readCachedDocument(cacheDir, hash) === null) {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        writeFileAtomic(file, content);
+    }
+    return hash;
+}
+
+/**
+ * Cached document with the given hash, or null when it is missing or no longer matches its hash
+ */
+function readCachedDocument(cacheDir, hash) {
+    const file = path.join(cacheDir, `${hash}.json`);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const content = fs.readFileSync(file);
+    return crypto.createHash('sha256').update(content).digest('hex') === hash ? content : null;
+}
+
+/**
+ * Name, image and traits of a metadata document
+ * Traits come from an attributes (or traits) array of { trait_type, value, display_type }, or an object
+ * of trait type to value. Values are kept as text; empty values and duplicates are dropped.
+ */
+function normalizeMetadata(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('Metadata is not a JSON object');
+    }
+
+    const source = document.attributes !== undefined ? document.attributes : document.traits;
+    let entries = [];
+    if (Array.isArray(source)) {
+        entries = source.map(attribute => (attribute !== null && typeof attribute === 'object'
+            ? { traitType: attribute.trait_type !== undefined ? attribute.trait_type : attribute.type, value: attribute.value, displayType: attribute.display_type }
+            : { traitType: undefined, value: attribute }));
+    } else if (source !== null && typeof source === 'object') {
+        entries = Object.entries(source).map(([traitType, value]) => ({ traitType, value }));
+    }
+
+    const seen = new Set();
+    const traits = [];
+    for (const entry of entries) {
+        if (entry.value === null || entry.value === undefined || typeof entry.value === 'object') {
+            continue;
+        }
+        const traitType = String(entry.traitType === undefined || entry.traitType === null ? 'trait' : entry.traitType).trim();
+        const value = String(entry.value).trim();
+        const key = `${traitType.toLowerCase()}\n${value.toLowerCase()}`;
+        if (traitType.length === 0 || value.length === 0 || seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        traits.push({ traitType, value, displayType: entry.displayType ? String(entry.displayType) : null });
+    }
+
+    const image = document.image || document.image_url || null;
+    return {
+        name: document.name !== undefined && document.name !== null ? String(document.name) : null,
+        image: typeof image === 'string' ? image : null,
+        traits
+    };
+}
+
+/**
+ * Rarity of every token from its traits ([tokenId, traits] entries or a Map)
+ * Returns a Map of token id to { score, rank, tier }; rank 1 is the rarest, equal scores rank by token id
+ */
+function computeRarity(tokenTraits, tiers = DEFAULT_RARITY_TIERS) {
+    const tokens = [...tokenTraits];
+    const total = tokens.length;
+
+    // Per trait type: tokens having it, and tokens per value
+    const traitTypes = new Map();
+    const valuesOf = traits => {
+        const byType = new Map();
+        for (const trait of traits.filter(candidate => !candidate.displayType)) {
+            const type = trait.traitType.toLowerCase();
+            if (!byType.has(type)) {
+                byType.set(type, new Set());
+            }
+            byType.get(type).add(trait.value.toLowerCase());
+        }
+        return byType;
+    };
+    const tokenValues = tokens.map(([tokenId, traits]) => [tokenId, valuesOf(traits)]);
+    for (const [, byType] of tokenValues) {
+        for (const [type, values] of byType) {
+            if (!traitTypes.has(type)) {
+                traitTypes.set(type, { tokens: 0, values: new Map() });
+            }
+            const stats = traitTypes.get(type);
+            stats.tokens++;
+            for (const value of values) {
+                stats.values.set(value, (stats.values.get(value) || 0) + 1);
+            }
+        }
+    }
+
+    const scored = tokenValues.map(([tokenId, byType]) => {
+        let score = 0;
+        for (const [type, stats] of traitTypes) {
+            const values = byType.get(type);
+            if (values) {
+                for (const value of values) {
+                    score += total / stats.values.get(value);
+                }
+            } else {
+                score += total / (total - stats.tokens);
+            }
+        }
+        return { tokenId, score: Math.round(score * 1e4) / 1e4 };
+    });
+    scored.sort((a, b) => b.score - a.score || (BigInt(a.tokenId) < BigInt(b.tokenId) ? -1 : 1));
+
+    const rarity = new Map();
+    scored.forEach((entry, i) => {
+        const rank = i + 1;
+        const tier = tiers.find(candidate => rank <= Math.ceil((total * candidate.top) / 100));
+        rarity.set(entry.tokenId, { score: entry.score, rank, tier: tier ? tier.name : COMMON_TIER });
+    });
+    return rarity;
+}
+
+/**
+ * Rarity of every token of a collection with stored metadata
+ */
+function getCollectionRarity(db, contract, tiers = DEFAULT_RARITY_TIERS) {
+    const tokens = getNftMetadata(db, contract).filter(entry => entry.status === 'ok');
+    return computeRarity(tokens.map(entry => [entry.tokenId, entry.traits]), tiers);
+}
+
+/**
+ * Name, rarity and traits of the given tokens, from the store
+ * Returns a Map of token id to { name, rarity, traits: { type: value } }; tokens without metadata are left out
+ */
+function getTokenDetails(db, contract, tokenIds, tiers = DEFAULT_RARITY_TIERS) {
+    const metadata = getNftMetadata(db, contract, tokenIds).filter(entry => entry.status === 'ok');
+    if (metadata.length === 0) {
+        return new Map();
+    }
+
+    const rarity = getCollectionRarity(db, contract, tiers);
+    return new Map(metadata.map(entry => {
+        const traits = {};
+        for (const trait of entry.traits) {
+            traits[trait.traitType] = traits[trait.traitType] !== undefined ? `${traits[trait.traitType]}, ${trait.value}` : trait.value;
+        }
+        return [entry.tokenId, { name: entry.name, rarity: rarity.get(entry.tokenId), traits }];
+    }));
+}
+
+/**
+ * One-line summary of a token's details, e.g. "Ape #5 [rare] Background: Gold, Eyes: Laser"
+ */
+function describeToken(details) {
+    const traits = Object.entries(details.traits).map(([type, value]) => `${type}: ${value}`).join(', ');
+    return [details.name, `[${details.rarity.tier}]`, traits].filter(Boolean).join(' ');
+}
+
+/**
+ * Token URIs of tokenIds through Multicall3; null for calls that reverted
+ */
+async function readTokenUris(provider, contract, tokenIds) {
+    const [isErc1155] = await multicallFunction(provider, metadataInterface, 'supportsInterface', [
+        { target: contract, args: [ERC1155_INTERFACE_ID] }
+    ]);
+    const fragment = isErc1155 === true ? 'uri' : 'tokenURI';
+    return multicallFunction(provider, metadataInterface, fragment, tokenIds.map(tokenId => ({ target: contract, args: [tokenId] })));
+}
+
+/**
+ * Fetch, cache and store the metadata of tokenIds
+ * Tokens stored before whose document is still cached are left as they are unless refresh is set.
+ * offline never reads the chain or fetches: traits are rebuilt from the cached documents, and tokens
+ * without one count as missing.
+ * A token that fails keeps the metadata it had. Returns { fetched, cached, failed: [{ tokenId, error }], missing }.
+ */
+async function syncMetadata(db, provider, contract, tokenIds, options = {}) {
+    const {
+        cacheDir,
+        gateway = DEFAULT_GATEWAY,
+        offline = false,
+        refresh = false,
+        concurrency = DEFAULT_CONCURRENCY,
+        timeout = FETCH_TIMEOUT
+    } = options;
+    const stored = new Map(getNftMetadata(db, contract, tokenIds).map(entry => [entry.tokenId, entry]));
+    const result = { fetched: 0, cached: 0, failed: [], missing: [] };
+
+    const fromCache = (previous) => {
+        const content = previous && previous.contentHash ? readCachedDocument(cacheDir, previous.contentHash) : null;
+        if (content === null) {
+            return null;
+        }
+        const metadata = normalizeMetadata(JSON.parse(content.toString('utf8')));
+        return { ...previous, status: 'ok', ...metadata };
+    };
+
+    const cachedEntries = [];
+    const pending = [];
+    for (const tokenId of tokenIds) {
+        const previous = stored.get(tokenId);
+        if (offline || (!refresh && previous && previous.status === 'ok')) {
+            const entry = fromCache(previous);
+            if (entry !== null) {
+                if (offline) {
+                    cachedEntries.push(entry);
+                }
+                result.cached++;
+                continue;
+            }
+            if (offline) {
+                result.missing.push(tokenId);
+                continue;
+            }
+        }
+        pending.push(tokenId);
+    }
+    saveNftMetadata(db, contract, cachedEntries);
+
+    for (let i = 0; i < pending.length; i += SYNC_CHUNK_SIZE) {
+        const chunk = pending.slice(i, i + SYNC_CHUNK_SIZE);
+        const uris = await readTokenUris(provider, contract, chunk);
+        const queue = chunk.map((tokenId, j) => ({ tokenId, uri: uris[j] }));
+        const entries = [];
+        let fetched = 0;
+
+        const runWorker = async () => {
+            while (queue.length > 0) {
+                const { tokenId, uri } = queue.shift();
+                try {
+                    if (uri === null) {
+                        throw new Error('tokenURI call reverted');
+                    }
+                    const content = await fetchDocument(uri, tokenId, { gateway, timeout });
+                    let document;
+                    try {
+                        document = JSON.parse(content.toString('utf8'));
+                    } catch (error) {
+                        throw new Error('Metadata is not valid JSON');
+                    }
+                    const metadata = normalizeMetadata(document);
+                    entries.push({ tokenId, tokenUri: uri, contentHash: cacheDocument(cacheDir, content), status: 'ok', ...metadata });
+                    fetched++;
+                } catch (error) {
+                    result.failed.push({ tokenId, error: error.message });
+                    const previous = stored.get(tokenId);
+                    if (!previous || previous.status !== 'ok') {
+                        entries.push({ tokenId, tokenUri: uri, status: 'error', error: error.message, traits: [] });
+                    }
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, chunk.length) }, runWorker));
+
+        saveNftMetadata(db, contract, entries);
+        result.fetched += fetched;
+        console.log(`   [SUCCESS] Tokens ${i + 1}-${i + chunk.length} of ${pending.length}: ${fetched} fetched`);
+    }
+
+    return result;
+}
+
+function printTraits(db, contract, tiers) {
+    const tokens = getNftMetadata(db, contract).filter(entry => entry.status === 'ok');
+    const counts = getNftTraitCounts(db, contract);
+    const rarity = computeRarity(tokens.map(entry => [entry.tokenId, entry.traits]), tiers);
+
+    console.log('='.repeat(80));
+    console.log(`TRAITS - ${contract} (${tokens.length} token(s) with metadata)`);
+    console.log('='.repeat(80));
+    let traitType = null;
+    for (const entry of counts) {
+        if (entry.traitType !== traitType) {
+            traitType = entry.traitType;
+            console.log(`\n${traitType}`);
+        }
+        const share = tokens.length > 0 ? ((entry.count / tokens.length) * 100).toFixed(1) : '0.0';
+        console.log(`  ${entry.value.padEnd(30)} ${String(entry.count).padStart(6)}  ${share.padStart(5)}%`);
+    }
+
+    console.log('\nRarity tiers');
+    for (const tier of [...tiers.map(candidate => candidate.name), COMMON_TIER]) {
+        const count = [...rarity.values()].filter(entry => entry.tier === tier).length;
+        console.log(`  ${tier.padEnd(30)} ${String(count).padStart(6)}`);
+    }
+}
+
+function printToken(db, contract, tokenId, tiers) {
+    const [entry] = getNftMetadata(db, contract, [tokenId]);
+    if (!entry) {
+        throw new Error(`No metadata stored for token ${tokenId} (run sync first)`);
+    }
+
+    console.log('='.repeat(80));
+    console.log(`TOKEN ${tokenId} - ${contract}`);
+    console.log('='.repeat(80));
+    console.log(`URI: ${entry.tokenUri || '-'}`);
+    if (entry.status !== 'ok') {
+        console.log(`Metadata unavailable: ${entry.error}`);
+        return;
+    }
+
+    const details = getTokenDetails(db, contract, [tokenId], tiers).get(tokenId);
+    const total = getNftMetadata(db, contract).filter(token => token.status === 'ok').length;
+    const counts = new Map(getNftTraitCounts(db, contract).map(count => [`${count.traitType.toLowerCase()}\n${count.value.toLowerCase()}`, count.count]));
+    console.log(`Name: ${entry.name || '-'}`);
+    console.log(`Image: ${entry.image || '-'}`);
+    console.log(`Content hash: ${entry.contentHash}`);
+    console.log(`Rarity: ${details.rarity.tier} (rank ${details.rarity.rank} of ${total}, score ${details.rarity.score})`);
+    console.log('Traits:');
+    for (const trait of entry.traits) {
+        const count = counts.get(`${trait.traitType.toLowerCase()}\n${trait.value.toLowerCase()}`) || 0;
+        console.log(`  ${trait.traitType}: ${trait.value} (${count} of ${total})`);
+    }
+}
+
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            contract: { type: 'string' },
+            tokens: { type: 'string' },
+            refresh: { type: 'boolean', default: false },
+            offline: { type: 'boolean', default: false },
+            gateway: { type: 'string', default: process.env.IPFS_GATEWAY || DEFAULT_GATEWAY },
+            concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+            rules: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            ...CONFIG_OPTIONS
+        }
+    });
+    const [command, tokenId] = positionals;
+    const concurrency = Number(values.concurrency);
+
+    const usage = [
+        'Usage: node nft_metadata.js sync [--tokens 1,2,3] [--refresh] [--offline] [--gateway https://ipfs.io] [--concurrency 8]',
+        '       node nft_metadata.js traits [--json]',
+        '       node nft_metadata.js token <id> [--json]'
+    ];
+    if (!['sync', 'traits', 'token'].includes(command) || (command === 'token' && tokenId === undefined)) {
+        usage.forEach(line => console.error(line));
+        process.exit(1);
+    }
+    if (command === 'token' && !/^\d+$/.test(tokenId)) {
+        console.error(`Error: Invalid token id: ${tokenId}`);
+        process.exit(1);
+    }
+    if (values.tokens !== undefined && !/^\d+(,\d+)*$/.test(values.tokens)) {
+        console.error('Error: --tokens must be a comma-separated list of token ids');
+        process.exit(1);
+    }
+    if (values.contract && !ethers.isAddress(values.contract)) {
+        console.error(`Error: Invalid contract address: ${values.contract}`);
+        process.exit(1);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error('Error: --concurrency must be a positive integer');
+        process.exit(1);
+    }
+    if (!/^https?:\/\//.test(values.gateway)) {
+        console.error(`Error: --gateway must be an http(s) URL, got "${values.gateway}"`);
+        process.exit(1);
+    }
+
+    let network;
+    let contract;
+    let tiers;
+    try {
+        network = loadNetwork(values);
+        contract = values.contract ? ethers.getAddress(values.contract) : requireContract(network, 'nft');
+        tiers = loadRarityTiers(values.rules ? path.resolve(values.rules) : null);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    (async () => {
+        const db = openStore(network.dbFile);
+
+        if (command === 'traits') {
+            await checkChainId(network, { db });
+            if (values.json) {
+                const rarity = getCollectionRarity(db, contract, tiers);
+                console.log(JSON.stringify({
+                    contract,
+                    tokens: rarity.size,
+                    traits: getNftTraitCounts(db, contract),
+                    rarity: Object.fromEntries(rarity)
+                }, null, 2));
+                return;
+            }
+            printTraits(db, contract, tiers);
+            return;
+        }
+        if (command === 'token') {
+            await checkChainId(network, { db });
+            const id = BigInt(tokenId).toString();
+            if (values.json) {
+                const [entry] = getNftMetadata(db, contract, [id]);
+                if (!entry) {
+                    throw new Error(`No metadata stored for token ${id} (run sync first)`);
+                }
+                const details = getTokenDetails(db, contract, [id], tiers).get(id);
+                console.log(JSON.stringify({ contract, ...entry, rarity: details ? details.rarity : null }, null, 2));
+                return;
+            }
+            printToken(db, contract, id, tiers);
+            return;
+        }
+
+        const provider = values.offline ? null : createProvider(network.rpcUrls, network.chainId);
+        await checkChainId(network, values.offline ? { db } : { provider, db });
+
+        let tokenIds = values.tokens !== undefined ? [...new Set(values.tokens.split(',').map(id => BigInt(id).toString()))] : null;
+        if (tokenIds === null) {
+            const known = [...getNftTokenIds(db, contract), ...getNftMetadata(db, contract).map(entry => entry.tokenId)];
+            tokenIds = [...new Set(known)].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+        }
+        if (tokenIds.length === 0) {
+            throw new Error(`No tokens of ${contract} to sync: build its ownership index (nft_index.js) or pass --tokens`);
+        }
+
+        console.log('='.repeat(80));
+        console.log(`METADATA SYNC - ${contract}, ${tokenIds.length} token(s)${values.offline ? ' (offline)' : ''}`);
+        console.log('='.repeat(80));
+        if (!values.offline) {
+            console.log(`IPFS gateway: ${values.gateway}`);
+        }
+
+        const cacheDir = metadataCacheDir(network);
+        const result = await syncMetadata(db, provider, contract, tokenIds, {
+            cacheDir,
+            gateway: values.gateway,
+            offline: values.offline,
+            refresh: values.refresh,
+            concurrency
+        });
+
+        console.log(`\n✓ ${result.fetched} fetched, ${result.cached} from cache (${cacheDir})`);
+        if (result.missing.length > 0) {
+            console.log(`  ! ${result.missing.length} token(s) not in the cache: ${result.missing.slice(0, 10).join(', ')}${result.missing.length > 10 ? ', ...' : ''}`);
+        }
+        if (result.failed.length > 0) {
+            console.log(`  ! ${result.failed.length} token(s) failed:`);
+            result.failed.slice(0, 10).forEach(failure => console.log(`    [WARN] Token ${failure.tokenId}: ${failure.error}`));
+        }
+    })()
+        .then(() => {
+            if (!values.json) {
+                console.log('\nDone!');
+            }
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    DEFAULT_GATEWAY,
+    DEFAULT_RARITY_TIERS,
+    COMMON_TIER,
+    rarityTierErrors,
+    loadRarityTiers,
+    resolveTokenUri,
+    fetchDocument,
+    metadataCacheDir,
+    normalizeMetadata,
+    computeRarity,
+    getCollectionRarity,
+    getTokenDetails,
+    describeToken,
+    syncMetadata
+};
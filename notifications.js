@@ -0,0 +1,404 @@
+/**
+ * Notifications for matching on-chain activity
+ * The live indexer matches every new block against the subscriptions and queues the matching events in
+ * the store's outbox in the same transaction as the block, so no event is lost across restarts.
+ * Events are delivered to webhooks (signed, retried with backoff) and streamed by server.js over
+ * Server-Sent Events. When a reorg removes a block, its events are followed by `removed: true` events.
+ *
+ * Subscriptions file (subscriptions.json next to the scripts, or --subscriptions):
+ *   {
+ *     "subscriptions": [
+ *       {
+ *         "id": "big-deposits",
+ *         "type": "transaction",
+ *         "to": ["0xcA5C2a5688f6C824d029F3A23B75082c5f75b442"],
+ *         "selectors": ["deposit()"],
+ *         "minValue": "1.5",
+ *         "webhook": { "url": "https://bots.example/hook", "secretEnv": "BIG_DEPOSITS_SECRET" }
+ *       },
+ *       { "id": "nft-moves", "type": "nft-transfer", "contracts": ["0x202b6523e33369722C170F41599ec32722181480"] }
+ *     ]
+ *   }
+ * Transaction filters: from, to, selectors (selectors or signatures), minValue (in ether), status
+ * (Success, Fail or any; default Success). NFT transfer filters: contracts (required), from, to.
+ * Every filter given must match. Without a webhook the subscription is only streamed.
+ *
+ * Webhook requests carry X-Indexer-Timestamp and X-Indexer-Signature: sha256=HMAC-SHA256(secret,
+ * "<timestamp>.<body>") in hex; receivers can check them with verifySignature.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    enqueueNotifications,
+    getPendingNotifications,
+    startNotificationAttempt,
+    markNotificationDelivered,
+    markNotificationFailed
+} = require('./store');
+const { parseTransferLog } = require('./nft_index');
+const { logger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const DEFAULT_SUBSCRIPTIONS_FILE = path.join(__dirname, 'subscriptions.json');
+
+const SUBSCRIPTION_TYPES = ['transaction', 'nft-transfer'];
+const STATUSES = ['Success', 'Fail', 'any'];
+
+// Webhook timeout, and the retry schedule: WEBHOOK_RETRY_BASE doubled per attempt up to the maximum
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_RETRY_BASE = 5000;
+const WEBHOOK_RETRY_MAX = 3600000;
+const WEBHOOK_MAX_ATTEMPTS = 10;
+
+/**
+ * Validate a parsed subscriptions config and return the subscriptions normalized (lowercase
+ * addresses, selectors resolved from signatures, minValue in wei, webhook secrets resolved)
+ * Every problem found is reported in a single error
+ */
+function validateSubscriptions(config, source = 'subscriptions') {
+    const errors = [];
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+
+    if (!config || !Array.isArray(config.subscriptions)) {
+        throw new Error(`Invalid subscriptions (${source}): "subscriptions" must be an array`);
+    }
+
+    const addresses = (where, field, value) => {
+        if (value === undefined) {
+            return null;
+        }
+        if (!Array.isArray(value) || value.length === 0) {
+            fail(where, `"${field}" must be a non-empty array of addresses when given`);
+            return null;
+        }
+        return value.filter((address, i) => {
+            if (!ethers.isAddress(address)) {
+                fail(where, `${field}[${i}] is not a valid address: ${address}`);
+                return false;
+            }
+            return true;
+        }).map(address => address.toLowerCase());
+    };
+
+    const ids = new Set();
+    const subscriptions = config.subscriptions.map((subscription, index) => {
+        const where = `subscriptions[${index}]${subscription && subscription.id ? ` (${subscription.id})` : ''}`;
+        if (subscription === null || typeof subscription !== 'object' || Array.isArray(subscription)) {
+            fail(where, 'must be an object');
+            return null;
+        }
+        const normalized = {
+            id: subscription.id,
+            type: subscription.type,
+            from: addresses(where, 'from', subscription.from),
+            to: addresses(where, 'to', subscription.to),
+            contracts: null,
+            selectors: null,
+            minValue: null,
+            status: subscription.status || 'Success',
+            webhook: null
+        };
+
+        if (typeof subscription.id !== 'string' || subscription.id.length === 0) {
+            fail(where, '"id" must be a non-empty string');
+        } else if (ids.has(subscription.id)) {
+            fail(where, `duplicate subscription id "${subscription.id}"`);
+        }
+        ids.add(subscription.id);
+
+        if (!SUBSCRIPTION_TYPES.includes(subscription.type)) {
+            fail(where, `"type" must be one of ${SUBSCRIPTION_TYPES.join(', ')}`);
+        }
+
+        if (subscription.type === 'transaction') {
+            if (subscription.selectors !== undefined) {
+                if (!Array.isArray(subscription.selectors) || subscription.selectors.length === 0) {
+                    fail(where, '"selectors" must be a non-empty array when given');
+                } else {
+                    normalized.selectors = [];
+                    subscription.selectors.forEach((selector, i) => {
+                        if (/^0x[0-9a-fA-F]{8}$/.test(selector)) {
+                            normalized.selectors.push(selector.toLowerCase());
+                            return;
+                        }
+                        try {
+                            normalized.selectors.push(ethers.FunctionFragment.from(selector).selector);
+                        } catch (error) {
+                            fail(where, `selectors[${i}] is neither a 4-byte selector nor a function signature: ${selector}`);
+                        }
+                    });
+                }
+            }
+            if (subscription.minValue !== undefined) {
+                try {
+                    normalized.minValue = ethers.parseEther(String(subscription.minValue));
+                } catch (error) {
+                    fail(where, `"minValue" must be an amount in ether: ${subscription.minValue}`);
+                }
+            }
+            if (!STATUSES.includes(normalized.status)) {
+                fail(where, `"status" must be one of ${STATUSES.join(', ')}`);
+            }
+            if (subscription.contracts !== undefined) {
+                fail(where, '"contracts" only applies to nft-transfer subscriptions');
+            }
+        }
+
+        if (subscription.type === 'nft-transfer') {
+            normalized.contracts = addresses(where, 'contracts', subscription.contracts);
+            if (subscription.contracts === undefined) {
+                fail(where, '"contracts" must be a non-empty array of addresses');
+            }
+            if (subscription.selectors !== undefined || subscription.minValue !== undefined || subscription.status !== undefined) {
+                fail(where, '"selectors", "minValue" and "status" only apply to transaction subscriptions');
+            }
+        }
+
+        if (subscription.webhook !== undefined) {
+            const webhook = subscription.webhook || {};
+            let url = null;
+            try {
+                url = new URL(webhook.url);
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    fail(where, '"webhook.url" must be an http(s) URL');
+                }
+            } catch (error) {
+                fail(where, `"webhook.url" is not a valid URL: ${webhook.url}`);
+            }
+
+            // Payloads are always signed, so a webhook needs a secret (inline or from the environment)
+            let secret = webhook.secret || null;
+            if (webhook.secretEnv) {
+                secret = process.env[webhook.secretEnv] || null;
+                if (!secret) {
+                    fail(where, `environment variable ${webhook.secretEnv} (webhook.secretEnv) is not set`);
+                }
+            } else if (!secret) {
+                fail(where, 'webhook needs "secret" or "secretEnv"');
+            }
+            normalized.webhook = { url: url ? url.toString() : webhook.url, secret };
+        }
+
+        return normalized;
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid subscriptions (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    return subscriptions;
+}
+
+/**
+ * Load and validate a subscriptions file
+ * A missing file means no subscriptions, unless the file was asked for explicitly
+ */
+function loadSubscriptions(filePath = DEFAULT_SUBSCRIPTIONS_FILE, required = false) {
+    if (!fs.existsSync(filePath)) {
+        if (required) {
+            throw new Error(`Subscriptions file not found: ${filePath}`);
+        }
+        return [];
+    }
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read subscriptions from ${filePath}: ${error.message}`);
+    }
+    return validateSubscriptions(config, path.basename(filePath));
+}
+
+function matchesTransaction(subscription, txn) {
+    if (subscription.from && !subscription.from.includes(txn.from.toLowerCase())) {
+        return false;
+    }
+    if (subscription.to && !(ethers.isAddress(txn.to) && subscription.to.includes(txn.to.toLowerCase()))) {
+        return false;
+    }
+    if (subscription.selectors && !subscription.selectors.includes(txn.selector)) {
+        return false;
+    }
+    if (subscription.minValue !== null && BigInt(txn.value || '0') < subscription.minValue) {
+        return false;
+    }
+    return subscription.status === 'any' || txn.status === subscription.status;
+}
+
+function matchesTransfer(subscription, log, transfer) {
+    if (!subscription.contracts.includes(log.address.toLowerCase())) {
+        return false;
+    }
+    if (subscription.from && !subscription.from.includes(transfer.from.toLowerCase())) {
+        return false;
+    }
+    return !subscription.to || subscription.to.includes(transfer.to.toLowerCase());
+}
+
+/**
+ * Events for every subscription a fetched block matches, ready for enqueueNotifications
+ * NFT transfer subscriptions need the block's logs (fetchBlock with withLogs)
+ */
+function matchBlock(subscriptions, block, network) {
+    const events = [];
+    const base = {
+        network: network.name,
+        chainId: network.chainId,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        timestamp: block.timestamp,
+        removed: false
+    };
+
+    for (const subscription of subscriptions) {
+        const webhook = subscription.webhook !== null;
+
+        if (subscription.type === 'transaction') {
+            for (const txn of block.transactions) {
+                if (!matchesTransaction(subscription, txn)) {
+                    continue;
+                }
+                events.push({
+                    subscriptionId: subscription.id,
+                    eventKey: `${subscription.id}:${block.hash}:${txn.hash}`,
+                    type: subscription.type,
+                    blockNumber: block.number,
+                    blockHash: block.hash,
+                    webhook,
+                    payload: { subscription: subscription.id, type: subscription.type, ...base, transaction: txn }
+                });
+            }
+        } else {
+            for (const log of block.logs || []) {
+                const transfer = parseTransferLog(log);
+                if (!transfer || !matchesTransfer(subscription, log, transfer)) {
+                    continue;
+                }
+                events.push({
+                    subscriptionId: subscription.id,
+                    eventKey: `${subscription.id}:${block.hash}:${log.transactionHash}:${log.index}`,
+                    type: subscription.type,
+                    blockNumber: block.number,
+                    blockHash: block.hash,
+                    webhook,
+                    payload: {
+                        subscription: subscription.id,
+                        type: subscription.type,
+                        ...base,
+                        transfer: { contract: ethers.getAddress(log.address), ...transfer }
+                    }
+                });
+            }
+        }
+    }
+    return events;
+}
+
+/**
+ * Match a block against the subscriptions and queue the events; call inside the block's store transaction
+ */
+function queueBlockNotifications(db, subscriptions, block, network) {
+    if (subscriptions.length === 0) {
+        return 0;
+    }
+    return enqueueNotifications(db, matchBlock(subscriptions, block, network));
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body, as sent in X-Indexer-Signature
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received webhook's signature (constant-time); maxAgeSeconds rejects replayed requests
+ */
+function verifySignature(secret, timestamp, body, signature, maxAgeSeconds = 300) {
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > maxAgeSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * POST one notification to its webhook; throws unless the receiver answers 2xx
+ */
+async function sendWebhook(webhook, notification) {
+    const body = JSON.stringify({ id: notification.id, ...notification.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Indexer-Delivery': String(notification.id),
+            'X-Indexer-Event': notification.removed ? `${notification.type}.removed` : notification.type,
+            'X-Indexer-Timestamp': String(timestamp),
+            'X-Indexer-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+}
+
+/**
+ * Deliver every due webhook notification, oldest first per subscription
+ * A subscription stops at its first notification that is not due yet or fails (retried later with
+ * backoff), so each webhook receives its events in order. Returns { delivered, failed }.
+ * Due times and retry times both come from `clock`.
+ */
+async function deliverDueNotifications(db, subscriptions, { clock = systemClock, limit = 100 } = {}) {
+    const now = clock.now();
+    let delivered = 0;
+    let failed = 0;
+
+    for (const subscription of subscriptions.filter(entry => entry.webhook !== null)) {
+        for (const notification of getPendingNotifications(db, subscription.id, limit)) {
+            if (notification.nextAttemptAt > now) {
+                break;
+            }
+
+            startNotificationAttempt(db, notification.id);
+            try {
+                await sendWebhook(subscription.webhook, notification);
+                markNotificationDelivered(db, notification.id);
+                delivered++;
+            } catch (error) {
+                const attempts = notification.attempts + 1;
+                const retryAt = attempts >= WEBHOOK_MAX_ATTEMPTS
+                    ? null
+                    : clock.now() + Math.min(WEBHOOK_RETRY_MAX, WEBHOOK_RETRY_BASE * 2 ** (attempts - 1));
+                markNotificationFailed(db, notification.id, error.message, retryAt);
+                failed++;
+                const next = retryAt === null ? 'giving up' : `retrying in ${Math.round((retryAt - clock.now()) / 1000)}s`;
+                logger.warn(`   [WARN] Webhook ${subscription.id} notification ${notification.id} failed (attempt ${attempts}): ${error.message}, ${next}`, {
+                    subscription: subscription.id,
+                    notification: notification.id,
+                    attempt: attempts
+                });
+                break;
+            }
+        }
+    }
+
+    return { delivered, failed };
+}
+
+module.exports = {
+    DEFAULT_SUBSCRIPTIONS_FILE,
+    validateSubscriptions,
+    loadSubscriptions,
+    matchBlock,
+    queueBlockNotifications,
+    signPayload,
+    verifySignature,
+    deliverDueNotifications
+};
@@ -0,0 +1,805 @@
+/**
+ * Points rules engine
+ * Loads and validates the campaign rules file, matches indexed transactions and events against
+ * the rules, and works out holding-based multipliers
+ * Multiplier assets are balances of ERC-721 or ERC-20 tokens, or the number of tokens of a collection held
+ * with a trait value (trait) or in a rarity tier (rarity); those two read the ownership index and the
+ * traits stored by nft_metadata.js, so they never touch the network
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const {
+    findTransactions,
+    findEvents,
+    getNftBalanceAt,
+    getOwnedTokens,
+    getOwnedTokensAt,
+    getTokensWithTrait,
+    getNftMetadataVersion
+} = require('./store');
+const { getIndexedBlock } = require('./nft_index');
+const { DEFAULT_RARITY_TIERS, COMMON_TIER, rarityTierErrors, getCollectionRarity } = require('./nft_metadata');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'points_rules.json');
+
+const RULE_TYPES = ['transaction', 'event'];
+const ASSET_TYPES = ['erc721', 'erc20', 'trait', 'rarity'];
+// Assets counted from token traits rather than balanceOf
+const TRAIT_ASSET_TYPES = ['trait', 'rarity'];
+const COMBINE_MODES = ['multiply', 'max'];
+// Transaction statuses a transaction rule can filter on, as stored by the indexer
+const STATUSES = ['Success', 'Fail', 'Unknown'];
+// current (the default): holdings when scoring runs; transaction: holdings at each match's block;
+// snapshot: holdings at the latest snapshot block at or before each match. The last two are opt-in
+// ("mode" in the rules file): without an nft_index.js ownership index every match costs a historical
+// balanceOf call, which needs an archive node
+const MULTIPLIER_MODES = ['current', 'transaction', 'snapshot'];
+
+const BALANCE_ABI = [
+    "function balanceOf(address owner) view returns (uint256)"
+];
+
+/**
+ * Parse a window time given as an ISO date or unix seconds; returns unix seconds or NaN
+ */
+function parseTime(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    return Math.floor(Date.parse(value) / 1000);
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a parsed rules config and return it normalized (lowercase addresses, selectors
+ * resolved from signatures, window times in unix seconds)
+ * Every problem found is reported in a single error
+ */
+function validateRules(config, source = 'rules') {
+    const errors = [];
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+
+    if (!config || !Array.isArray(config.rules) || config.rules.length === 0) {
+        throw new Error(`Invalid points rules (${source}): "rules" must be a non-empty array`);
+    }
+
+    const ids = new Set();
+    const rules = config.rules.map((rule, index) => {
+        const where = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+        if (!isObject(rule)) {
+            fail(where, 'must be an object');
+            return null;
+        }
+        const normalized = {
+            id: rule.id,
+            description: rule.description || null,
+            type: rule.type,
+            contracts: [],
+            selectors: null,
+            event: null,
+            account: rule.account || null,
+            status: rule.status || 'Success',
+            points: rule.points !== undefined ? rule.points : 0,
+            pointsPerEth: rule.pointsPerEth !== undefined ? rule.pointsPerEth : 0,
+            pointsPerGas: rule.pointsPerGas !== undefined ? rule.pointsPerGas : 0,
+            amountArg: rule.amountArg || null,
+            amountDecimals: rule.amountDecimals !== undefined ? rule.amountDecimals : 18,
+            pointsPerAmount: rule.pointsPerAmount !== undefined ? rule.pointsPerAmount : 0,
+            window: null,
+            dailyCap: rule.dailyCap !== undefined ? rule.dailyCap : null
+        };
+
+        if (typeof rule.id !== 'string' || rule.id.length === 0) {
+            fail(where, '"id" must be a non-empty string');
+        } else if (ids.has(rule.id)) {
+            fail(where, `duplicate rule id "${rule.id}"`);
+        }
+        ids.add(rule.id);
+
+        if (!RULE_TYPES.includes(rule.type)) {
+            fail(where, `"type" must be one of ${RULE_TYPES.join(', ')}`);
+        }
+
+        if (!STATUSES.includes(normalized.status)) {
+            fail(where, `"status" must be one of ${STATUSES.join(', ')}`);
+        }
+
+        if (!Array.isArray(rule.contracts) || rule.contracts.length === 0) {
+            fail(where, '"contracts" must be a non-empty array of addresses');
+        } else {
+            rule.contracts.forEach((contract, i) => {
+                if (!ethers.isAddress(contract)) {
+                    fail(where, `contracts[${i}] is not a valid address: ${contract}`);
+                } else {
+                    normalized.contracts.push(contract.toLowerCase());
+                }
+            });
+        }
+
+        for (const field of ['points', 'pointsPerEth', 'pointsPerGas', 'pointsPerAmount']) {
+            if (!isNonNegativeNumber(normalized[field])) {
+                fail(where, `"${field}" must be a non-negative number`);
+            }
+        }
+
+        if (rule.type === 'transaction') {
+            if (rule.selectors !== undefined) {
+                if (!Array.isArray(rule.selectors) || rule.selectors.length === 0) {
+                    fail(where, '"selectors" must be a non-empty array when given');
+                } else {
+                    normalized.selectors = [];
+                    rule.selectors.forEach((selector, i) => {
+                        if (/^0x[0-9a-fA-F]{8}$/.test(selector)) {
+                            normalized.selectors.push(selector.toLowerCase());
+                            return;
+                        }
+                        try {
+                            // Function signatures such as "mint(uint256)" resolve to their selector
+                            normalized.selectors.push(ethers.FunctionFragment.from(selector).selector);
+                        } catch (error) {
+                            fail(where, `selectors[${i}] is neither a 4-byte selector nor a function signature: ${selector}`);
+                        }
+                    });
+                }
+            }
+            if (normalized.points + normalized.pointsPerEth + normalized.pointsPerGas <= 0) {
+                fail(where, 'one of "points", "pointsPerEth" or "pointsPerGas" must be greater than 0');
+            }
+            if (rule.event !== undefined || rule.amountArg !== undefined || rule.pointsPerAmount !== undefined) {
+                fail(where, '"event", "amountArg" and "pointsPerAmount" only apply to event rules');
+            }
+        }
+
+        if (rule.type === 'event') {
+            if (typeof rule.event !== 'string' || rule.event.length === 0) {
+                fail(where, '"event" must be an event name or signature');
+            } else if (rule.event.includes('(')) {
+                try {
+                    normalized.event = ethers.EventFragment.from(rule.event).format('sighash');
+                } catch (error) {
+                    fail(where, `"event" is not a valid event signature: ${rule.event}`);
+                }
+            } else {
+                normalized.event = rule.event;
+            }
+            if (normalized.pointsPerAmount > 0 && !normalized.amountArg) {
+                fail(where, '"pointsPerAmount" needs "amountArg"');
+            }
+            if (normalized.points + normalized.pointsPerAmount <= 0) {
+                fail(where, 'one of "points" or "pointsPerAmount" must be greater than 0');
+            }
+            if (rule.selectors !== undefined || rule.pointsPerEth !== undefined || rule.pointsPerGas !== undefined) {
+                fail(where, '"selectors", "pointsPerEth" and "pointsPerGas" only apply to transaction rules');
+            }
+        }
+
+        if (rule.window !== undefined) {
+            const window = rule.window || {};
+            normalized.window = {
+                fromBlock: window.fromBlock !== undefined ? window.fromBlock : null,
+                toBlock: window.toBlock !== undefined ? window.toBlock : null,
+                fromTime: window.fromTime !== undefined ? parseTime(window.fromTime) : null,
+                toTime: window.toTime !== undefined ? parseTime(window.toTime) : null
+            };
+            for (const field of ['fromBlock', 'toBlock']) {
+                const value = normalized.window[field];
+                if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+                    fail(where, `window.${field} must be a block number`);
+                }
+            }
+            for (const field of ['fromTime', 'toTime']) {
+                if (Number.isNaN(normalized.window[field])) {
+                    fail(where, `window.${field} must be an ISO date or unix seconds`);
+                }
+            }
+            const { fromBlock, toBlock, fromTime, toTime } = normalized.window;
+            if (fromBlock !== null && toBlock !== null && fromBlock > toBlock) {
+                fail(where, 'window.fromBlock is after window.toBlock');
+            }
+            if (fromTime !== null && toTime !== null && fromTime > toTime) {
+                fail(where, 'window.fromTime is after window.toTime');
+            }
+        }
+
+        if (normalized.dailyCap !== null && !(isNonNegativeNumber(normalized.dailyCap) && normalized.dailyCap > 0)) {
+            fail(where, '"dailyCap" must be a positive number');
+        }
+
+        return normalized;
+    });
+
+    const multipliersConfig = config.multipliers || {};
+    const multipliers = {
+        combine: multipliersConfig.combine || 'multiply',
+        mode: multipliersConfig.mode || 'current',
+        snapshots: [],
+        rarityTiers: DEFAULT_RARITY_TIERS,
+        assets: []
+    };
+
+    if (!COMBINE_MODES.includes(multipliers.combine)) {
+        fail('multipliers.combine', `must be one of ${COMBINE_MODES.join(', ')}`);
+    }
+    if (!MULTIPLIER_MODES.includes(multipliers.mode)) {
+        fail('multipliers.mode', `must be one of ${MULTIPLIER_MODES.join(', ')}`);
+    }
+    if (multipliers.mode === 'snapshot') {
+        const snapshots = multipliersConfig.snapshots;
+        if (!Array.isArray(snapshots) || snapshots.length === 0) {
+            fail('multipliers.snapshots', 'must be a non-empty array of block numbers in snapshot mode');
+        } else if (!snapshots.every(block => Number.isInteger(block) && block >= 0)) {
+            fail('multipliers.snapshots', 'must only contain block numbers');
+        } else {
+            multipliers.snapshots = [...new Set(snapshots)].sort((a, b) => a - b);
+        }
+    } else if (multipliersConfig.snapshots !== undefined) {
+        fail('multipliers.snapshots', 'only applies when "mode" is "snapshot"');
+    }
+
+    if (multipliersConfig.rarityTiers !== undefined) {
+        const tierErrors = rarityTierErrors(multipliersConfig.rarityTiers);
+        tierErrors.forEach(message => fail('multipliers.rarityTiers', message));
+        if (tierErrors.length === 0) {
+            multipliers.rarityTiers = multipliersConfig.rarityTiers.map(tier => ({ name: tier.name, top: tier.top }));
+        }
+    }
+    const tierNames = [...multipliers.rarityTiers.map(tier => tier.name), COMMON_TIER];
+
+    if (multipliersConfig.assets !== undefined && !Array.isArray(multipliersConfig.assets)) {
+        fail('multipliers.assets', 'must be an array');
+    }
+    (Array.isArray(multipliersConfig.assets) ? multipliersConfig.assets : []).forEach((asset, index) => {
+        const where = `multipliers.assets[${index}]${asset && asset.id ? ` (${asset.id})` : ''}`;
+        if (!isObject(asset)) {
+            fail(where, 'must be an object');
+            return;
+        }
+
+        if (typeof asset.id !== 'string' || asset.id.length === 0) {
+            fail(where, '"id" must be a non-empty string');
+        }
+        if (!ASSET_TYPES.includes(asset.type)) {
+            fail(where, `"type" must be one of ${ASSET_TYPES.join(', ')}`);
+        }
+        if (!ethers.isAddress(asset.contract)) {
+            fail(where, `"contract" is not a valid address: ${asset.contract}`);
+        }
+        if (asset.type === 'trait') {
+            if (typeof asset.trait !== 'string' || asset.trait.trim().length === 0) {
+                fail(where, '"trait" must be the trait type to match');
+            }
+            if (!['string', 'number'].includes(typeof asset.value) || String(asset.value).trim().length === 0) {
+                fail(where, '"value" must be the trait value to match');
+            }
+        }
+        if (asset.type === 'rarity' && !tierNames.includes(asset.rarity)) {
+            fail(where, `"rarity" must be one of ${tierNames.join(', ')}`);
+        }
+        if (!Array.isArray(asset.tiers) || asset.tiers.length === 0) {
+            fail(where, '"tiers" must be a non-empty array');
+            return;
+        }
+
+        let previousMin = 0;
+        asset.tiers.forEach((tier, i) => {
+            if (!isObject(tier)) {
+                fail(where, `tiers[${i}] must be an object`);
+                return;
+            }
+            if (!(isNonNegativeNumber(tier.min) && tier.min > 0)) {
+                fail(where, `tiers[${i}].min must be a positive number`);
+            } else if (tier.min <= previousMin) {
+                fail(where, `tiers[${i}].min must be greater than the previous tier's`);
+            }
+            if (!isNonNegativeNumber(tier.multiplier)) {
+                fail(where, `tiers[${i}].multiplier must be a non-negative number`);
+            }
+            previousMin = tier.min;
+        });
+
+        const normalized = {
+            id: asset.id,
+            type: asset.type,
+            contract: ethers.isAddress(asset.contract) ? asset.contract.toLowerCase() : asset.contract,
+            decimals: asset.decimals !== undefined ? asset.decimals : 18,
+            tiers: asset.tiers.filter(isObject).map(tier => ({ min: tier.min, multiplier: tier.multiplier }))
+        };
+        if (asset.type === 'trait') {
+            normalized.trait = String(asset.trait).trim();
+            normalized.value = String(asset.value).trim();
+        } else if (asset.type === 'rarity') {
+            normalized.rarity = asset.rarity;
+        }
+        multipliers.assets.push(normalized);
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid points rules (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { rules, multipliers };
+}
+
+/**
+ * Load and validate a rules file
+ */
+function loadRules(filePath = DEFAULT_RULES_FILE) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read points rules from ${filePath}: ${error.message}`);
+    }
+    return validateRules(config, path.basename(filePath));
+}
+
+/**
+ * True when a match at blockNumber / timestamp falls inside the rule's campaign window
+ * Matches without a known block time are outside any time-bounded window
+ */
+function inWindow(window, blockNumber, timestamp) {
+    if (!window) {
+        return true;
+    }
+    if (window.fromBlock !== null && blockNumber < window.fromBlock) {
+        return false;
+    }
+    if (window.toBlock !== null && blockNumber > window.toBlock) {
+        return false;
+    }
+    if (window.fromTime !== null || window.toTime !== null) {
+        if (timestamp === null || timestamp === undefined) {
+            return false;
+        }
+        if (window.fromTime !== null && timestamp < window.fromTime) {
+            return false;
+        }
+        if (window.toTime !== null && timestamp > window.toTime) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Find every rule match in the store, grouped by credited address (lowercase)
+ * Pass `address` to restrict the scan to one account, and fromBlock/toBlock to limit the block range
+ */
+function collectMatches(db, config, { address, fromBlock, toBlock } = {}) {
+    const matches = new Map();
+    const account = address ? address.toLowerCase() : null;
+
+    const add = (credited, match) => {
+        if (!matches.has(credited)) {
+            matches.set(credited, []);
+        }
+        matches.get(credited).push(match);
+    };
+
+    for (const rule of config.rules) {
+        for (const contract of rule.contracts) {
+            if (rule.type === 'transaction') {
+                const txns = findTransactions(db, { from: account || undefined, to: contract, status: rule.status, fromBlock, toBlock });
+                for (const txn of txns) {
+                    if (rule.selectors && !rule.selectors.includes(txn.selector)) {
+                        continue;
+                    }
+                    if (!inWindow(rule.window, txn.blockNumber, txn.blockTimestamp)) {
+                        continue;
+                    }
+
+                    const points = rule.points
+                        + rule.pointsPerEth * Number(ethers.formatEther(txn.value || '0'))
+                        + rule.pointsPerGas * Number(txn.gasUsed || 0);
+
+                    add(txn.from.toLowerCase(), {
+                        ruleId: rule.id,
+                        hash: txn.hash,
+                        blockNumber: txn.blockNumber,
+                        timestamp: txn.blockTimestamp,
+                        to: txn.to,
+                        value: txn.value,
+                        valueInEth: ethers.formatEther(txn.value || '0'),
+                        method: txn.method || txn.selector,
+                        status: txn.status,
+                        // Only version 2 (full fidelity) records know why a transaction failed
+                        revertReason: txn.revertReason || null,
+                        points
+                    });
+                }
+            } else {
+                const logs = findEvents(db, { address: contract, fromBlock, toBlock });
+                for (const log of logs) {
+                    if (!log.event || (log.event !== rule.event && !log.event.startsWith(`${rule.event}(`))) {
+                        continue;
+                    }
+
+                    // Credit the account named in the event, or the sender of the emitting transaction
+                    const creditedRaw = rule.account ? (log.args && log.args[rule.account]) : log.txFrom;
+                    if (!creditedRaw || !ethers.isAddress(creditedRaw)) {
+                        continue;
+                    }
+                    const credited = creditedRaw.toLowerCase();
+                    if (account && credited !== account) {
+                        continue;
+                    }
+                    if (!inWindow(rule.window, log.blockNumber, log.blockTimestamp)) {
+                        continue;
+                    }
+
+                    let points = rule.points;
+                    if (rule.pointsPerAmount > 0) {
+                        const amount = log.args && log.args[rule.amountArg];
+                        points += rule.pointsPerAmount * Number(ethers.formatUnits(amount || '0', rule.amountDecimals));
+                    }
+
+                    add(credited, {
+                        ruleId: rule.id,
+                        hash: log.transactionHash,
+                        blockNumber: log.blockNumber,
+                        timestamp: log.blockTimestamp,
+                        to: log.address,
+                        event: log.event,
+                        logIndex: log.logIndex,
+                        points
+                    });
+                }
+            }
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Apply per-day caps and total up one address's matches
+ * Matches are capped in block order, so the earliest activity of a day counts first
+ * Matches in blocks stored without a timestamp (imported from JSON) have no known day, so they all share
+ * one cap per rule, as if they happened on the same day
+ */
+function scoreMatches(config, matches) {
+    const ordered = [...matches].sort((a, b) => a.blockNumber - b.blockNumber || (a.logIndex || 0) - (b.logIndex || 0));
+    const usedPerDay = new Map();
+    const ruleTotals = new Map(config.rules.map(rule => [rule.id, { id: rule.id, matches: 0, uncappedPoints: 0, points: 0 }]));
+    const rulesById = new Map(config.rules.map(rule => [rule.id, rule]));
+
+    const scored = ordered.map(match => {
+        const rule = rulesById.get(match.ruleId);
+        let points = match.points;
+
+        if (rule.dailyCap !== null) {
+            const day = match.timestamp !== null && match.timestamp !== undefined
+                ? new Date(match.timestamp * 1000).toISOString().slice(0, 10)
+                : 'unknown';
+            const key = `${rule.id}:${day}`;
+            const used = usedPerDay.get(key) || 0;
+            points = Math.max(0, Math.min(points, rule.dailyCap - used));
+            usedPerDay.set(key, used + points);
+        }
+
+        const totals = ruleTotals.get(rule.id);
+        totals.matches++;
+        totals.uncappedPoints += match.points;
+        totals.points += points;
+
+        return { ...match, points };
+    });
+
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const rules = [...ruleTotals.values()].map(totals => ({
+        ...totals,
+        uncappedPoints: round(totals.uncappedPoints),
+        points: round(totals.points)
+    }));
+
+    return {
+        rules,
+        basePoints: round(rules.reduce((sum, rule) => sum + rule.points, 0)),
+        matches: scored
+    };
+}
+
+// Token ids matching each trait or rarity asset, per database; recomputed when the stored metadata changes
+const traitTokenCache = new WeakMap();
+
+/**
+ * Token ids of the asset's collection that have its trait value or rarity tier
+ */
+function traitAssetTokens(db, multipliers, asset) {
+    const key = `${asset.type}:${asset.contract}:${asset.trait || asset.rarity}:${asset.value || ''}:${JSON.stringify(multipliers.rarityTiers)}`;
+    const stamp = getNftMetadataVersion(db, asset.contract);
+
+    if (!traitTokenCache.has(db)) {
+        traitTokenCache.set(db, new Map());
+    }
+    const cache = traitTokenCache.get(db);
+    const cached = cache.get(key);
+    if (cached && cached.stamp === stamp) {
+        return cached.tokens;
+    }
+
+    let tokens;
+    if (asset.type === 'trait') {
+        tokens = new Set(getTokensWithTrait(db, asset.contract, asset.trait, asset.value));
+    } else {
+        const rarity = getCollectionRarity(db, asset.contract, multipliers.rarityTiers);
+        tokens = new Set([...rarity].filter(([, entry]) => entry.tier === asset.rarity).map(([tokenId]) => tokenId));
+    }
+    cache.set(key, { stamp, tokens });
+    return tokens;
+}
+
+/**
+ * Number of an address's tokens with the asset's trait value or rarity tier, now or at blockNumber
+ * Holdings come from the ownership index (nft_index.js), which must cover blockNumber
+ */
+function getTraitAssetBalance(db, multipliers, asset, address, blockNumber) {
+    if (!db) {
+        throw new Error(`Multiplier asset ${asset.id} needs the index database (ownership index and token traits)`);
+    }
+    const indexedBlock = getIndexedBlock(db, asset.contract);
+    if (indexedBlock === null) {
+        throw new Error(`Multiplier asset ${asset.id}: no ownership index for ${asset.contract} (run nft_index.js)`);
+    }
+    if (blockNumber !== undefined && blockNumber > indexedBlock) {
+        throw new Error(`Multiplier asset ${asset.id}: the ownership index of ${asset.contract} ends at block ${indexedBlock}, before block ${blockNumber}`);
+    }
+
+    const owned = blockNumber === undefined
+        ? getOwnedTokens(db, asset.contract, address)
+        : getOwnedTokensAt(db, asset.contract, address, blockNumber);
+    const matching = traitAssetTokens(db, multipliers, asset);
+    return owned.filter(tokenId => matching.has(tokenId)).length;
+}
+
+/**
+ * Read an address's balance of every multiplier asset
+ * ERC-721 balances are token counts; ERC-20 balances are in whole tokens; trait and rarity assets count
+ * matching tokens (see getTraitAssetBalance)
+ */
+async function getAssetBalances(db, provider, multipliers, address, blockTag) {
+    return Promise.all(multipliers.assets.map(async (asset) => {
+        if (TRAIT_ASSET_TYPES.includes(asset.type)) {
+            return { id: asset.id, balance: getTraitAssetBalance(db, multipliers, asset, address, blockTag) };
+        }
+        const contract = new ethers.Contract(asset.contract, BALANCE_ABI, provider);
+        const raw = await contract.balanceOf(address, blockTag !== undefined ? { blockTag } : {});
+        const balance = asset.type === 'erc20'
+            ? Number(ethers.formatUnits(raw, asset.decimals))
+            : Number(raw);
+        return { id: asset.id, balance };
+    }));
+}
+
+/**
+ * Read balances of every multiplier asset for many addresses
+ * Calls are issued a batch at a time so the provider packs them into JSON-RPC batch requests
+ * Returns a Map of lowercase address to the same shape getAssetBalances returns
+ */
+async function getAssetBalancesBatch(db, provider, multipliers, addresses, batchSize = 100, blockTag) {
+    const results = new Map(addresses.map(address => [address.toLowerCase(), []]));
+    const overrides = blockTag !== undefined ? { blockTag } : {};
+
+    for (const asset of multipliers.assets) {
+        if (TRAIT_ASSET_TYPES.includes(asset.type)) {
+            for (const address of addresses) {
+                results.get(address.toLowerCase()).push({ id: asset.id, balance: getTraitAssetBalance(db, multipliers, asset, address, blockTag) });
+            }
+            continue;
+        }
+        const contract = new ethers.Contract(asset.contract, BALANCE_ABI, provider);
+
+        for (let i = 0; i < addresses.length; i += batchSize) {
+            const batch = addresses.slice(i, i + batchSize);
+            const raws = await Promise.all(batch.map(address => contract.balanceOf(address, overrides)));
+
+            batch.forEach((address, j) => {
+                const balance = asset.type === 'erc20'
+                    ? Number(ethers.formatUnits(raws[j], asset.decimals))
+                    : Number(raws[j]);
+                results.get(address.toLowerCase()).push({ id: asset.id, balance });
+            });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Read an address's balance of every multiplier asset at each of the given blocks
+ * ERC-721 balances come from the Transfer-log ownership index (nft_index.js) when it covers the block;
+ * anything else is a historical balanceOf call, which needs an archive node
+ * Returns a Map of block number to the same shape getAssetBalances returns
+ */
+async function getAssetBalancesAt(db, provider, multipliers, address, blocks, batchSize = 100) {
+    const results = new Map(blocks.map(block => [block, []]));
+    if (blocks.length === 0) {
+        return results;
+    }
+
+    for (const asset of multipliers.assets) {
+        if (TRAIT_ASSET_TYPES.includes(asset.type)) {
+            blocks.forEach(block => results.get(block).push({ id: asset.id, balance: getTraitAssetBalance(db, multipliers, asset, address, block) }));
+            continue;
+        }
+        const indexedBlock = asset.type === 'erc721' ? getIndexedBlock(db, asset.contract) : null;
+        const contract = new ethers.Contract(asset.contract, BALANCE_ABI, provider);
+
+        for (let i = 0; i < blocks.length; i += batchSize) {
+            const batch = blocks.slice(i, i + batchSize);
+            const balances = await Promise.all(batch.map(async (block) => {
+                if (indexedBlock !== null && block <= indexedBlock) {
+                    return getNftBalanceAt(db, asset.contract, address, block);
+                }
+                const raw = await contract.balanceOf(address, { blockTag: block });
+                return asset.type === 'erc20' ? Number(ethers.formatUnits(raw, asset.decimals)) : Number(raw);
+            }));
+
+            batch.forEach((block, j) => results.get(block).push({ id: asset.id, balance: balances[j] }));
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Block whose holdings set the multiplier of a match at blockNumber, or null when it gets no multiplier
+ * (snapshot mode, before the first snapshot). Not used in current mode.
+ */
+function multiplierBlock(multipliers, blockNumber) {
+    if (multipliers.mode === 'transaction') {
+        return blockNumber;
+    }
+    let block = null;
+    for (const snapshot of multipliers.snapshots) {
+        if (snapshot <= blockNumber) {
+            block = snapshot;
+        }
+    }
+    return block;
+}
+
+/**
+ * Work out the combined multiplier from asset balances
+ * Each asset contributes the multiplier of the highest tier its balance reaches (1.0 below all tiers)
+ */
+function computeMultiplier(multipliers, balances) {
+    const balanceById = new Map(balances.map(entry => [entry.id, entry.balance]));
+
+    const breakdown = multipliers.assets.map(asset => {
+        const balance = balanceById.get(asset.id) || 0;
+        let multiplier = 1.0;
+        let tierMin = null;
+        for (const tier of asset.tiers) {
+            if (balance >= tier.min) {
+                multiplier = tier.multiplier;
+                tierMin = tier.min;
+            }
+        }
+        const entry = { id: asset.id, type: asset.type, contract: ethers.getAddress(asset.contract), balance, tierMin, multiplier };
+        if (asset.type === 'trait') {
+            entry.trait = asset.trait;
+            entry.value = asset.value;
+        } else if (asset.type === 'rarity') {
+            entry.rarity = asset.rarity;
+        }
+        return entry;
+    });
+
+    let multiplier = 1.0;
+    if (multipliers.combine === 'max') {
+        multiplier = breakdown.reduce((best, entry) => Math.max(best, entry.multiplier), 1.0);
+    } else {
+        multiplier = breakdown.reduce((product, entry) => product * entry.multiplier, 1.0);
+    }
+
+    return { multiplier: Math.round(multiplier * 1e6) / 1e6, breakdown };
+}
+
+/**
+ * Multiply each of an address's scored (capped) matches by its holding multiplier
+ * In current mode every match gets the multiplier of the current balances (pass `balances` to reuse
+ * ones already fetched); otherwise each match is evaluated at its multiplierBlock
+ * Every match gains multiplier, multiplierBlock, holdings and multipliedPoints. The returned multiplier
+ * is the effective one (total over base points) and balances are those the latest match was scored with.
+ */
+async function applyMultipliers(db, provider, config, address, scored, { balances } = {}) {
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const toHoldings = entries => Object.fromEntries(entries.map(entry => [entry.id, entry.balance]));
+    let matches;
+    let latestBalances = [];
+
+    if (config.multipliers.mode === 'current') {
+        latestBalances = balances || await getAssetBalances(db, provider, config.multipliers, address);
+        const { multiplier } = computeMultiplier(config.multipliers, latestBalances);
+        const holdings = toHoldings(latestBalances);
+        matches = scored.matches.map(match => ({
+            ...match,
+            multiplier,
+            multiplierBlock: null,
+            holdings,
+            multipliedPoints: round(match.points * multiplier)
+        }));
+    } else {
+        const blocks = [...new Set(scored.matches
+            .map(match => multiplierBlock(config.multipliers, match.blockNumber))
+            .filter(block => block !== null))];
+        const balancesAt = await getAssetBalancesAt(db, provider, config.multipliers, address, blocks);
+
+        matches = scored.matches.map(match => {
+            const block = multiplierBlock(config.multipliers, match.blockNumber);
+            if (block === null) {
+                return { ...match, multiplier: 1.0, multiplierBlock: null, holdings: {}, multipliedPoints: match.points };
+            }
+            latestBalances = balancesAt.get(block);
+            const { multiplier } = computeMultiplier(config.multipliers, latestBalances);
+            return {
+                ...match,
+                multiplier,
+                multiplierBlock: block,
+                holdings: toHoldings(latestBalances),
+                multipliedPoints: round(match.points * multiplier)
+            };
+        });
+    }
+
+    const multipliedPoints = round(matches.reduce((sum, match) => sum + match.multipliedPoints, 0));
+    let multiplier = scored.basePoints > 0 ? round(multipliedPoints / scored.basePoints) : 1.0;
+    if (config.multipliers.mode === 'current') {
+        multiplier = computeMultiplier(config.multipliers, latestBalances).multiplier;
+    }
+
+    return {
+        multiplier,
+        totalPoints: Math.floor(multipliedPoints),
+        balances: toHoldings(latestBalances),
+        matches
+    };
+}
+
+/**
+ * Score one address: rule matches, holding multipliers and total points
+ */
+async function scoreAddress(db, provider, config, address) {
+    const matches = collectMatches(db, config, { address }).get(address.toLowerCase()) || [];
+    const scored = scoreMatches(config, matches);
+    const balances = await getAssetBalances(db, provider, config.multipliers, address);
+    const { breakdown } = computeMultiplier(config.multipliers, balances);
+    const applied = await applyMultipliers(db, provider, config, address, scored, { balances });
+
+    return {
+        address: ethers.getAddress(address),
+        basePoints: scored.basePoints,
+        multiplier: applied.multiplier,
+        multiplierMode: config.multipliers.mode,
+        multipliers: breakdown,
+        totalPoints: applied.totalPoints,
+        rules: scored.rules,
+        transactions: applied.matches
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES_FILE,
+    loadRules,
+    validateRules,
+    inWindow,
+    collectMatches,
+    scoreMatches,
+    getAssetBalances,
+    getAssetBalancesBatch,
+    getAssetBalancesAt,
+    multiplierBlock,
+    computeMultiplier,
+    applyMultipliers,
+    scoreAddress
+};
@@ -1,233 +1,297 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
-
-// Configuration
-const RPC_URL = "https://rpc3.monad.xyz";
-const NFT_CONTRACT_ADDRESS = "0x202b6523e33369722C170F41599ec32722181480";
-const TARGET_CONTRACT = "0xcA5C2a5688f6C824d029F3A23B75082c5f75b442";
-const TRANSACTIONS_DIR = path.join(__dirname, 'transactions');
-
-// Points configuration
-const BASE_POINTS_PER_TXN = 100;
-const NFT_MULTIPLIERS = {
-    0: 1.0,   // No NFTs
-    1: 1.1,   // 1 NFT
-    2: 1.3    // 2+ NFTs
-};
-
-// ERC721 ABI - only the functions we need
-const ERC721_ABI = [
-    "function balanceOf(address owner) view returns (uint256)",
-    "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
-    "function ownerOf(uint256 tokenId) view returns (address)",
-    "function totalSupply() view returns (uint256)"
-];
+const { parseArgs } = require('util');
+const { openStore, getIndexedRange } = require('./store');
+const { getHoldings, fetchOnChainHoldings } = require('./nft_index');
+const {
+    DEFAULT_RULES_FILE,
+    loadRules,
+    collectMatches,
+    scoreMatches,
+    getAssetBalances,
+    computeMultiplier,
+    applyMultipliers
+} = require('./points_rules');
+const { DEFAULT_RARITY_TIERS, getTokenDetails, describeToken } = require('./nft_metadata');
+const { loadSybilReport, applySybilPolicy } = require('./sybil_report');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+const { writeFileAtomic } = require('./atomic_file');
+const { systemClock } = require('./clock');
+
+// RPC endpoints, contracts and data directory come from the network config (select with --network)
+// Points rules, multiplier tiers and target contracts live in the rules file (override with --rules)
 
 /**
- * Check NFT balance for an address and return the count and token IDs
+ * NFT holdings of an address: balance, token IDs and the stored metadata of those tokens (in tokens)
+ * Answers from the Transfer-log ownership index (see nft_index.js), or on-chain when the collection is
+ * not indexed (onChain) or there is no store (db null); pass verify to cross-check the indexed holdings
+ * against balanceOf/ownerOf on-chain
  */
-async function checkNFTBalance(address) {
-    try {
-        console.log(`\nChecking NFT balance for ${address}...`);
-
-        const provider = new ethers.JsonRpcProvider(RPC_URL);
-        const nftContract = new ethers.Contract(
-            NFT_CONTRACT_ADDRESS,
-            ERC721_ABI,
-            provider
-        );
+async function readNFTHoldings(address, { verify = false, network, provider, db, rarityTiers = DEFAULT_RARITY_TIERS }) {
+    const nftContract = requireContract(network, 'nft');
 
-        const balance = await nftContract.balanceOf(address);
-        const balanceNumber = Number(balance);
-
-        console.log(`  ✓ NFT Balance: ${balanceNumber}`);
-
-        // If balance is 0, no need to enumerate
-        if (balanceNumber === 0) {
-            return { balance: 0, tokenIds: [] };
-        }
+    let holdings = db ? await getHoldings(db, provider, nftContract, address, { verify }) : null;
+    const onChain = holdings === null;
+    if (onChain) {
+        holdings = await fetchOnChainHoldings(provider, nftContract, address);
+    }
 
-        // Enumerate token IDs
-        const tokenIds = [];
-        let method1Success = false;
+    const tokenIds = holdings.tokenIds || [];
+    const details = db ? getTokenDetails(db, nftContract, tokenIds, rarityTiers) : new Map();
+    return {
+        balance: holdings.balance,
+        tokenIds,
+        tokens: [...details].map(([tokenId, token]) => ({ tokenId, ...token })),
+        indexedBlock: holdings.indexedBlock,
+        verification: holdings.verification || null,
+        onChain
+    };
+}
 
-        // Method 1: Try tokenOfOwnerByIndex (more efficient)
-        try {
-            for (let i = 0; i < balanceNumber; i++) {
-                const tokenId = await nftContract.tokenOfOwnerByIndex(address, i);
-                tokenIds.push(tokenId.toString());
-                console.log(`  ✓ Token #${i + 1}: ID ${tokenId.toString()}`);
-            }
-            method1Success = true;
-        } catch (error) {
-            // Method 1 failed, try Method 2
-            tokenIds.length = 0; // Reset
+function printNFTHoldings(holdings) {
+    if (holdings.onChain) {
+        console.log('  ! No ownership index for this collection yet (run nft_index.js), reading on-chain');
+    }
+    const source = holdings.indexedBlock !== null ? ` (ownership index at block ${holdings.indexedBlock})` : '';
+    console.log(`  ✓ NFT Balance: ${holdings.balance}${source}`);
+    const details = new Map(holdings.tokens.map(token => [token.tokenId, token]));
+    holdings.tokenIds.forEach((tokenId, index) => {
+        const token = details.get(tokenId);
+        console.log(`  ✓ Token #${index + 1}: ID ${tokenId}${token ? ` - ${describeToken(token)}` : ''}`);
+    });
+
+    if (holdings.verification) {
+        const { consistent, onChainBalance, mismatchedTokens } = holdings.verification;
+        if (consistent) {
+            console.log('  ✓ Verified against on-chain balanceOf/ownerOf');
+        } else {
+            console.log(`  ! Index disagrees with chain: on-chain balance ${onChainBalance}, mismatched tokens [${mismatchedTokens.join(', ')}]`);
         }
+    }
+}
 
-        // Method 2: Fallback to ownerOf enumeration
-        if (!method1Success) {
-            // Try to get total supply to limit search range
-            let maxCheck = 10000;
-            try {
-                const totalSupply = await nftContract.totalSupply();
-                maxCheck = Math.min(Number(totalSupply), 10000);
-            } catch (error) {
-                maxCheck = Math.min(10000, balanceNumber * 20);
-            }
-
-            for (let id = 1; id <= maxCheck && tokenIds.length < balanceNumber; id++) {
-                try {
-                    const owner = await nftContract.ownerOf(id);
-                    if (owner.toLowerCase() === address.toLowerCase()) {
-                        tokenIds.push(id.toString());
-                        console.log(`  ✓ Token #${tokenIds.length}: ID ${id}`);
-                    }
-                } catch (error) {
-                    // Token doesn't exist or is burned, continue
-                }
-            }
-        }
+/**
+ * Check NFT balance for an address and return the count and token IDs (see readNFTHoldings)
+ * Tokens with metadata stored by nft_metadata.js are listed with their traits and rarity tier (in tokens)
+ * provider and db default to ones opened from the network config
+ */
+async function checkNFTBalance(address, { verify = false, network = loadNetwork(), provider, db, rarityTiers = DEFAULT_RARITY_TIERS } = {}) {
+    try {
+        console.log(`\nChecking NFT balance for ${address}...`);
 
-        return { balance: balanceNumber, tokenIds: tokenIds };
+        provider = provider || createProvider(network.rpcUrls, network.chainId);
+        db = db || openStore(network.dbFile);
+        const holdings = await readNFTHoldings(address, { verify, network, provider, db, rarityTiers });
+        printNFTHoldings(holdings);
+
+        return {
+            balance: holdings.balance,
+            tokenIds: holdings.tokenIds,
+            tokens: holdings.tokens,
+            indexedBlock: holdings.indexedBlock,
+            verification: holdings.verification
+        };
     } catch (error) {
         console.error('  ✗ Error checking NFT balance:', error.message);
-        return { balance: 0, tokenIds: [] };
+        return { balance: 0, tokenIds: [], tokens: [] };
     }
 }
 
 /**
- * Get all transaction JSON files
+ * Transactions and events from address that match the points rules, scored (see scoreMatches)
+ * range is the indexed block range searched, null without a store
  */
-function getTransactionFiles() {
-    if (!fs.existsSync(TRANSACTIONS_DIR)) {
-        console.log(`  ✗ Transactions directory not found: ${TRANSACTIONS_DIR}`);
-        return [];
+function matchTransactions(db, config, address) {
+    if (!db) {
+        return { range: null, scored: scoreMatches(config, []) };
+    }
+    const matches = collectMatches(db, config, { address }).get(address.toLowerCase()) || [];
+    return { range: getIndexedRange(db), scored: scoreMatches(config, matches) };
+}
+
+function printMatches({ range, scored }, dbFile) {
+    if (range === null) {
+        console.log(`  ✗ Index database not found: ${dbFile}`);
+        return;
     }
+    console.log(`  Searching ${range.blocks} indexed blocks (${range.fromBlock} - ${range.toBlock})`);
 
-    const files = fs.readdirSync(TRANSACTIONS_DIR);
-    const jsonFiles = files.filter(file => file.endsWith('.json') && file.startsWith('block_'));
+    for (const rule of scored.rules) {
+        const capped = rule.points < rule.uncappedPoints ? ` (capped from ${rule.uncappedPoints})` : '';
+        console.log(`  ✓ Rule ${rule.id}: ${rule.matches} match(es), ${rule.points} points${capped}`);
+    }
 
-    return jsonFiles.map(file => path.join(TRANSACTIONS_DIR, file));
+    if (scored.matches.length > 0) {
+        console.log(`\n  Matching transactions:`);
+        scored.matches.forEach((txn, index) => {
+            console.log(`    ${index + 1}. Hash: ${txn.hash} [${txn.ruleId}]`);
+            console.log(`       Block: ${txn.blockNumber}, ${txn.event ? `Event: ${txn.event}` : `Value: ${txn.value}`}, Points: ${txn.points}`);
+            if (txn.revertReason) {
+                console.log(`       Reverted: ${txn.revertReason}`);
+            }
+        });
+    }
 }
 
 /**
- * Count successful transactions from address to target contract
+ * Count successful transactions and events from address that match the points rules
  */
-function countSuccessfulTransactions(address) {
+function countSuccessfulTransactions(address, config, network = loadNetwork()) {
     console.log(`\nChecking transactions for ${address}...`);
 
-    const transactionFiles = getTransactionFiles();
-    console.log(`  Found ${transactionFiles.length} transaction files to check`);
-
-    let successfulTxnCount = 0;
-    const matchingTxns = [];
+    const db = fs.existsSync(network.dbFile) ? openStore(network.dbFile) : null;
+    const result = matchTransactions(db, config, address);
+    printMatches(result, network.dbFile);
+    return { count: result.scored.matches.length, scored: result.scored };
+}
 
-    for (const filePath of transactionFiles) {
-        try {
-            const fileContent = fs.readFileSync(filePath, 'utf8');
-            const data = JSON.parse(fileContent);
-
-            // Handle the nested structure: data.transactions is the array
-            const transactions = data.transactions || [];
-
-            for (const txn of transactions) {
-                // Check if transaction is from the address, to the target contract, and successful
-                if (txn.from && txn.to && txn.status) {
-                    const fromMatch = txn.from.toLowerCase() === address.toLowerCase();
-                    const toMatch = txn.to.toLowerCase() === TARGET_CONTRACT.toLowerCase();
-                    const isSuccess = txn.status === 'Success';
-
-                    if (fromMatch && toMatch && isSuccess) {
-                        successfulTxnCount++;
-                        matchingTxns.push({
-                            hash: txn.hash,
-                            blockNumber: txn.blockNumber,
-                            value: txn.value,
-                            valueInEth: ethers.formatEther(txn.value || '0'),
-                            to: TARGET_CONTRACT,
-                            status: 'Success'
-                        });
-                    }
-                }
-            }
-        } catch (error) {
-            console.log(`  ! Error reading ${path.basename(filePath)}: ${error.message}`);
-        }
+/**
+ * What a trait or rarity asset counts, e.g. " (Background: Gold)"; empty for token balances
+ */
+function describeAsset(entry) {
+    if (entry.type === 'trait') {
+        return ` (${entry.trait}: ${entry.value})`;
     }
+    return entry.type === 'rarity' ? ` (${entry.rarity} tokens)` : '';
+}
 
-    console.log(`  ✓ Found ${successfulTxnCount} successful transaction(s) to ${TARGET_CONTRACT}`);
-
-    if (matchingTxns.length > 0) {
-        console.log(`\n  Matching transactions:`);
-        matchingTxns.forEach((txn, index) => {
-            console.log(`    ${index + 1}. Hash: ${txn.hash}`);
-            console.log(`       Block: ${txn.blockNumber}, Value: ${txn.value}`);
-        });
+/**
+ * Describe the multiplier breakdown in one line, e.g. "nft-holder: 2 held (1.3x)"
+ */
+function describeMultipliers(breakdown) {
+    const applied = breakdown.filter(entry => entry.multiplier !== 1.0);
+    if (applied.length === 0) {
+        return 'No holding bonus';
     }
-
-    return { count: successfulTxnCount, transactions: matchingTxns };
+    return applied.map(entry => `${entry.id}: ${entry.balance} held (${entry.multiplier}x)`).join(', ');
 }
 
 /**
- * Save results to JSON file
+ * Save results to JSON file in outputDir (the network's data directory)
  */
-function saveResultsToJSON(results) {
+function saveResultsToJSON(results, outputDir = __dirname) {
     // Extract last 26 characters from address (removing '0x' prefix)
     const shortId = results.address.slice(-26);
-    const filename = path.join(__dirname, `${shortId}.json`);
+    const filename = path.join(outputDir, `${shortId}.json`);
 
     const jsonData = {
         address: results.address,
+        network: results.network,
+        chainId: results.chainId,
         shortId: shortId,
         nftBalance: results.nftBalance,
         nftTokenIds: results.nftTokenIds || [],
+        nftTokens: results.nftTokens || [],
         multiplier: results.multiplier,
-        multiplierReason: results.nftBalance >= 2 ? '2+ NFTs bonus' : results.nftBalance === 1 ? '1 NFT bonus' : 'No NFTs',
+        multiplierMode: results.multiplierMode,
+        multiplierReason: describeMultipliers(results.multipliers),
+        multipliers: results.multipliers,
         successfulTransactions: results.txnCount,
         basePoints: results.basePoints,
         totalPoints: results.totalPoints,
-        pointsPerTransaction: BASE_POINTS_PER_TXN,
+        sybil: results.sybil || null,
+        rulesFile: results.rulesFile,
+        rules: results.rules,
         transactions: results.transactions,
-        lastUpdated: new Date().toISOString()
+        lastUpdated: results.calculatedAt || new Date().toISOString()
     };
 
-    fs.writeFileSync(filename, JSON.stringify(jsonData, null, 2));
+    writeFileAtomic(filename, JSON.stringify(jsonData, null, 2));
     console.log(`\n✓ Results saved to: ${filename}`);
     return filename;
 }
 
 /**
- * Calculate total points for an address
+ * Score an address against loaded rules (see points_rules.js) without printing anything
+ * provider and db default to ones opened from the network config (db null when it has no store yet),
+ * clock to the system clock (it stamps calculatedAt)
+ * Pass sybil ({ report, action, threshold }, see sybil_report.js) to exclude or reduce flagged wallets
+ */
+async function scorePoints(address, config, { verify = false, network = loadNetwork(), sybil = null, provider, db, clock = systemClock } = {}) {
+    provider = provider || createProvider(network.rpcUrls, network.chainId);
+    if (db === undefined) {
+        db = fs.existsSync(network.dbFile) ? openStore(network.dbFile) : null;
+    }
+    // Never score one chain's index with another chain's endpoints
+    await checkChainId(network, { provider, db });
+
+    // NFT holdings; a failure here scores the address as holding nothing
+    let nft;
+    try {
+        nft = await readNFTHoldings(address, { verify, network, provider, db, rarityTiers: config.multipliers.rarityTiers });
+    } catch (error) {
+        nft = { balance: 0, tokenIds: [], tokens: [], indexedBlock: null, verification: null, onChain: false, error: error.message };
+    }
+
+    // Match transactions and events against the rules
+    const { range, scored } = matchTransactions(db, config, address);
+
+    // Current holdings of every configured asset
+    const balances = await getAssetBalances(db, provider, config.multipliers, address);
+    const { breakdown } = computeMultiplier(config.multipliers, balances);
+
+    // Calculate points, each match multiplied by the holdings of its block or snapshot (or current ones)
+    const applied = await applyMultipliers(db, provider, config, address, scored, { balances });
+    let totalPoints = applied.totalPoints;
+
+    // Wallets flagged by the sybil report lose some or all of their points
+    let sybilResult = null;
+    if (sybil) {
+        const adjusted = applySybilPolicy(sybil.report, address, totalPoints, sybil);
+        totalPoints = adjusted.totalPoints;
+        sybilResult = adjusted.sybil;
+    }
+
+    return {
+        address,
+        network: network.name,
+        chainId: network.chainId,
+        nft,
+        nftBalance: nft.balance,
+        nftTokenIds: nft.tokenIds,
+        nftTokens: nft.tokens,
+        indexedRange: range,
+        scored,
+        multiplier: applied.multiplier,
+        multiplierMode: config.multipliers.mode,
+        multipliers: breakdown,
+        txnCount: scored.matches.length,
+        basePoints: scored.basePoints,
+        totalPoints,
+        sybil: sybilResult,
+        rules: scored.rules,
+        transactions: applied.matches,
+        calculatedAt: new Date(clock.now()).toISOString()
+    };
+}
+
+/**
+ * Calculate total points for an address and print the breakdown
+ * options are those of scorePoints
  */
-async function calculatePoints(address) {
+async function calculatePoints(address, rulesFile = DEFAULT_RULES_FILE, { network = loadNetwork(), sybil = null, ...options } = {}) {
     console.log('='.repeat(80));
     console.log(`POINTS AGGREGATOR - Address: ${address}`);
     console.log('='.repeat(80));
 
-    // Check NFT holdings
-    const nftData = await checkNFTBalance(address);
-    const nftBalance = nftData.balance;
-    const nftTokenIds = nftData.tokenIds;
-
-    // Count successful transactions
-    const txnResult = countSuccessfulTransactions(address);
-    const txnCount = txnResult.count;
-    const transactions = txnResult.transactions;
-
-    // Calculate multiplier based on NFT holdings
-    let multiplier;
-    if (nftBalance === 0) {
-        multiplier = NFT_MULTIPLIERS[0];
-    } else if (nftBalance === 1) {
-        multiplier = NFT_MULTIPLIERS[1];
+    // Rules are validated before any RPC calls are made
+    const config = loadRules(rulesFile);
+    console.log(`Network: ${network.name} (chain id ${network.chainId})`);
+    console.log(`Rules: ${config.rules.length} rule(s), ${config.multipliers.assets.length} multiplier asset(s) from ${rulesFile}`);
+
+    const result = await scorePoints(address, config, { network, sybil, ...options });
+    const { nftBalance, nftTokenIds, multiplier, multipliers: breakdown, transactions, totalPoints } = result;
+
+    console.log(`\nChecking NFT balance for ${address}...`);
+    if (result.nft.error) {
+        console.error('  ✗ Error checking NFT balance:', result.nft.error);
     } else {
-        multiplier = NFT_MULTIPLIERS[2];
+        printNFTHoldings(result.nft);
     }
-
-    // Calculate points
-    const basePoints = txnCount * BASE_POINTS_PER_TXN;
-    const totalPoints = Math.floor(basePoints * multiplier);
+    console.log(`\nChecking transactions for ${address}...`);
+    printMatches({ range: result.indexedRange, scored: result.scored }, network.dbFile);
 
     // Display results
     console.log('\n' + '='.repeat(80));
@@ -237,35 +301,77 @@ async function calculatePoints(address) {
     if (nftTokenIds.length > 0) {
         console.log(`NFT Token IDs: [${nftTokenIds.join(', ')}]`);
     }
-    console.log(`Multiplier: ${multiplier}x ${nftBalance >= 2 ? '(2+ NFTs bonus!)' : nftBalance === 1 ? '(1 NFT bonus)' : ''}`);
-    console.log(`Successful Transactions: ${txnCount}`);
-    console.log(`Base Points: ${basePoints} (${txnCount} txns × ${BASE_POINTS_PER_TXN} points)`);
-    console.log(`Total Points: ${totalPoints} ${nftBalance > 0 ? '(with NFT bonus)' : ''}`);
+    for (const entry of breakdown) {
+        console.log(`  ${entry.id}${describeAsset(entry)}: balance ${entry.balance} → ${entry.multiplier}x`);
+    }
+    if (config.multipliers.mode === 'current') {
+        console.log(`Multiplier: ${multiplier}x (${config.multipliers.combine}) - ${describeMultipliers(breakdown)}`);
+    } else {
+        const basis = config.multipliers.mode === 'transaction' ? 'holdings at each transaction' : 'holdings at snapshot blocks';
+        console.log(`Multiplier: ${multiplier}x effective (${config.multipliers.combine}, ${basis})`);
+        transactions.forEach((txn, index) => {
+            const at = txn.multiplierBlock !== null ? `block ${txn.multiplierBlock}` : 'no snapshot yet';
+            console.log(`  ${index + 1}. ${txn.hash}: ${txn.points} × ${txn.multiplier}x (${at}) = ${txn.multipliedPoints}`);
+        });
+    }
+    console.log(`Matched Transactions: ${result.txnCount}`);
+    for (const rule of result.rules) {
+        console.log(`  ${rule.id}: ${rule.matches} match(es) → ${rule.points} points`);
+    }
+    console.log(`Base Points: ${result.basePoints}`);
+    if (result.sybil) {
+        const signals = [...new Set(result.sybil.signals.map(signal => signal.type))].join(', ');
+        console.log(`Sybil risk: ${result.sybil.score} (${result.sybil.level}) - ${signals}`);
+        console.log(`  ! Points ${result.sybil.action === 'exclude' && totalPoints === 0 ? 'excluded' : 'adjusted'}: ${result.sybil.originalPoints} → ${totalPoints}`);
+    } else if (sybil) {
+        console.log('Sybil risk: not flagged ✓');
+    }
+    console.log(`Total Points: ${totalPoints} ${multiplier !== 1.0 ? '(with holding bonus)' : ''}`);
     console.log('='.repeat(80));
 
     return {
         address,
+        network: result.network,
+        chainId: result.chainId,
         nftBalance,
         nftTokenIds,
+        nftTokens: result.nftTokens,
         multiplier,
-        txnCount,
-        basePoints,
+        multiplierMode: result.multiplierMode,
+        multipliers: breakdown,
+        txnCount: result.txnCount,
+        basePoints: result.basePoints,
         totalPoints,
-        transactions
+        sybil: result.sybil,
+        rulesFile,
+        rules: result.rules,
+        transactions,
+        calculatedAt: result.calculatedAt
     };
 }
 
 // Main execution
 if (require.main === module) {
-    const args = process.argv.slice(2);
-
-    if (args.length === 0) {
-        console.error('Usage: node pointsaggregator.js <address>');
+    const { values, positionals } = parseArgs({
+        options: {
+            rules: { type: 'string', default: DEFAULT_RULES_FILE },
+            verify: { type: 'boolean', default: false },
+            'sybil-report': { type: 'string' },
+            'sybil-action': { type: 'string', default: 'reduce' },
+            'sybil-threshold': { type: 'string', default: '70' },
+            ...CONFIG_OPTIONS
+        },
+        allowPositionals: true
+    });
+
+    if (positionals.length === 0) {
+        console.error('Usage: node pointsaggregator.js <address> [--rules points_rules.json] [--verify] [--network monad]');
+        console.error('       [--sybil-report sybil_report.json [--sybil-action reduce|exclude] [--sybil-threshold 70]]');
         console.error('Example: node pointsaggregator.js 0x84A7818F15D42e77EC028DDe50D84Db82FEBf46D');
         process.exit(1);
     }
 
-    const address = args[0];
+    const address = positionals[0];
 
     // Validate address format
     if (!ethers.isAddress(address)) {
@@ -273,10 +379,37 @@ if (require.main === module) {
         process.exit(1);
     }
 
-    calculatePoints(address)
+    let network;
+    try {
+        network = loadNetwork(values);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    let sybil = null;
+    if (values['sybil-report']) {
+        const threshold = Number(values['sybil-threshold']);
+        if (!['reduce', 'exclude'].includes(values['sybil-action'])) {
+            console.error('Error: --sybil-action must be reduce or exclude');
+            process.exit(1);
+        }
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+            console.error('Error: --sybil-threshold must be a score from 0 to 100');
+            process.exit(1);
+        }
+        try {
+            sybil = { report: loadSybilReport(path.resolve(values['sybil-report'])), action: values['sybil-action'], threshold };
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    calculatePoints(address, path.resolve(values.rules), { verify: values.verify, network, sybil })
         .then(result => {
             // Save results to JSON file
-            saveResultsToJSON(result);
+            saveResultsToJSON(result, network.outputDir);
             console.log('\nDone!');
             process.exit(0);
         })
@@ -287,4 +420,12 @@ if (require.main === module) {
         });
 }
 
-module.exports = { calculatePoints, checkNFTBalance, countSuccessfulTransactions };
+module.exports = {
+    scorePoints,
+    calculatePoints,
+    readNFTHoldings,
+    checkNFTBalance,
+    matchTransactions,
+    countSuccessfulTransactions,
+    saveResultsToJSON
+};
@@ -0,0 +1,357 @@
+/**
+ * Pool of JSON-RPC endpoints behind a single ethers provider
+ * Every request goes to the healthiest endpoint (lowest latency, penalized by its recent error rate).
+ * Rate-limited, timed-out and unreachable endpoints are backed off exponentially while the request
+ * fails over to the next one. Endpoints can be cross-checked against each other by block hash.
+ * With a fixed network every endpoint's chain id is checked before its first use; one serving another
+ * chain fails that request with an error and is never used again.
+ */
+
+const { ethers } = require('ethers');
+
+// Per-request timeout in milliseconds (override with RPC_TIMEOUT_MS)
+const REQUEST_TIMEOUT = Number(process.env.RPC_TIMEOUT_MS) || 15000;
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 60000;
+// Weight of the newest sample in the latency and error-rate moving averages
+const SAMPLE_WEIGHT = 0.2;
+
+/**
+ * True when a JSON-RPC error object means the endpoint is throttling us
+ */
+function isRateLimitError(rpcError) {
+    return rpcError.code === -32005 || rpcError.code === 429 || /rate limit|too many requests|request limit/i.test(rpcError.message || '');
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Error raised by a single endpoint; `kind` is one of rate-limit, timeout or failure
+ */
+class EndpointError extends Error {
+    constructor(kind, message, retryAfter = null) {
+        super(message);
+        this.kind = kind;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class RpcPool extends ethers.JsonRpcProvider {
+    #endpoints;
+    #timeout;
+    #onRequest;
+    #chainId;
+
+    /**
+     * urls: endpoint URLs, tried in order until latency figures are known
+     * options: ethers JsonRpcApiProvider options plus `timeout` (ms per request) and `onRequest`,
+     * called for every JSON-RPC call sent with { method, url, durationMs, error } where error is null
+     * or the failure kind (rate-limit, timeout, failure, or rpc-error for an error answer)
+     */
+    constructor(urls, network, options = {}) {
+        if (!Array.isArray(urls) || urls.length === 0) {
+            throw new Error('RpcPool needs at least one RPC URL');
+        }
+        const { timeout, onRequest, ...providerOptions } = options;
+        super(urls[0], network, providerOptions);
+
+        this.#timeout = timeout || REQUEST_TIMEOUT;
+        this.#onRequest = onRequest || null;
+        this.#chainId = providerOptions.staticNetwork ? Number(providerOptions.staticNetwork.chainId) : null;
+        this.#endpoints = urls.map(url => ({
+            url,
+            requests: 0,
+            errors: 0,
+            rateLimited: 0,
+            timeouts: 0,
+            hashMismatches: 0,
+            latencyMs: 0,
+            errorRate: 0,
+            consecutiveFailures: 0,
+            backoffUntil: 0,
+            // Pending or finished eth_chainId answer, and the chain id of an endpoint found on another chain
+            chainCheck: null,
+            wrongChainId: null
+        }));
+    }
+
+    get urls() {
+        return this.#endpoints.map(endpoint => endpoint.url);
+    }
+
+    /**
+     * Send a payload (single or batch) to one endpoint, classifying failures
+     */
+    async #sendTo(endpoint, payload) {
+        const started = Date.now();
+        try {
+            const results = await this.#request(endpoint, payload);
+            this.#report(endpoint, payload, Date.now() - started, null, results);
+            return results;
+        } catch (error) {
+            this.#report(endpoint, payload, Date.now() - started, error instanceof EndpointError ? error.kind : 'failure', []);
+            throw error;
+        }
+    }
+
+    /**
+     * Pass every call of a payload to the onRequest hook
+     */
+    #report(endpoint, payload, durationMs, errorKind, results) {
+        if (!this.#onRequest) {
+            return;
+        }
+        for (const call of Array.isArray(payload) ? payload : [payload]) {
+            const result = results.find(entry => entry && entry.id === call.id);
+            const error = errorKind || (result && result.error ? 'rpc-error' : null);
+            this.#onRequest({ method: call.method, url: endpoint.url, durationMs, error });
+        }
+    }
+
+    async #request(endpoint, payload) {
+        const request = new ethers.FetchRequest(endpoint.url);
+        request.timeout = this.#timeout;
+        // Throttling is handled here (with failover), not by retrying the same endpoint
+        request.retryFunc = async () => false;
+        request.body = JSON.stringify(payload);
+        request.setHeader('content-type', 'application/json');
+
+        let response;
+        try {
+            response = await request.send();
+        } catch (error) {
+            if (error.code === 'TIMEOUT') {
+                throw new EndpointError('timeout', `Request to ${endpoint.url} timed out after ${this.#timeout}ms`);
+            }
+            throw new EndpointError('failure', `Request to ${endpoint.url} failed: ${error.message}`);
+        }
+
+        if (response.statusCode === 429) {
+            const retryAfter = Number(response.headers['retry-after']);
+            throw new EndpointError('rate-limit', `Rate limited by ${endpoint.url}`, Number.isFinite(retryAfter) ? retryAfter * 1000 : null);
+        }
+        if (!response.ok()) {
+            throw new EndpointError('failure', `${endpoint.url} answered HTTP ${response.statusCode} ${response.statusMessage}`);
+        }
+
+        let results;
+        try {
+            results = response.bodyJson;
+        } catch (error) {
+            throw new EndpointError('failure', `${endpoint.url} returned invalid JSON`);
+        }
+        if (!Array.isArray(results)) {
+            results = [results];
+        }
+
+        // Some nodes report throttling inside a 200 response; other per-call errors belong to the caller
+        const throttled = results.find(result => result && result.error && isRateLimitError(result.error));
+        if (throttled) {
+            throw new EndpointError('rate-limit', `Rate limited by ${endpoint.url}: ${throttled.error.message}`);
+        }
+        return results;
+    }
+
+    #recordSuccess(endpoint, latencyMs) {
+        endpoint.requests++;
+        endpoint.latencyMs = endpoint.requests === 1
+            ? latencyMs
+            : endpoint.latencyMs + SAMPLE_WEIGHT * (latencyMs - endpoint.latencyMs);
+        endpoint.errorRate *= 1 - SAMPLE_WEIGHT;
+        endpoint.consecutiveFailures = 0;
+        endpoint.backoffUntil = 0;
+    }
+
+    #recordFailure(endpoint, error) {
+        endpoint.requests++;
+        endpoint.errors++;
+        if (error.kind === 'rate-limit') {
+            endpoint.rateLimited++;
+        } else if (error.kind === 'timeout') {
+            endpoint.timeouts++;
+        }
+        endpoint.errorRate += SAMPLE_WEIGHT * (1 - endpoint.errorRate);
+        endpoint.consecutiveFailures++;
+
+        const backoff = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** (endpoint.consecutiveFailures - 1));
+        endpoint.backoffUntil = Date.now() + Math.max(backoff, error.retryAfter || 0);
+    }
+
+    /**
+     * Throw unless the endpoint serves the pool's chain; asked once per endpoint (again after a failed ask)
+     */
+    async #verifyChain(endpoint) {
+        if (this.#chainId === null) {
+            return;
+        }
+        if (!endpoint.chainCheck) {
+            const payload = { method: 'eth_chainId', params: [], id: 1, jsonrpc: '2.0' };
+            endpoint.chainCheck = this.#sendTo(endpoint, payload).then(([result]) => {
+                if (!result || result.error) {
+                    throw new EndpointError('failure', `${endpoint.url} did not report its chain id`);
+                }
+                return Number(result.result);
+            });
+            endpoint.chainCheck.catch(() => {
+                endpoint.chainCheck = null;
+            });
+        }
+
+        const remote = await endpoint.chainCheck;
+        if (remote !== this.#chainId) {
+            endpoint.wrongChainId = remote;
+            throw new Error(`RPC endpoint ${endpoint.url} serves chain id ${remote}, not chain id ${this.#chainId}`);
+        }
+    }
+
+    /**
+     * Check the chain id of every endpoint now; throws if one serves another chain
+     * Unreachable endpoints are skipped here and checked before their first use
+     */
+    async verifyEndpoints() {
+        await Promise.all(this.#endpoints.map(endpoint => this.#verifyChain(endpoint).catch(error => {
+            if (!(error instanceof EndpointError)) {
+                throw error;
+            }
+        })));
+    }
+
+    /**
+     * Endpoints on the pool's chain that are not backing off, best first; waits for the earliest one when all are
+     */
+    async #availableEndpoints() {
+        const now = Date.now();
+        const usable = this.#endpoints.filter(endpoint => endpoint.wrongChainId === null);
+        if (usable.length === 0) {
+            throw new Error(`No RPC endpoint serves chain id ${this.#chainId}`);
+        }
+        const available = usable.filter(endpoint => endpoint.backoffUntil <= now);
+        if (available.length === 0) {
+            const earliest = Math.min(...usable.map(endpoint => endpoint.backoffUntil));
+            await wait(earliest - now);
+            return this.#availableEndpoints();
+        }
+        // Expected cost of a request: average latency plus the timeout weighted by the recent error rate
+        const score = endpoint => endpoint.latencyMs + endpoint.errorRate * this.#timeout;
+        return available.sort((a, b) => score(a) - score(b));
+    }
+
+    /**
+     * Called by ethers for every (batched) request; fails over across endpoints until one answers
+     */
+    async _send(payload) {
+        const maxAttempts = Math.max(3, this.#endpoints.length * 2);
+        let lastError = null;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const [endpoint] = await this.#availableEndpoints();
+            const started = Date.now();
+            try {
+                await this.#verifyChain(endpoint);
+                const results = await this.#sendTo(endpoint, payload);
+                this.#recordSuccess(endpoint, Date.now() - started);
+                return results;
+            } catch (error) {
+                if (!(error instanceof EndpointError)) {
+                    throw error;
+                }
+                this.#recordFailure(endpoint, error);
+                lastError = error;
+            }
+        }
+
+        throw new Error(`All RPC attempts failed (${maxAttempts} tries): ${lastError.message}`);
+    }
+
+    /**
+     * Ask every endpoint for the hash of blockNumber and compare them
+     * Endpoints that disagree with the majority are counted and backed off for the maximum period.
+     * Returns { blockNumber, hash (majority, or null when nobody answered), consistent, endpoints }
+     */
+    async crossCheckBlock(blockNumber) {
+        const payload = { method: 'eth_getBlockByNumber', params: [ethers.toQuantity(blockNumber), false], id: 1, jsonrpc: '2.0' };
+
+        const endpoints = this.#endpoints.filter(endpoint => endpoint.wrongChainId === null);
+        const answers = await Promise.all(endpoints.map(async (endpoint) => {
+            try {
+                const [result] = await this.#sendTo(endpoint, payload);
+                return { endpoint, hash: result && result.result ? result.result.hash : null };
+            } catch (error) {
+                return { endpoint, hash: null };
+            }
+        }));
+
+        const votes = new Map();
+        for (const { hash } of answers) {
+            if (hash) {
+                votes.set(hash, (votes.get(hash) || 0) + 1);
+            }
+        }
+        const [majority] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+
+        for (const { endpoint, hash } of answers) {
+            if (hash && hash !== majority) {
+                endpoint.hashMismatches++;
+                endpoint.backoffUntil = Date.now() + BACKOFF_MAX;
+            }
+        }
+
+        return {
+            blockNumber,
+            hash: majority,
+            consistent: votes.size <= 1,
+            endpoints: answers.map(({ endpoint, hash }) => ({ url: endpoint.url, hash }))
+        };
+    }
+
+    /**
+     * Per-endpoint health: request and error counts, average latency, recent error rate and backoff
+     */
+    getStats() {
+        const now = Date.now();
+        return this.#endpoints.map(endpoint => ({
+            url: endpoint.url,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            rateLimited: endpoint.rateLimited,
+            timeouts: endpoint.timeouts,
+            hashMismatches: endpoint.hashMismatches,
+            latencyMs: Math.round(endpoint.latencyMs),
+            errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+            backoffMs: Math.max(0, endpoint.backoffUntil - now)
+        }));
+    }
+}
+
+/**
+ * Provider over a network's RPC endpoints (see config.js)
+ * With a chainId the network is fixed up front instead of detected, so an unreachable endpoint
+ * fails requests instead of stalling network detection; each endpoint's chain id is checked on first use
+ */
+function createProvider(urls, chainId, options = {}) {
+    const staticNetwork = chainId !== undefined ? ethers.Network.from(chainId) : undefined;
+    return new RpcPool(urls, undefined, { staticNetwork, ...options });
+}
+
+/**
+ * Run fn, retrying with exponential backoff (baseDelay, 2x baseDelay, ...) up to `retries` more times
+ */
+async function withRetry(fn, { retries = 3, baseDelay = 500, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries) {
+                throw error;
+            }
+            if (onRetry) {
+                onRetry(error, attempt + 1);
+            }
+            await wait(Math.min(BACKOFF_MAX, baseDelay * 2 ** attempt));
+        }
+    }
+}
+
+module.exports = { RpcPool, createProvider, withRetry };
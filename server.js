@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Local HTTP API exposing points, leaderboard, transactions, NFT holdings and indexer status
+ *
+ *   GET /points/:address                 points breakdown for an address
+ *   GET /leaderboard?page=1&limit=50     ranked leaderboard (written by leaderboard.js)
+ *   GET /address/:address/transactions   indexed transactions sent by an address (?page, ?limit, ?to, ?status)
+ *   GET /nft/:address                    NFT balance and token ids (?verify=true checks them on-chain)
+ *   GET /status                          indexer progress, chain head, lag and RPC endpoint health
+ *   GET /events                          Server-Sent Events stream of subscription notifications
+ *                                        (?subscription=a,b to filter; resumes after Last-Event-ID or ?after)
+ *
+ * Usage: node server.js [--port 3000] [--rules points_rules.json] [--network monad]
+ */
+
+const { ethers } = require('ethers');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    openStore,
+    loadProgress,
+    getTotalTransactions,
+    findTransactions,
+    countTransactions,
+    loadLeaderboard,
+    countLeaderboard,
+    getMeta,
+    getNotificationsSince,
+    getLatestNotificationId
+} = require('./store');
+const { DEFAULT_RULES_FILE, loadRules, scoreAddress } = require('./points_rules');
+const { readNFTHoldings } = require('./pointsaggregator');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, requireContract, checkChainId } = require('./config');
+
+const DEFAULT_PORT = Number(process.env.PORT) || 3000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// How often event streams check the notification outbox, and how often an idle stream sends a keep-alive
+const STREAM_POLL_INTERVAL = 1000;
+const STREAM_KEEPALIVE_INTERVAL = 15000;
+const STATUSES = ['Success', 'Fail', 'Unknown'];
+
+/**
+ * Error with an HTTP status and a machine-readable code, returned to the client as-is
+ */
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*'
+    });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function requireAddress(value) {
+    if (!ethers.isAddress(value)) {
+        throw new ApiError(400, 'INVALID_ADDRESS', `Invalid Ethereum address: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Read ?page and ?limit, returning offset/limit for the store queries
+ */
+function parsePagination(query) {
+    const page = query.has('page') ? Number(query.get('page')) : 1;
+    const limit = query.has('limit') ? Number(query.get('limit')) : DEFAULT_PAGE_SIZE;
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ApiError(400, 'INVALID_PARAMETER', '"page" must be a positive integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new ApiError(400, 'INVALID_PARAMETER', `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Read ?status, which must be one of the stored transaction statuses
+ */
+function parseStatus(query) {
+    const status = query.get('status') || undefined;
+    if (status !== undefined && !STATUSES.includes(status)) {
+        throw new ApiError(400, 'INVALID_PARAMETER', `"status" must be one of ${STATUSES.join(', ')}`);
+    }
+    return status;
+}
+
+/**
+ * Look up a configured contract; a missing one is a deployment gap, not a server fault
+ */
+function requireConfiguredContract(network, contract) {
+    try {
+        return requireContract(network, contract);
+    } catch (error) {
+        throw new ApiError(501, 'NOT_CONFIGURED', error.message);
+    }
+}
+
+function paginationInfo({ page, limit }, total) {
+    return { page, limit, total, pages: Math.ceil(total / limit) };
+}
+
+/**
+ * Stream notifications from the outbox (queued by the indexer) as Server-Sent Events
+ * Each event's id is its outbox id, so a reconnecting client resumes with Last-Event-ID without losing
+ * events; without one the stream starts with the next new event
+ */
+function streamEvents(db, req, res, query) {
+    const resumeFrom = req.headers['last-event-id'] !== undefined ? req.headers['last-event-id'] : query.get('after');
+    let lastId = resumeFrom !== null ? Number(resumeFrom) : getLatestNotificationId(db);
+    if (!Number.isInteger(lastId) || lastId < 0) {
+        throw new ApiError(400, 'INVALID_PARAMETER', '"after" / Last-Event-ID must be a notification id');
+    }
+    const subscriptions = query.has('subscription')
+        ? query.getAll('subscription').flatMap(value => value.split(',')).filter(id => id.length > 0)
+        : undefined;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*'
+    });
+    res.write('retry: 5000\n\n');
+
+    let lastWrite = Date.now();
+    const poll = () => {
+        let notifications;
+        do {
+            notifications = getNotificationsSince(db, lastId, { subscriptions });
+            for (const notification of notifications) {
+                const event = notification.removed ? `${notification.type}.removed` : notification.type;
+                res.write(`id: ${notification.id}\nevent: ${event}\ndata: ${JSON.stringify({ id: notification.id, ...notification.payload })}\n\n`);
+                lastId = notification.id;
+                lastWrite = Date.now();
+            }
+        } while (notifications.length > 0);
+
+        if (Date.now() - lastWrite >= STREAM_KEEPALIVE_INTERVAL) {
+            res.write(': keep-alive\n\n');
+            lastWrite = Date.now();
+        }
+    };
+
+    poll();
+    const timer = setInterval(() => {
+        try {
+            poll();
+        } catch (error) {
+            console.error(`[ERROR] Event stream: ${error.message}`);
+            clearInterval(timer);
+            res.end();
+        }
+    }, STREAM_POLL_INTERVAL);
+    req.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Create the request handler; dependencies are passed in so the routes can be reused
+ */
+function createApp({ db, provider, config, network }) {
+    const routes = [
+        {
+            pattern: /^\/points\/([^/]+)$/,
+            handler: async ([address]) => {
+                const owner = requireAddress(address);
+                try {
+                    return await scoreAddress(db, provider, config, owner);
+                } catch (error) {
+                    // Multiplier balances come from the RPC; a failed read must not pass for a server crash
+                    throw new ApiError(502, 'POINTS_LOOKUP_FAILED', `Could not score address: ${error.message}`);
+                }
+            }
+        },
+        {
+            pattern: /^\/leaderboard$/,
+            handler: async (params, query) => {
+                const pagination = parsePagination(query);
+                const entries = loadLeaderboard(db, pagination);
+                const lastBlock = getMeta(db, 'leaderboard.lastBlock');
+                return {
+                    toBlock: lastBlock !== null ? Number(lastBlock) : null,
+                    pagination: paginationInfo(pagination, countLeaderboard(db)),
+                    entries
+                };
+            }
+        },
+        {
+            pattern: /^\/address\/([^/]+)\/transactions$/,
+            handler: async ([address], query) => {
+                const from = requireAddress(address);
+                const to = query.has('to') ? requireAddress(query.get('to')) : undefined;
+                const status = parseStatus(query);
+                const pagination = parsePagination(query);
+
+                return {
+                    address: from,
+                    pagination: paginationInfo(pagination, countTransactions(db, { from, to, status })),
+                    transactions: findTransactions(db, { from, to, status, limit: pagination.limit, offset: pagination.offset })
+                };
+            }
+        },
+        {
+            pattern: /^\/nft\/([^/]+)$/,
+            handler: async ([address], query) => {
+                const owner = requireAddress(address);
+                requireConfiguredContract(network, 'nft');
+                let nftData;
+                try {
+                    nftData = await readNFTHoldings(owner, { verify: query.get('verify') === 'true', network, provider, db });
+                } catch (error) {
+                    // A failed lookup must not pass for an empty wallet
+                    throw new ApiError(502, 'NFT_LOOKUP_FAILED', `Could not read NFT holdings: ${error.message}`);
+                }
+                return {
+                    address: owner,
+                    balance: nftData.balance,
+                    tokenIds: nftData.tokenIds,
+                    indexedBlock: nftData.indexedBlock,
+                    verification: nftData.verification
+                };
+            }
+        },
+        {
+            pattern: /^\/status$/,
+            handler: async () => {
+                const progress = loadProgress(db);
+                let headBlock = null;
+                try {
+                    headBlock = await provider.getBlockNumber();
+                } catch (error) {
+                    // Report what we know locally even when the RPC is unreachable
+                }
+                return {
+                    network: network.name,
+                    chainId: network.chainId,
+                    lastProcessedBlock: progress.lastProcessedBlock,
+                    finalizedBlock: progress.finalizedBlock,
+                    headBlock,
+                    lag: headBlock !== null && progress.lastProcessedBlock !== null ? headBlock - progress.lastProcessedBlock : null,
+                    totalTransactions: getTotalTransactions(db),
+                    lastUpdated: progress.lastUpdated,
+                    rpc: typeof provider.getStats === 'function' ? provider.getStats() : null
+                };
+            }
+        }
+    ];
+
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method !== 'GET') {
+                throw new ApiError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`);
+            }
+
+            // The event stream stays open, unlike the JSON routes
+            if (url.pathname === '/events') {
+                streamEvents(db, req, res, url.searchParams);
+                return;
+            }
+
+            for (const route of routes) {
+                const match = url.pathname.match(route.pattern);
+                if (match) {
+                    let params;
+                    try {
+                        params = match.slice(1).map(decodeURIComponent);
+                    } catch (error) {
+                        // Every route parameter is an address; a malformed escape cannot be one
+                        throw new ApiError(400, 'INVALID_ADDRESS', `Invalid Ethereum address: ${match[1]}`);
+                    }
+                    sendJSON(res, 200, await route.handler(params, url.searchParams));
+                    return;
+                }
+            }
+
+            throw new ApiError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+        } catch (error) {
+            if (error instanceof ApiError) {
+                sendJSON(res, error.status, { error: { code: error.code, message: error.message } });
+            } else {
+                console.error(`[ERROR] ${req.method} ${url.pathname}: ${error.message}`);
+                sendJSON(res, 500, { error: { code: 'INTERNAL_ERROR', message: error.message } });
+            }
+        }
+    };
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: String(DEFAULT_PORT) },
+            rules: { type: 'string', default: DEFAULT_RULES_FILE },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    (async () => {
+        const network = loadNetwork(values);
+        const config = loadRules(path.resolve(values.rules));
+        const provider = createProvider(network.rpcUrls, network.chainId);
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { provider, db });
+
+        const server = http.createServer(createApp({ db, provider, config, network }));
+        server.listen(Number(values.port), () => {
+            console.log(`API server for ${network.name} listening on http://localhost:${values.port}`);
+        });
+    })().catch(error => {
+        console.error('\nError:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createApp, ApiError };
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * Reproducible points snapshots for reward distribution
+ * `create` freezes the points calculation at a final block: every address is scored from the activity
+ * indexed up to that block, with holdings read at that block (current mode) or at each match's block
+ * or snapshot (historical modes). The snapshot directory holds:
+ *   manifest.json      block range and hash, rules config hash, input data hash, Merkle root, signature
+ *   distribution.json  points per address with its Merkle proof
+ * The Merkle tree follows OpenZeppelin's StandardMerkleTree over (address, uint256 points): leaves are
+ * keccak256(bytes.concat(keccak256(abi.encode(account, points)))) and pairs are hashed sorted, so the
+ * proofs verify with MerkleProof.verify in a claim contract.
+ * `verify-snapshot` recomputes everything from the store and the chain and checks it matches.
+ *
+ * The manifest is signed (EIP-191 personal_sign over the manifest hash) when SNAPSHOT_SIGNER_KEY is set.
+ *
+ * Usage:
+ *   node snapshot.js create [--block N] [--rules points_rules.json] [--out-dir dir] [--network monad]
+ *   node snapshot.js verify-snapshot <snapshot dir> [--rules points_rules.json] [--network monad]
+ * --block defaults to the newest final indexed block; --out-dir to <data dir>/snapshots/<block>.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { openStore, loadProgress, getIndexedRange, getBlockHash } = require('./store');
+const {
+    DEFAULT_RULES_FILE,
+    loadRules,
+    collectMatches,
+    scoreMatches,
+    getAssetBalancesBatch,
+    applyMultipliers
+} = require('./points_rules');
+const { hashRules } = require('./leaderboard');
+const { createProvider } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+const { writeFileAtomic } = require('./atomic_file');
+
+const SNAPSHOT_VERSION = 1;
+const LEAF_ENCODING = ['address', 'uint256'];
+const BALANCE_BATCH_SIZE = 100;
+
+/**
+ * StandardMerkleTree leaf of one (address, points) claim
+ */
+function leafHash(address, points) {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(LEAF_ENCODING, [address, points]);
+    return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+    return ethers.keccak256(ethers.concat(ethers.toBigInt(a) < ethers.toBigInt(b) ? [a, b] : [b, a]));
+}
+
+/**
+ * Build the tree as OpenZeppelin's StandardMerkleTree does: leaves sorted by hash, laid out from the end
+ * of a complete binary tree array. Returns { root, proofs: Map of address to proof }
+ */
+function buildMerkleTree(claims) {
+    if (claims.length === 0) {
+        throw new Error('Cannot build a Merkle tree without claims');
+    }
+    const leaves = claims
+        .map(claim => ({ address: claim.address, hash: leafHash(claim.address, claim.points) }))
+        .sort((a, b) => (ethers.toBigInt(a.hash) < ethers.toBigInt(b.hash) ? -1 : 1));
+
+    const tree = new Array(2 * leaves.length - 1);
+    leaves.forEach((leaf, i) => {
+        tree[tree.length - 1 - i] = leaf.hash;
+    });
+    for (let i = tree.length - 1 - leaves.length; i >= 0; i--) {
+        tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+    }
+
+    const proofs = new Map();
+    leaves.forEach((leaf, i) => {
+        const proof = [];
+        for (let index = tree.length - 1 - i; index > 0; index = Math.floor((index - 1) / 2)) {
+            proof.push(tree[index % 2 === 1 ? index + 1 : index - 1]);
+        }
+        proofs.set(leaf.address, proof);
+    });
+
+    return { root: tree[0], proofs };
+}
+
+/**
+ * Check a proof the way MerkleProof.verify does on-chain
+ * A claim read from a file may be malformed: a proof that is not a list of hashes, or points that do not
+ * encode, fails the check
+ */
+function verifyProof(root, address, points, proof) {
+    if (!Array.isArray(proof) || !proof.every(sibling => ethers.isHexString(sibling, 32))) {
+        return false;
+    }
+    let leaf;
+    try {
+        leaf = leafHash(address, points);
+    } catch (error) {
+        return false;
+    }
+    return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
+
+/**
+ * Score every address from the activity indexed up to `block`, deterministically
+ * Returns { claims: [{ address, points, basePoints, multiplier, matches }] sorted by address, dataHash }
+ * dataHash covers every scored match and the holdings its multiplier came from
+ */
+async function computeSnapshot(db, provider, config, block) {
+    const matchesByAddress = collectMatches(db, config, { toBlock: block });
+    const addresses = [...matchesByAddress.keys()].sort();
+
+    // Current holdings are read at the snapshot block, so the result does not depend on when it is computed
+    let balances = new Map();
+    if (config.multipliers.mode === 'current') {
+        balances = await getAssetBalancesBatch(db, provider, config.multipliers, addresses, BALANCE_BATCH_SIZE, block);
+    }
+
+    const data = crypto.createHash('sha256');
+    const claims = [];
+    for (const address of addresses) {
+        const scored = scoreMatches(config, matchesByAddress.get(address));
+        const applied = await applyMultipliers(db, provider, config, address, scored, { balances: balances.get(address) });
+
+        for (const match of applied.matches) {
+            data.update(JSON.stringify([
+                address,
+                match.ruleId,
+                match.hash,
+                match.blockNumber,
+                match.logIndex !== undefined ? match.logIndex : null,
+                match.points,
+                match.multipliedPoints,
+                match.multiplierBlock,
+                match.holdings
+            ]) + '\n');
+        }
+        if (applied.totalPoints > 0) {
+            claims.push({
+                address: ethers.getAddress(address),
+                points: applied.totalPoints,
+                basePoints: scored.basePoints,
+                multiplier: applied.multiplier,
+                matches: scored.matches.length
+            });
+        }
+    }
+
+    return { claims, dataHash: `0x${data.digest('hex')}` };
+}
+
+/**
+ * Hash of the manifest fields covered by the signature (everything but the signature itself)
+ */
+function manifestHash(manifest) {
+    const { signer, signature, ...signed } = manifest;
+    return ethers.id(JSON.stringify(signed));
+}
+
+/**
+ * Newest block that is both indexed and final
+ */
+function latestFinalBlock(db) {
+    const range = getIndexedRange(db);
+    const live = loadProgress(db);
+    return live.finalizedBlock !== null ? Math.min(range.toBlock, live.finalizedBlock) : range.toBlock;
+}
+
+async function createSnapshot(network, values) {
+    const rulesFile = path.resolve(values.rules);
+    const config = loadRules(rulesFile);
+    const provider = createProvider(network.rpcUrls, network.chainId);
+    const db = openStore(network.dbFile);
+    await checkChainId(network, { provider, db });
+
+    const range = getIndexedRange(db);
+    if (range.toBlock === null) {
+        throw new Error('No indexed blocks to snapshot');
+    }
+    const finalBlock = Math.min(latestFinalBlock(db), await provider.getBlockNumber() - network.confirmations);
+    const block = values.block !== undefined ? Number(values.block) : finalBlock;
+    if (!Number.isInteger(block) || block < range.fromBlock) {
+        throw new Error(`Block ${values.block} is not in the indexed range ${range.fromBlock}-${range.toBlock}`);
+    }
+    if (block > finalBlock) {
+        throw new Error(`Block ${block} is not final yet (newest final indexed block is ${finalBlock})`);
+    }
+    const blockHash = getBlockHash(db, block);
+    if (!blockHash) {
+        throw new Error(`Block ${block} is not stored (run verify.js --repair to fill gaps)`);
+    }
+
+    console.log('='.repeat(80));
+    console.log(`SNAPSHOT - ${network.name}, blocks ${range.fromBlock}-${block}`);
+    console.log('='.repeat(80));
+
+    const { claims, dataHash } = await computeSnapshot(db, provider, config, block);
+    const tree = buildMerkleTree(claims);
+
+    const manifest = {
+        version: SNAPSHOT_VERSION,
+        network: network.name,
+        chainId: network.chainId,
+        fromBlock: range.fromBlock,
+        toBlock: block,
+        blockHash,
+        rulesFile: path.basename(rulesFile),
+        multiplierMode: config.multipliers.mode,
+        configHash: `0x${hashRules(config)}`,
+        dataHash,
+        leafEncoding: LEAF_ENCODING,
+        merkleRoot: tree.root,
+        claims: claims.length,
+        totalPoints: claims.reduce((sum, claim) => sum + claim.points, 0),
+        createdAt: new Date().toISOString(),
+        signer: null,
+        signature: null
+    };
+
+    if (process.env.SNAPSHOT_SIGNER_KEY) {
+        const wallet = new ethers.Wallet(process.env.SNAPSHOT_SIGNER_KEY);
+        manifest.signer = wallet.address;
+        manifest.signature = await wallet.signMessage(ethers.getBytes(manifestHash(manifest)));
+    } else {
+        console.log('  ! SNAPSHOT_SIGNER_KEY is not set, the manifest is unsigned');
+    }
+
+    const distribution = {
+        merkleRoot: tree.root,
+        toBlock: block,
+        claims: Object.fromEntries(claims.map(claim => [claim.address, { ...claim, proof: tree.proofs.get(claim.address) }]))
+    };
+
+    const outDir = path.resolve(values['out-dir'] || path.join(network.outputDir, 'snapshots', String(block)));
+    fs.mkdirSync(outDir, { recursive: true });
+    writeFileAtomic(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    writeFileAtomic(path.join(outDir, 'distribution.json'), JSON.stringify(distribution, null, 2));
+
+    console.log(`  ✓ ${claims.length} address(es), ${manifest.totalPoints} points`);
+    console.log(`  ✓ Config hash: ${manifest.configHash}`);
+    console.log(`  ✓ Data hash: ${manifest.dataHash}`);
+    console.log(`  ✓ Merkle root: ${manifest.merkleRoot}`);
+    if (manifest.signer) {
+        console.log(`  ✓ Signed by ${manifest.signer}`);
+    }
+    console.log(`\n✓ Snapshot saved to: ${outDir}`);
+    return manifest;
+}
+
+/**
+ * Recompute a snapshot and compare it with the files on disk; returns the list of problems found
+ */
+async function verifySnapshot(network, snapshotDir, values) {
+    const read = file => {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(snapshotDir, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${file} from ${snapshotDir}: ${error.message}`);
+        }
+    };
+    const manifest = read('manifest.json');
+    const distribution = read('distribution.json');
+    const problems = [];
+    const check = (ok, message) => {
+        console.log(`  ${ok ? '✓' : '✗'} ${message}`);
+        if (!ok) {
+            problems.push(message);
+        }
+    };
+
+    console.log('='.repeat(80));
+    console.log(`VERIFY SNAPSHOT - ${manifest.network}, blocks ${manifest.fromBlock}-${manifest.toBlock}`);
+    console.log('='.repeat(80));
+
+    if (manifest.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${manifest.version}`);
+    }
+    if (manifest.chainId !== network.chainId) {
+        throw new Error(`Snapshot is for chain id ${manifest.chainId}, but network "${network.name}" is chain id ${network.chainId}`);
+    }
+
+    if (manifest.signature) {
+        const recovered = ethers.verifyMessage(ethers.getBytes(manifestHash(manifest)), manifest.signature);
+        check(recovered === manifest.signer, `Manifest signed by ${manifest.signer}`);
+    } else {
+        console.log('  ! Manifest is not signed');
+    }
+
+    const config = loadRules(path.resolve(values.rules));
+    check(`0x${hashRules(config)}` === manifest.configHash, `Rules config hash ${manifest.configHash}`);
+
+    const provider = createProvider(network.rpcUrls, network.chainId);
+    const db = openStore(network.dbFile);
+    await checkChainId(network, { provider, db });
+
+    const range = getIndexedRange(db);
+    check(range.fromBlock === manifest.fromBlock, `Index starts at block ${manifest.fromBlock} (store: ${range.fromBlock})`);
+    check(getBlockHash(db, manifest.toBlock) === manifest.blockHash, `Stored block ${manifest.toBlock} has hash ${manifest.blockHash}`);
+    const chainBlock = await provider.getBlock(manifest.toBlock);
+    check(chainBlock !== null && chainBlock.hash === manifest.blockHash, `Block ${manifest.toBlock} is still canonical on-chain`);
+
+    const { claims, dataHash } = await computeSnapshot(db, provider, config, manifest.toBlock);
+    check(dataHash === manifest.dataHash, `Input data hash ${manifest.dataHash}`);
+
+    const tree = buildMerkleTree(claims);
+    check(tree.root === manifest.merkleRoot && tree.root === distribution.merkleRoot, `Merkle root ${manifest.merkleRoot}`);
+
+    const claimed = distribution.claims || {};
+    const mismatched = claims.filter(claim => !claimed[claim.address] || claimed[claim.address].points !== claim.points);
+    const extra = Object.keys(claimed).filter(address => !claims.some(claim => claim.address === address));
+    check(mismatched.length === 0 && extra.length === 0, `Points of all ${claims.length} address(es) match`);
+    mismatched.slice(0, 10).forEach(claim => {
+        console.log(`      ${claim.address}: recomputed ${claim.points}, snapshot ${claimed[claim.address] ? claimed[claim.address].points : 'missing'}`);
+    });
+    extra.slice(0, 10).forEach(address => console.log(`      ${address}: in the snapshot but not recomputed`));
+
+    const badProofs = Object.entries(claimed).filter(([address, claim]) => !claim || !verifyProof(manifest.merkleRoot, address, claim.points, claim.proof));
+    check(badProofs.length === 0, 'Every proof verifies against the Merkle root');
+
+    return problems;
+}
+
+// Main execution
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            block: { type: 'string' },
+            rules: { type: 'string', default: DEFAULT_RULES_FILE },
+            'out-dir': { type: 'string' },
+            ...CONFIG_OPTIONS
+        }
+    });
+    const [command, snapshotDir] = positionals;
+
+    if (command !== 'create' && !(command === 'verify-snapshot' && snapshotDir)) {
+        console.error('Usage: node snapshot.js create [--block N] [--rules points_rules.json] [--out-dir dir]');
+        console.error('       node snapshot.js verify-snapshot <snapshot dir> [--rules points_rules.json]');
+        process.exit(1);
+    }
+
+    let network;
+    try {
+        network = loadNetwork(values);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    const run = command === 'create'
+        ? createSnapshot(network, values).then(() => 0)
+        : verifySnapshot(network, path.resolve(snapshotDir), values).then(problems => {
+            console.log(problems.length === 0 ? '\n✓ Snapshot verified' : `\n✗ Snapshot does not match: ${problems.length} problem(s)`);
+            return problems.length === 0 ? 0 : 2;
+        });
+
+    run
+        .then(code => {
+            console.log('\nDone!');
+            process.exit(code);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { leafHash, buildMerkleTree, verifyProof, computeSnapshot, manifestHash, createSnapshot, verifySnapshot };
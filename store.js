@@ -0,0 +1,1541 @@
+/**
+ * SQLite storage shared by the indexer and the points aggregator
+ * Holds indexed blocks, their transactions and indexer progress in one database file
+ */
+
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const DB_FILE = path.join(__dirname, 'indexer.db');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+    `
+    CREATE TABLE blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT,
+        parent_hash TEXT,
+        timestamp INTEGER,
+        tx_count INTEGER NOT NULL
+    );
+
+    CREATE TABLE transactions (
+        hash TEXT PRIMARY KEY,
+        block_number INTEGER NOT NULL,
+        tx_index INTEGER NOT NULL,
+        from_address TEXT NOT NULL,
+        to_address TEXT,
+        value TEXT NOT NULL,
+        gas TEXT NOT NULL,
+        gas_price TEXT NOT NULL,
+        input TEXT NOT NULL,
+        nonce INTEGER NOT NULL,
+        type INTEGER,
+        chain_id TEXT,
+        status TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_transactions_from ON transactions (from_address);
+    CREATE INDEX idx_transactions_to ON transactions (to_address);
+    CREATE INDEX idx_transactions_block ON transactions (block_number);
+    CREATE INDEX idx_transactions_status ON transactions (status);
+
+    CREATE TABLE progress (
+        name TEXT PRIMARY KEY,
+        last_processed_block INTEGER,
+        finalized_block INTEGER,
+        total_transactions INTEGER NOT NULL DEFAULT 0,
+        last_updated TEXT
+    );
+    `,
+    `
+    CREATE TABLE backfill_ranges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        start_block INTEGER NOT NULL,
+        end_block INTEGER NOT NULL,
+        worker INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    `,
+    `
+    ALTER TABLE transactions ADD COLUMN selector TEXT;
+    ALTER TABLE transactions ADD COLUMN method TEXT;
+    ALTER TABLE transactions ADD COLUMN method_args TEXT;
+    UPDATE transactions SET selector = substr(input, 1, 10) WHERE length(input) >= 10;
+    CREATE INDEX idx_transactions_selector ON transactions (selector);
+
+    CREATE TABLE abis (
+        address TEXT PRIMARY KEY,
+        name TEXT,
+        abi TEXT NOT NULL,
+        registered_at TEXT NOT NULL
+    );
+
+    CREATE TABLE logs (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        address TEXT NOT NULL,
+        topic0 TEXT,
+        topics TEXT NOT NULL,
+        data TEXT NOT NULL,
+        event TEXT,
+        args TEXT,
+        PRIMARY KEY (block_number, log_index)
+    );
+
+    CREATE INDEX idx_logs_tx ON logs (tx_hash);
+    CREATE INDEX idx_logs_address_topic ON logs (address, topic0);
+    `,
+    `
+    ALTER TABLE transactions ADD COLUMN gas_used TEXT;
+    `,
+    `
+    CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+
+    CREATE TABLE leaderboard (
+        address TEXT PRIMARY KEY,
+        rank INTEGER,
+        total_points INTEGER NOT NULL,
+        base_points REAL NOT NULL,
+        multiplier REAL NOT NULL,
+        matches INTEGER NOT NULL,
+        rules TEXT NOT NULL,
+        balances TEXT NOT NULL,
+        updated_block INTEGER,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_leaderboard_rank ON leaderboard (rank);
+    `,
+    `
+    CREATE TABLE nft_transfers (
+        contract TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        PRIMARY KEY (contract, block_number, log_index)
+    );
+
+    CREATE INDEX idx_nft_transfers_from ON nft_transfers (contract, from_address, block_number);
+    CREATE INDEX idx_nft_transfers_to ON nft_transfers (contract, to_address, block_number);
+    CREATE INDEX idx_nft_transfers_token ON nft_transfers (contract, token_id, block_number);
+
+    CREATE TABLE nft_owners (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        owner TEXT NOT NULL,
+        since_block INTEGER NOT NULL,
+        PRIMARY KEY (contract, token_id)
+    );
+
+    CREATE INDEX idx_nft_owners_owner ON nft_owners (contract, owner);
+    `,
+    `
+    CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscription_id TEXT NOT NULL,
+        event_key TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT,
+        removed INTEGER NOT NULL DEFAULT 0,
+        payload TEXT NOT NULL,
+        webhook_status TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+    );
+
+    CREATE INDEX idx_notifications_due ON notifications (webhook_status, next_attempt_at);
+    CREATE INDEX idx_notifications_block ON notifications (block_number);
+    `,
+    `
+    ALTER TABLE transactions ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE transactions ADD COLUMN max_fee_per_gas TEXT;
+    ALTER TABLE transactions ADD COLUMN max_priority_fee_per_gas TEXT;
+    ALTER TABLE transactions ADD COLUMN effective_gas_price TEXT;
+    ALTER TABLE transactions ADD COLUMN contract_address TEXT;
+    ALTER TABLE transactions ADD COLUMN logs TEXT;
+    ALTER TABLE transactions ADD COLUMN revert_reason TEXT;
+    ALTER TABLE transactions ADD COLUMN revert_data TEXT;
+    `,
+    `
+    CREATE TABLE activity_profiles (
+        address TEXT PRIMARY KEY,
+        first_block INTEGER NOT NULL,
+        first_timestamp INTEGER,
+        last_block INTEGER NOT NULL,
+        last_timestamp INTEGER,
+        tx_count INTEGER NOT NULL,
+        failed_count INTEGER NOT NULL,
+        value_sent TEXT NOT NULL,
+        gas_spent TEXT NOT NULL,
+        active_days INTEGER NOT NULL,
+        last_active_day TEXT,
+        current_streak INTEGER NOT NULL,
+        longest_streak INTEGER NOT NULL
+    );
+
+    CREATE TABLE activity_address_days (
+        address TEXT NOT NULL,
+        day TEXT NOT NULL,
+        tx_count INTEGER NOT NULL,
+        failed_count INTEGER NOT NULL,
+        value_sent TEXT NOT NULL,
+        gas_spent TEXT NOT NULL,
+        PRIMARY KEY (address, day)
+    );
+
+    CREATE INDEX idx_activity_address_days_day ON activity_address_days (day);
+
+    CREATE TABLE activity_days (
+        day TEXT PRIMARY KEY,
+        tx_count INTEGER NOT NULL,
+        failed_count INTEGER NOT NULL,
+        unique_users INTEGER NOT NULL,
+        new_users INTEGER NOT NULL,
+        volume TEXT NOT NULL,
+        gas_spent TEXT NOT NULL
+    );
+    `,
+    `
+    CREATE TABLE nft_metadata (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        token_uri TEXT,
+        content_hash TEXT,
+        name TEXT,
+        image TEXT,
+        status TEXT NOT NULL,
+        error TEXT,
+        fetched_at TEXT NOT NULL,
+        PRIMARY KEY (contract, token_id)
+    );
+
+    CREATE TABLE nft_traits (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        trait_type TEXT NOT NULL COLLATE NOCASE,
+        value TEXT NOT NULL COLLATE NOCASE,
+        display_type TEXT,
+        PRIMARY KEY (contract, token_id, trait_type, value)
+    );
+
+    CREATE INDEX idx_nft_traits_value ON nft_traits (contract, trait_type, value);
+    `
+];
+
+// Open connections, keyed by resolved database path
+const openStores = new Map();
+
+/**
+ * Open (and migrate) the database, reusing the connection if it is already open
+ */
+function openStore(dbFile = DB_FILE) {
+    const resolved = path.resolve(dbFile);
+    if (openStores.has(resolved)) {
+        return openStores.get(resolved);
+    }
+
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    const db = new Database(resolved);
+    // WAL lets the aggregator read while the indexer writes
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+    }
+
+    openStores.set(resolved, db);
+    return db;
+}
+
+/**
+ * Close a database opened with openStore
+ */
+function closeStore(db) {
+    for (const [file, openDb] of openStores) {
+        if (openDb === db) {
+            openStores.delete(file);
+        }
+    }
+    db.close();
+}
+
+/**
+ * Load the progress row for a named indexer, or a fresh one
+ */
+function loadProgress(db, name = 'live') {
+    const row = db.prepare('SELECT * FROM progress WHERE name = ?').get(name);
+    if (!row) {
+        return { lastProcessedBlock: null, finalizedBlock: null, totalTransactions: 0, lastUpdated: null };
+    }
+    return {
+        lastProcessedBlock: row.last_processed_block,
+        finalizedBlock: row.finalized_block,
+        totalTransactions: row.total_transactions,
+        lastUpdated: row.last_updated
+    };
+}
+
+function saveProgress(db, progress, name = 'live') {
+    db.prepare(`
+        INSERT INTO progress (name, last_processed_block, finalized_block, total_transactions, last_updated)
+        VALUES (@name, @lastProcessedBlock, @finalizedBlock, @totalTransactions, @lastUpdated)
+        ON CONFLICT (name) DO UPDATE SET
+            last_processed_block = excluded.last_processed_block,
+            finalized_block = excluded.finalized_block,
+            total_transactions = excluded.total_transactions,
+            last_updated = excluded.last_updated
+    `).run({
+        name,
+        lastProcessedBlock: progress.lastProcessedBlock,
+        finalizedBlock: progress.finalizedBlock,
+        totalTransactions: progress.totalTransactions,
+        lastUpdated: new Date().toISOString()
+    });
+}
+
+/**
+ * Check a named indexer's progress against the stored blocks and rebuild it from them when it is damaged:
+ * a last processed block that is invalid or not stored, or a finalized block that is invalid or past the
+ * last processed one. The transaction total is recounted after any repair.
+ * Stored blocks above a valid last processed block are not damage (backfill writes final blocks ahead of
+ * a stopped indexer), and a rebuilt position never moves across a gap in the stored blocks.
+ * Returns one description per repair; empty when the progress was consistent or never saved.
+ */
+function repairProgress(db, name = 'live') {
+    const progress = loadProgress(db, name);
+    if (progress.lastProcessedBlock === null) {
+        return [];
+    }
+
+    const isBlock = value => Number.isInteger(value) && value >= 0;
+    const isStored = number => db.prepare('SELECT 1 FROM blocks WHERE number = ?').get(number) !== undefined;
+    // Last block of the run of consecutive stored blocks starting at `number`
+    const endOfRun = number => db.prepare(`
+        SELECT MIN(number) AS number FROM blocks b
+        WHERE number >= ? AND NOT EXISTS (SELECT 1 FROM blocks n WHERE n.number = b.number + 1)
+    `).get(number).number;
+    const repairs = [];
+
+    return db.transaction(() => {
+        const last = progress.lastProcessedBlock;
+        if (!isBlock(last) || !isStored(last)) {
+            // Resume after the stored blocks leading up to it; an invalid position starts from the lowest stored block
+            const anchor = isBlock(last)
+                ? db.prepare('SELECT MAX(number) AS number FROM blocks WHERE number < ?').get(last).number
+                : db.prepare('SELECT MIN(number) AS number FROM blocks').get().number;
+            const resume = anchor === null ? null : endOfRun(anchor);
+            // With nothing stored below a valid position there is nothing to rebuild it from
+            if (resume !== null || !isBlock(last)) {
+                progress.lastProcessedBlock = resume;
+                repairs.push(`last processed block ${last} is not stored; resuming after block ${resume}`);
+            }
+        }
+
+        const finalized = progress.finalizedBlock;
+        if (finalized !== null && (!isBlock(finalized) || progress.lastProcessedBlock === null || finalized > progress.lastProcessedBlock)) {
+            progress.finalizedBlock = isBlock(finalized) && progress.lastProcessedBlock !== null ? progress.lastProcessedBlock : null;
+            repairs.push(`finalized block ${finalized} is invalid; set to ${progress.finalizedBlock}`);
+        }
+
+        if (repairs.length > 0) {
+            saveProgress(db, progress, name);
+            const { previous, actual } = recountTransactions(db);
+            if (previous !== actual) {
+                repairs.push(`transaction total ${previous} recounted to ${actual}`);
+            }
+        }
+        return repairs;
+    })();
+}
+
+/**
+ * Add to a named indexer's transaction count without touching the rest of its progress row
+ * Used by writers that share the database with the live indexer
+ */
+function addTransactionCount(db, name, delta) {
+    db.prepare(`
+        INSERT INTO progress (name, total_transactions, last_updated) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET
+            total_transactions = total_transactions + excluded.total_transactions,
+            last_updated = excluded.last_updated
+    `).run(name, delta, new Date().toISOString());
+}
+
+/**
+ * Transactions stored across all indexers (live follower and backfill)
+ */
+function getTotalTransactions(db) {
+    return db.prepare('SELECT COALESCE(SUM(total_transactions), 0) AS total FROM progress').get().total;
+}
+
+/**
+ * Hash stored for a block, or null if the block has not been indexed
+ */
+function getBlockHash(db, blockNumber) {
+    const row = db.prepare('SELECT hash FROM blocks WHERE number = ?').get(blockNumber);
+    return row ? row.hash : null;
+}
+
+/**
+ * Timestamp stored for a block, or null if the block is not indexed or was imported without one
+ */
+function getBlockTimestamp(db, blockNumber) {
+    const row = db.prepare('SELECT timestamp FROM blocks WHERE number = ?').get(blockNumber);
+    return row ? row.timestamp : null;
+}
+
+/**
+ * Counter of changes to stored history: bumped when a block is written at or below the highest stored
+ * block (backfill of an earlier range, verify --repair, a resumed indexer behind backfilled blocks) and
+ * when blocks are rolled back. Appending above the stored blocks leaves it alone, so readers that only
+ * process new blocks (leaderboard, activity) compare it with the value of their last run and start over
+ * when it moved.
+ */
+function getBlocksRevision(db) {
+    const value = getMeta(db, 'blocks.revision');
+    return value !== null ? Number(value) : 0;
+}
+
+function bumpBlocksRevision(db) {
+    setMeta(db, 'blocks.revision', getBlocksRevision(db) + 1);
+}
+
+/**
+ * Write a block and its transactions, replacing whatever was stored for that block number
+ * Returns the change in stored transaction count
+ */
+function writeBlock(db, block) {
+    const highest = db.prepare('SELECT MAX(number) AS number FROM blocks').get().number;
+    if (highest !== null && block.number <= highest) {
+        bumpBlocksRevision(db);
+    }
+
+    let removed = db.prepare('DELETE FROM transactions WHERE block_number = ?').run(block.number).changes;
+    // A transaction stored at another height (moved by a reorg, or an overlapping backfill) is replaced too
+    const deleteTx = db.prepare('DELETE FROM transactions WHERE hash = ?');
+    for (const txn of block.transactions) {
+        removed += deleteTx.run(txn.hash).changes;
+    }
+
+    db.prepare(`
+        INSERT OR REPLACE INTO blocks (number, hash, parent_hash, timestamp, tx_count)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(block.number, block.hash || null, block.parentHash || null, block.timestamp || null, block.transactions.length);
+
+    const insertTx = db.prepare(`
+        INSERT OR REPLACE INTO transactions
+            (hash, block_number, tx_index, from_address, to_address, value, gas, gas_price, input, nonce, type, chain_id, status,
+             selector, method, method_args, gas_used, schema_version, max_fee_per_gas, max_priority_fee_per_gas,
+             effective_gas_price, contract_address, logs, revert_reason, revert_data)
+        VALUES
+            (@hash, @blockNumber, @txIndex, @from, @to, @value, @gas, @gasPrice, @input, @nonce, @type, @chainId, @status,
+             @selector, @method, @methodArgs, @gasUsed, @schemaVersion, @maxFeePerGas, @maxPriorityFeePerGas,
+             @effectiveGasPrice, @contractAddress, @logs, @revertReason, @revertData)
+    `);
+
+    block.transactions.forEach((txn, txIndex) => {
+        insertTx.run({
+            hash: txn.hash,
+            blockNumber: block.number,
+            txIndex,
+            from: txn.from.toLowerCase(),
+            to: ethers.isAddress(txn.to) ? txn.to.toLowerCase() : null,
+            value: txn.value,
+            gas: txn.gas,
+            gasPrice: txn.gasPrice,
+            input: txn.input,
+            nonce: txn.nonce,
+            type: txn.type,
+            chainId: txn.chainId,
+            status: txn.status,
+            selector: txn.selector || (txn.input.length >= 10 ? txn.input.substring(0, 10) : null),
+            method: txn.method || null,
+            methodArgs: txn.methodArgs ? JSON.stringify(txn.methodArgs) : null,
+            gasUsed: txn.gasUsed || null,
+            // Records without a version (imported JSON files) have the version 1 layout
+            schemaVersion: txn.schemaVersion || 1,
+            maxFeePerGas: txn.maxFeePerGas || null,
+            maxPriorityFeePerGas: txn.maxPriorityFeePerGas || null,
+            effectiveGasPrice: txn.effectiveGasPrice || null,
+            contractAddress: txn.contractAddress ? txn.contractAddress.toLowerCase() : null,
+            logs: txn.logs ? JSON.stringify(txn.logs) : null,
+            revertReason: txn.revertReason || null,
+            revertData: txn.revertData || null
+        });
+    });
+
+    return block.transactions.length - removed;
+}
+
+/**
+ * Store a block and advance the named indexer's progress in a single transaction
+ */
+function commitBlock(db, block, progress, name = 'live') {
+    db.transaction(() => {
+        progress.totalTransactions += writeBlock(db, block);
+        saveProgress(db, progress, name);
+    })();
+}
+
+/**
+ * Delete every block above `blockNumber` and its transactions, updating progress in the same transaction
+ * The removed rows may have been counted by backfill workers, so the total is recounted onto the named
+ * indexer, and backfilled ranges are cut back to `blockNumber`
+ * Logs are left alone: log_indexer.js only stores final blocks and keeps its own progress
+ * Returns the number of transactions removed
+ */
+function rollbackToBlock(db, blockNumber, progress, name = 'live') {
+    return db.transaction(() => {
+        const removed = db.prepare('DELETE FROM transactions WHERE block_number > ?').run(blockNumber).changes;
+        if (db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber).changes > 0) {
+            bumpBlocksRevision(db);
+        }
+        db.prepare('DELETE FROM backfill_ranges WHERE start_block > ?').run(blockNumber);
+        db.prepare('UPDATE backfill_ranges SET end_block = ?, updated_at = ? WHERE end_block > ?')
+            .run(blockNumber, new Date().toISOString(), blockNumber);
+
+        progress.totalTransactions = recountTransactions(db, name).actual;
+        progress.lastProcessedBlock = blockNumber;
+        saveProgress(db, progress, name);
+        return removed;
+    })();
+}
+
+/**
+ * Ranges of blocks finished by backfill workers, ordered by start block
+ */
+function getBackfilledRanges(db) {
+    return db.prepare(`
+        SELECT start_block AS startBlock, end_block AS endBlock, worker
+        FROM backfill_ranges WHERE end_block >= start_block ORDER BY start_block
+    `).all();
+}
+
+/**
+ * Open a new backfill range for a worker; it grows as blocks are committed to it
+ */
+function startBackfillRange(db, startBlock, worker) {
+    const result = db.prepare(`
+        INSERT INTO backfill_ranges (start_block, end_block, worker, updated_at) VALUES (?, ?, ?, ?)
+    `).run(startBlock, startBlock - 1, worker, new Date().toISOString());
+    return Number(result.lastInsertRowid);
+}
+
+/**
+ * Store a backfilled block and extend its worker's finished range in a single transaction
+ */
+function commitBackfillBlock(db, block, rangeId) {
+    db.transaction(() => {
+        addTransactionCount(db, 'backfill', writeBlock(db, block));
+        db.prepare('UPDATE backfill_ranges SET end_block = ?, updated_at = ? WHERE id = ?')
+            .run(block.number, new Date().toISOString(), rangeId);
+    })();
+}
+
+/**
+ * Convert a transactions row back into the record format written by the indexer
+ * Rows read through findTransactions also carry the block timestamp (null for blocks imported from JSON)
+ * Version 1 rows come back with the version 1 fields only: their input is cut to the selector, so
+ * readers that need calldata, fees, logs or revert reasons must check schemaVersion
+ */
+function rowToTransaction(row) {
+    const record = {
+        hash: row.hash,
+        blockNumber: row.block_number,
+        from: ethers.getAddress(row.from_address),
+        to: row.to_address ? ethers.getAddress(row.to_address) : "Contract Creation",
+        value: row.value,
+        gas: row.gas,
+        gasPrice: row.gas_price,
+        input: row.input,
+        nonce: row.nonce,
+        type: row.type,
+        chainId: row.chain_id,
+        status: row.status,
+        selector: row.selector,
+        method: row.method,
+        methodArgs: row.method_args ? JSON.parse(row.method_args) : null,
+        gasUsed: row.gas_used,
+        blockTimestamp: row.block_timestamp !== undefined ? row.block_timestamp : null,
+        schemaVersion: row.schema_version || 1
+    };
+    if (record.schemaVersion < 2) {
+        return record;
+    }
+
+    return {
+        ...record,
+        timestamp: record.blockTimestamp,
+        transactionIndex: row.tx_index,
+        maxFeePerGas: row.max_fee_per_gas,
+        maxPriorityFeePerGas: row.max_priority_fee_per_gas,
+        effectiveGasPrice: row.effective_gas_price,
+        contractAddress: row.contract_address ? ethers.getAddress(row.contract_address) : null,
+        logs: row.logs ? JSON.parse(row.logs) : [],
+        revertReason: row.revert_reason,
+        revertData: row.revert_data
+    };
+}
+
+/**
+ * WHERE clause and parameters for the transaction filters shared by findTransactions and iterateTransactions
+ * `address` matches either side of a transaction
+ */
+function transactionConditions({ from, to, address, status, selector, fromBlock, toBlock }) {
+    const conditions = [];
+    const params = {};
+
+    if (from) {
+        conditions.push('t.from_address = @from');
+        params.from = from.toLowerCase();
+    }
+    if (to) {
+        conditions.push('t.to_address = @to');
+        params.to = to.toLowerCase();
+    }
+    if (address) {
+        conditions.push('(t.from_address = @address OR t.to_address = @address)');
+        params.address = address.toLowerCase();
+    }
+    if (status) {
+        conditions.push('t.status = @status');
+        params.status = status;
+    }
+    if (selector) {
+        conditions.push('t.selector = @selector');
+        params.selector = selector.toLowerCase();
+    }
+    if (fromBlock !== undefined) {
+        conditions.push('t.block_number >= @fromBlock');
+        params.fromBlock = fromBlock;
+    }
+    if (toBlock !== undefined) {
+        conditions.push('t.block_number <= @toBlock');
+        params.toBlock = toBlock;
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Query stored transactions; every filter is optional and addresses are matched case-insensitively
+ * limit/offset page through the results in block order
+ */
+function findTransactions(db, { limit = -1, offset = 0, ...filters } = {}) {
+    const { where, params } = transactionConditions(filters);
+    const rows = db.prepare(`
+        SELECT t.*, b.timestamp AS block_timestamp
+        FROM transactions t LEFT JOIN blocks b ON b.number = t.block_number
+        ${where}
+        ORDER BY t.block_number, t.tx_index
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+    return rows.map(rowToTransaction);
+}
+
+/**
+ * Stored transactions in block order, read one row at a time (same filters as findTransactions)
+ */
+function* iterateTransactions(db, filters = {}) {
+    const { where, params } = transactionConditions(filters);
+    const rows = db.prepare(`
+        SELECT t.*, b.timestamp AS block_timestamp
+        FROM transactions t LEFT JOIN blocks b ON b.number = t.block_number
+        ${where}
+        ORDER BY t.block_number, t.tx_index
+    `).iterate(params);
+    for (const row of rows) {
+        yield rowToTransaction(row);
+    }
+}
+
+/**
+ * Number of stored transactions matching the same filters as findTransactions
+ */
+function countTransactions(db, { from, to, status } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (from) {
+        conditions.push('from_address = @from');
+        params.from = from.toLowerCase();
+    }
+    if (to) {
+        conditions.push('to_address = @to');
+        params.to = to.toLowerCase();
+    }
+    if (status) {
+        conditions.push('status = @status');
+        params.status = status;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT COUNT(*) AS count FROM transactions ${where}`).get(params).count;
+}
+
+/**
+ * Register (or replace) the ABI for a contract address
+ */
+function saveAbi(db, address, name, abi) {
+    db.prepare(`
+        INSERT OR REPLACE INTO abis (address, name, abi, registered_at) VALUES (?, ?, ?, ?)
+    `).run(address.toLowerCase(), name, JSON.stringify(abi), new Date().toISOString());
+}
+
+function removeAbi(db, address) {
+    db.prepare('DELETE FROM abis WHERE address = ?').run(address.toLowerCase());
+}
+
+/**
+ * All registered ABIs, with the ABI parsed back from JSON
+ */
+function listAbis(db) {
+    return db.prepare('SELECT address, name, abi FROM abis ORDER BY address').all()
+        .map(row => ({ address: row.address, name: row.name, abi: JSON.parse(row.abi) }));
+}
+
+/**
+ * Store event logs (already decoded where an ABI was available); re-indexing a log replaces it
+ */
+function writeLogs(db, logs) {
+    const insertLog = db.prepare(`
+        INSERT OR REPLACE INTO logs (block_number, log_index, tx_hash, address, topic0, topics, data, event, args)
+        VALUES (@blockNumber, @logIndex, @txHash, @address, @topic0, @topics, @data, @event, @args)
+    `);
+
+    db.transaction(() => {
+        for (const log of logs) {
+            insertLog.run({
+                blockNumber: log.blockNumber,
+                logIndex: log.logIndex,
+                txHash: log.transactionHash,
+                address: log.address.toLowerCase(),
+                topic0: log.topics.length > 0 ? log.topics[0] : null,
+                topics: JSON.stringify(log.topics),
+                data: log.data,
+                event: log.event || null,
+                args: log.args ? JSON.stringify(log.args) : null
+            });
+        }
+    })();
+}
+
+function rowToLog(row) {
+    return {
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        transactionHash: row.tx_hash,
+        address: ethers.getAddress(row.address),
+        topics: JSON.parse(row.topics),
+        data: row.data,
+        event: row.event,
+        args: row.args ? JSON.parse(row.args) : null,
+        txFrom: row.tx_from ? ethers.getAddress(row.tx_from) : null,
+        blockTimestamp: row.block_timestamp !== undefined ? row.block_timestamp : null
+    };
+}
+
+/**
+ * Decoded events emitted by a transaction, in log order
+ */
+function getTransactionEvents(db, txHash) {
+    return db.prepare('SELECT * FROM logs WHERE tx_hash = ? ORDER BY log_index').all(txHash).map(rowToLog);
+}
+
+/**
+ * Query stored logs by emitting address, event signature or topic0 and block range
+ * Each log carries the sender of its transaction (txFrom) and block timestamp when those blocks are indexed
+ */
+function findEvents(db, { address, event, topic0, fromBlock, toBlock } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (address) {
+        conditions.push('l.address = @address');
+        params.address = address.toLowerCase();
+    }
+    if (event) {
+        conditions.push('l.event = @event');
+        params.event = event;
+    }
+    if (topic0) {
+        conditions.push('l.topic0 = @topic0');
+        params.topic0 = topic0.toLowerCase();
+    }
+    if (fromBlock !== undefined) {
+        conditions.push('l.block_number >= @fromBlock');
+        params.fromBlock = fromBlock;
+    }
+    if (toBlock !== undefined) {
+        conditions.push('l.block_number <= @toBlock');
+        params.toBlock = toBlock;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`
+        SELECT l.*, t.from_address AS tx_from, b.timestamp AS block_timestamp
+        FROM logs l
+        LEFT JOIN transactions t ON t.hash = l.tx_hash
+        LEFT JOIN blocks b ON b.number = l.block_number
+        ${where}
+        ORDER BY l.block_number, l.log_index
+    `).all(params).map(rowToLog);
+}
+
+function getMeta(db, key) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+    db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value === null ? null : String(value));
+}
+
+/**
+ * Replace leaderboard rows for the given entries (ranks are assigned separately)
+ */
+function saveLeaderboardEntries(db, entries, updatedBlock) {
+    const upsert = db.prepare(`
+        INSERT OR REPLACE INTO leaderboard
+            (address, rank, total_points, base_points, multiplier, matches, rules, balances, updated_block, updated_at)
+        VALUES
+            (@address, NULL, @totalPoints, @basePoints, @multiplier, @matches, @rules, @balances, @updatedBlock, @updatedAt)
+    `);
+    const updatedAt = new Date().toISOString();
+
+    db.transaction(() => {
+        for (const entry of entries) {
+            upsert.run({
+                address: entry.address.toLowerCase(),
+                totalPoints: entry.totalPoints,
+                basePoints: entry.basePoints,
+                multiplier: entry.multiplier,
+                matches: entry.matches,
+                rules: JSON.stringify(entry.rules),
+                balances: JSON.stringify(entry.balances),
+                updatedBlock,
+                updatedAt
+            });
+        }
+    })();
+}
+
+/**
+ * Write the rank of every leaderboard row
+ */
+function saveLeaderboardRanks(db, ranks) {
+    const update = db.prepare('UPDATE leaderboard SET rank = ? WHERE address = ?');
+    db.transaction(() => {
+        for (const { address, rank } of ranks) {
+            update.run(rank, address.toLowerCase());
+        }
+    })();
+}
+
+function clearLeaderboard(db) {
+    db.prepare('DELETE FROM leaderboard').run();
+}
+
+function rowToLeaderboardEntry(row) {
+    return {
+        rank: row.rank,
+        address: ethers.getAddress(row.address),
+        totalPoints: row.total_points,
+        basePoints: row.base_points,
+        multiplier: row.multiplier,
+        matches: row.matches,
+        rules: JSON.parse(row.rules),
+        balances: JSON.parse(row.balances),
+        updatedBlock: row.updated_block,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Leaderboard rows in rank order; pass offset/limit to page through it
+ */
+function loadLeaderboard(db, { offset = 0, limit = -1 } = {}) {
+    return db.prepare(`
+        SELECT * FROM leaderboard ORDER BY total_points DESC, address LIMIT ? OFFSET ?
+    `).all(limit, offset).map(rowToLeaderboardEntry);
+}
+
+/**
+ * Leaderboard rows in rank order, read one row at a time; pass address to read a single entry
+ */
+function* iterateLeaderboard(db, { address } = {}) {
+    const where = address ? 'WHERE address = @address' : '';
+    const rows = db.prepare(`
+        SELECT * FROM leaderboard ${where} ORDER BY total_points DESC, address
+    `).iterate(address ? { address: address.toLowerCase() } : {});
+    for (const row of rows) {
+        yield rowToLeaderboardEntry(row);
+    }
+}
+
+function countLeaderboard(db) {
+    return db.prepare('SELECT COUNT(*) AS count FROM leaderboard').get().count;
+}
+
+/**
+ * Store ERC-721 transfers (in log order) and move token ownership accordingly
+ * Burned tokens (sent to the zero address) are removed from the owners table
+ */
+function writeNftTransfers(db, contract, transfers) {
+    const insertTransfer = db.prepare(`
+        INSERT OR IGNORE INTO nft_transfers (contract, block_number, log_index, tx_hash, token_id, from_address, to_address)
+        VALUES (@contract, @blockNumber, @logIndex, @txHash, @tokenId, @from, @to)
+    `);
+    const setOwner = db.prepare(`
+        INSERT OR REPLACE INTO nft_owners (contract, token_id, owner, since_block) VALUES (?, ?, ?, ?)
+    `);
+    const burn = db.prepare('DELETE FROM nft_owners WHERE contract = ? AND token_id = ?');
+    const key = contract.toLowerCase();
+
+    for (const transfer of transfers) {
+        const inserted = insertTransfer.run({
+            contract: key,
+            blockNumber: transfer.blockNumber,
+            logIndex: transfer.logIndex,
+            txHash: transfer.txHash,
+            tokenId: transfer.tokenId,
+            from: transfer.from.toLowerCase(),
+            to: transfer.to.toLowerCase()
+        }).changes;
+
+        // A transfer seen before (re-scanned range) must not move ownership again
+        if (inserted === 0) {
+            continue;
+        }
+        if (transfer.to.toLowerCase() === ethers.ZeroAddress) {
+            burn.run(key, transfer.tokenId);
+        } else {
+            setOwner.run(key, transfer.tokenId, transfer.to.toLowerCase(), transfer.blockNumber);
+        }
+    }
+}
+
+/**
+ * Token ids currently owned by an address, in numeric order
+ */
+function getOwnedTokens(db, contract, owner) {
+    return db.prepare('SELECT token_id FROM nft_owners WHERE contract = ? AND owner = ?')
+        .all(contract.toLowerCase(), owner.toLowerCase())
+        .map(row => row.token_id)
+        .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+}
+
+/**
+ * Token ids an address held at the end of blockNumber, in numeric order, from the transfer history
+ */
+function getOwnedTokensAt(db, contract, owner, blockNumber) {
+    return db.prepare(`
+        SELECT token_id FROM (
+            SELECT token_id, to_address,
+                ROW_NUMBER() OVER (PARTITION BY token_id ORDER BY block_number DESC, log_index DESC) AS latest
+            FROM nft_transfers
+            WHERE contract = @contract AND block_number <= @blockNumber AND token_id IN (
+                SELECT token_id FROM nft_transfers WHERE contract = @contract AND to_address = @owner AND block_number <= @blockNumber
+            )
+        )
+        WHERE latest = 1 AND to_address = @owner
+    `).all({ contract: contract.toLowerCase(), owner: owner.toLowerCase(), blockNumber })
+        .map(row => row.token_id)
+        .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+}
+
+/**
+ * Every token id of a collection that currently has an owner in the ownership index
+ */
+function getNftTokenIds(db, contract) {
+    return db.prepare('SELECT token_id FROM nft_owners WHERE contract = ?')
+        .all(contract.toLowerCase())
+        .map(row => row.token_id)
+        .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+}
+
+/**
+ * Number of tokens an address held at the end of blockNumber, from the transfer history
+ */
+function getNftBalanceAt(db, contract, owner, blockNumber) {
+    const row = db.prepare(`
+        SELECT
+            (SELECT COUNT(*) FROM nft_transfers WHERE contract = @contract AND to_address = @owner AND block_number <= @blockNumber)
+          - (SELECT COUNT(*) FROM nft_transfers WHERE contract = @contract AND from_address = @owner AND block_number <= @blockNumber)
+            AS balance
+    `).get({ contract: contract.toLowerCase(), owner: owner.toLowerCase(), blockNumber });
+    return row.balance;
+}
+
+/**
+ * Every transfer in or out of an address, oldest first, with the running balance after each one
+ */
+function getNftHoldingsHistory(db, contract, owner) {
+    const key = owner.toLowerCase();
+    const rows = db.prepare(`
+        SELECT * FROM nft_transfers
+        WHERE contract = @contract AND (from_address = @owner OR to_address = @owner)
+        ORDER BY block_number, log_index
+    `).all({ contract: contract.toLowerCase(), owner: key });
+
+    let balance = 0;
+    return rows.map(row => {
+        const incoming = row.to_address === key;
+        const outgoing = row.from_address === key;
+        balance += (incoming ? 1 : 0) - (outgoing ? 1 : 0);
+        return {
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            txHash: row.tx_hash,
+            tokenId: row.token_id,
+            direction: incoming && outgoing ? 'self' : incoming ? 'in' : 'out',
+            counterparty: ethers.getAddress(incoming ? row.from_address : row.to_address),
+            balance
+        };
+    });
+}
+
+/**
+ * Every transfer of a collection grouped by token id, each token's transfers oldest first
+ */
+function getNftTransfersByToken(db, contract) {
+    const rows = db.prepare(`
+        SELECT token_id, block_number, log_index, tx_hash, from_address, to_address FROM nft_transfers
+        WHERE contract = ?
+        ORDER BY token_id, block_number, log_index
+    `).all(contract.toLowerCase());
+
+    const tokens = new Map();
+    for (const row of rows) {
+        if (!tokens.has(row.token_id)) {
+            tokens.set(row.token_id, []);
+        }
+        tokens.get(row.token_id).push({
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            txHash: row.tx_hash,
+            from: row.from_address,
+            to: row.to_address
+        });
+    }
+    return tokens;
+}
+
+/**
+ * First successful transfer of native value to an address, or null if none is indexed
+ */
+function getFirstFunding(db, address) {
+    const row = db.prepare(`
+        SELECT hash, block_number, from_address, value FROM transactions
+        WHERE to_address = ? AND status = 'Success' AND value != '0'
+        ORDER BY block_number, tx_index
+        LIMIT 1
+    `).get(address.toLowerCase());
+    if (!row) {
+        return null;
+    }
+    return { hash: row.hash, blockNumber: row.block_number, funder: row.from_address, value: row.value };
+}
+
+function rowToNotification(row) {
+    return {
+        id: row.id,
+        subscriptionId: row.subscription_id,
+        type: row.type,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        removed: row.removed === 1,
+        payload: JSON.parse(row.payload),
+        webhookStatus: row.webhook_status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+/**
+ * Add notifications to the outbox; events already queued (same event key) are skipped
+ * Events with a webhook start out pending delivery, the others are only streamed
+ * Returns the number queued
+ */
+function enqueueNotifications(db, events) {
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO notifications
+            (subscription_id, event_key, type, block_number, block_hash, removed, payload, webhook_status, next_attempt_at, created_at)
+        VALUES
+            (@subscriptionId, @eventKey, @type, @blockNumber, @blockHash, 0, @payload, @webhookStatus, @nextAttemptAt, @createdAt)
+    `);
+    const createdAt = new Date().toISOString();
+    let queued = 0;
+    for (const event of events) {
+        queued += insert.run({
+            subscriptionId: event.subscriptionId,
+            eventKey: event.eventKey,
+            type: event.type,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash || null,
+            payload: JSON.stringify(event.payload),
+            webhookStatus: event.webhook ? 'pending' : null,
+            nextAttemptAt: event.webhook ? 0 : null,
+            createdAt
+        }).changes;
+    }
+    return queued;
+}
+
+/**
+ * Retract the notifications of blocks above `blockNumber` after a reorg removed them
+ * Webhook deliveries not yet attempted are cancelled; every other event gets a follow-up event with
+ * removed: true, sent to the webhook when the original may have reached it. Returns the number retracted.
+ */
+function retractNotificationsAbove(db, blockNumber) {
+    const rows = db.prepare(`
+        SELECT * FROM notifications
+        WHERE block_number > ? AND removed = 0 AND (webhook_status IS NULL OR webhook_status != 'cancelled')
+        ORDER BY id
+    `).all(blockNumber);
+    const cancel = db.prepare("UPDATE notifications SET webhook_status = 'cancelled' WHERE id = ?");
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO notifications
+            (subscription_id, event_key, type, block_number, block_hash, removed, payload, webhook_status, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+    `);
+    const createdAt = new Date().toISOString();
+    let retracted = 0;
+
+    for (const row of rows) {
+        const reachedWebhook = row.webhook_status !== null && (row.webhook_status === 'delivered' || row.attempts > 0);
+        if (row.webhook_status === 'pending' && row.attempts === 0) {
+            cancel.run(row.id);
+        }
+        const payload = { ...JSON.parse(row.payload), removed: true, retracts: row.id };
+        retracted += insert.run(
+            row.subscription_id,
+            `${row.event_key}:removed`,
+            row.type,
+            row.block_number,
+            row.block_hash,
+            JSON.stringify(payload),
+            reachedWebhook ? 'pending' : null,
+            reachedWebhook ? 0 : null,
+            createdAt
+        ).changes;
+    }
+    return retracted;
+}
+
+/**
+ * A subscription's notifications waiting for webhook delivery, oldest first
+ */
+function getPendingNotifications(db, subscriptionId, limit = 100) {
+    return db.prepare(`
+        SELECT * FROM notifications
+        WHERE subscription_id = ? AND webhook_status = 'pending'
+        ORDER BY id
+        LIMIT ?
+    `).all(subscriptionId, limit).map(rowToNotification);
+}
+
+/**
+ * Record the start of a delivery attempt, so a retraction knows the event may have been seen
+ */
+function startNotificationAttempt(db, id) {
+    db.prepare('UPDATE notifications SET attempts = attempts + 1 WHERE id = ?').run(id);
+}
+
+function markNotificationDelivered(db, id) {
+    db.prepare(`
+        UPDATE notifications SET webhook_status = 'delivered', delivered_at = ?, last_error = NULL
+        WHERE id = ? AND webhook_status = 'pending'
+    `).run(new Date().toISOString(), id);
+}
+
+/**
+ * Record a failed attempt; with nextAttemptAt null the notification is given up on
+ */
+function markNotificationFailed(db, id, error, nextAttemptAt) {
+    db.prepare(`
+        UPDATE notifications SET webhook_status = @status, next_attempt_at = @nextAttemptAt, last_error = @error
+        WHERE id = @id AND webhook_status = 'pending'
+    `).run({ id, error, nextAttemptAt, status: nextAttemptAt === null ? 'failed' : 'pending' });
+}
+
+/**
+ * Notifications after `afterId` in outbox order, optionally for some subscriptions only (for streaming)
+ */
+function getNotificationsSince(db, afterId, { subscriptions, limit = 500 } = {}) {
+    const params = { afterId, limit };
+    let filter = '';
+    if (subscriptions && subscriptions.length > 0) {
+        filter = `AND subscription_id IN (${subscriptions.map((_, i) => `@s${i}`).join(', ')})`;
+        subscriptions.forEach((id, i) => {
+            params[`s${i}`] = id;
+        });
+    }
+    return db.prepare(`
+        SELECT * FROM notifications WHERE id > @afterId ${filter} ORDER BY id LIMIT @limit
+    `).all(params).map(rowToNotification);
+}
+
+/**
+ * Highest notification id, or 0 when the outbox is empty
+ */
+function getLatestNotificationId(db) {
+    return db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM notifications').get().id;
+}
+
+/**
+ * Lowest and highest indexed block numbers plus the block count
+ */
+function getIndexedRange(db) {
+    return db.prepare('SELECT MIN(number) AS fromBlock, MAX(number) AS toBlock, COUNT(*) AS blocks FROM blocks').get();
+}
+
+/**
+ * Stored blocks in fromBlock..toBlock with their transaction hashes and statuses, keyed by block number
+ */
+function getStoredBlocks(db, fromBlock, toBlock) {
+    const blocks = new Map();
+    const blockRows = db.prepare('SELECT number, hash, tx_count FROM blocks WHERE number BETWEEN ? AND ?').all(fromBlock, toBlock);
+    for (const row of blockRows) {
+        blocks.set(row.number, { number: row.number, hash: row.hash, txCount: row.tx_count, transactions: [] });
+    }
+
+    const txRows = db.prepare(`
+        SELECT block_number, hash, status FROM transactions
+        WHERE block_number BETWEEN ? AND ?
+        ORDER BY block_number, tx_index
+    `).all(fromBlock, toBlock);
+    for (const row of txRows) {
+        const block = blocks.get(row.block_number);
+        if (block) {
+            block.transactions.push({ hash: row.hash, status: row.status });
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Set the stored transaction total to the number of transaction rows actually stored
+ * The whole count is moved onto the named progress row; returns the previous and actual totals
+ */
+function recountTransactions(db, name = 'live') {
+    return db.transaction(() => {
+        const previous = getTotalTransactions(db);
+        const actual = db.prepare('SELECT COUNT(*) AS count FROM transactions').get().count;
+        db.prepare('UPDATE progress SET total_transactions = 0').run();
+        addTransactionCount(db, name, actual);
+        return { previous, actual };
+    })();
+}
+
+function rowToActivityProfile(row) {
+    return {
+        address: ethers.getAddress(row.address),
+        firstBlock: row.first_block,
+        firstTimestamp: row.first_timestamp,
+        lastBlock: row.last_block,
+        lastTimestamp: row.last_timestamp,
+        txCount: row.tx_count,
+        failedCount: row.failed_count,
+        valueSent: row.value_sent,
+        gasSpent: row.gas_spent,
+        activeDays: row.active_days,
+        lastActiveDay: row.last_active_day,
+        currentStreak: row.current_streak,
+        longestStreak: row.longest_streak
+    };
+}
+
+/**
+ * Activity rollup of one address, or null if it never interacted
+ */
+function getActivityProfile(db, address) {
+    const row = db.prepare('SELECT * FROM activity_profiles WHERE address = ?').get(address.toLowerCase());
+    return row ? rowToActivityProfile(row) : null;
+}
+
+// Columns activity profiles can be ranked by; amounts are stored as decimal strings, so they sort by length first
+const ACTIVITY_ORDER = {
+    txs: 'tx_count DESC',
+    days: 'active_days DESC',
+    streak: 'longest_streak DESC',
+    value: 'length(value_sent) DESC, value_sent DESC',
+    gas: 'length(gas_spent) DESC, gas_spent DESC'
+};
+
+/**
+ * Activity profiles ranked by one of ACTIVITY_ORDER's keys
+ */
+function listActivityProfiles(db, { by = 'txs', limit = -1 } = {}) {
+    if (!ACTIVITY_ORDER[by]) {
+        throw new Error(`Cannot rank activity by "${by}" (use ${Object.keys(ACTIVITY_ORDER).join(', ')})`);
+    }
+    return db.prepare(`SELECT * FROM activity_profiles ORDER BY ${ACTIVITY_ORDER[by]}, address LIMIT ?`)
+        .all(limit)
+        .map(rowToActivityProfile);
+}
+
+/**
+ * One address's activity per day (YYYY-MM-DD, UTC), oldest first
+ */
+function getActivityAddressDays(db, address, { fromDay = '0000-00-00', toDay = '9999-99-99' } = {}) {
+    return db.prepare(`
+        SELECT day, tx_count AS txCount, failed_count AS failedCount, value_sent AS valueSent, gas_spent AS gasSpent
+        FROM activity_address_days WHERE address = ? AND day BETWEEN ? AND ? ORDER BY day
+    `).all(address.toLowerCase(), fromDay, toDay);
+}
+
+/**
+ * Global activity per day, oldest first
+ */
+function getActivityDays(db, { fromDay = '0000-00-00', toDay = '9999-99-99' } = {}) {
+    return db.prepare(`
+        SELECT day, tx_count AS txCount, failed_count AS failedCount, unique_users AS uniqueUsers,
+               new_users AS newUsers, volume, gas_spent AS gasSpent
+        FROM activity_days WHERE day BETWEEN ? AND ? ORDER BY day
+    `).all(fromDay, toDay);
+}
+
+/**
+ * Distinct active addresses per week (keyed by the week's Monday), which daily counts cannot be summed into
+ */
+function getActivityWeeklyUsers(db, { fromDay = '0000-00-00', toDay = '9999-99-99' } = {}) {
+    const rows = db.prepare(`
+        SELECT date(day, '-6 days', 'weekday 1') AS week, COUNT(DISTINCT address) AS uniqueUsers
+        FROM activity_address_days WHERE day BETWEEN ? AND ? GROUP BY week
+    `).all(fromDay, toDay);
+    return new Map(rows.map(row => [row.week, row.uniqueUsers]));
+}
+
+/**
+ * Write updated activity rollups: whole profile, address-day and day rows as built by activity.js
+ */
+function saveActivity(db, { profiles, addressDays, days }) {
+    const upsertProfile = db.prepare(`
+        INSERT OR REPLACE INTO activity_profiles
+            (address, first_block, first_timestamp, last_block, last_timestamp, tx_count, failed_count, value_sent,
+             gas_spent, active_days, last_active_day, current_streak, longest_streak)
+        VALUES
+            (@address, @firstBlock, @firstTimestamp, @lastBlock, @lastTimestamp, @txCount, @failedCount, @valueSent,
+             @gasSpent, @activeDays, @lastActiveDay, @currentStreak, @longestStreak)
+    `);
+    const upsertAddressDay = db.prepare(`
+        INSERT OR REPLACE INTO activity_address_days (address, day, tx_count, failed_count, value_sent, gas_spent)
+        VALUES (@address, @day, @txCount, @failedCount, @valueSent, @gasSpent)
+    `);
+    const upsertDay = db.prepare(`
+        INSERT OR REPLACE INTO activity_days (day, tx_count, failed_count, unique_users, new_users, volume, gas_spent)
+        VALUES (@day, @txCount, @failedCount, @uniqueUsers, @newUsers, @volume, @gasSpent)
+    `);
+
+    db.transaction(() => {
+        for (const profile of profiles) {
+            upsertProfile.run({ ...profile, address: profile.address.toLowerCase() });
+        }
+        for (const entry of addressDays) {
+            upsertAddressDay.run({ ...entry, address: entry.address.toLowerCase() });
+        }
+        for (const entry of days) {
+            upsertDay.run(entry);
+        }
+    })();
+}
+
+/**
+ * Store token metadata as resolved by nft_metadata.js, replacing each token's traits
+ * entries: [{ tokenId, tokenUri, contentHash, name, image, status ('ok'|'error'), error, traits, fetchedAt? }]
+ */
+function saveNftMetadata(db, contract, entries) {
+    const upsert = db.prepare(`
+        INSERT OR REPLACE INTO nft_metadata (contract, token_id, token_uri, content_hash, name, image, status, error, fetched_at)
+        VALUES (@contract, @tokenId, @tokenUri, @contentHash, @name, @image, @status, @error, @fetchedAt)
+    `);
+    const clearTraits = db.prepare('DELETE FROM nft_traits WHERE contract = ? AND token_id = ?');
+    const insertTrait = db.prepare(`
+        INSERT OR IGNORE INTO nft_traits (contract, token_id, trait_type, value, display_type) VALUES (?, ?, ?, ?, ?)
+    `);
+    const key = contract.toLowerCase();
+    const fetchedAt = new Date().toISOString();
+
+    db.transaction(() => {
+        for (const entry of entries) {
+            upsert.run({
+                contract: key,
+                tokenId: entry.tokenId,
+                tokenUri: entry.tokenUri || null,
+                contentHash: entry.contentHash || null,
+                name: entry.name || null,
+                image: entry.image || null,
+                status: entry.status,
+                error: entry.error || null,
+                fetchedAt: entry.fetchedAt || fetchedAt
+            });
+            clearTraits.run(key, entry.tokenId);
+            for (const trait of entry.traits || []) {
+                insertTrait.run(key, entry.tokenId, trait.traitType, trait.value, trait.displayType || null);
+            }
+        }
+    })();
+}
+
+/**
+ * Stored metadata of a collection's tokens (all of them, or the given ids), each with its traits
+ */
+function getNftMetadata(db, contract, tokenIds = null) {
+    const key = contract.toLowerCase();
+    let rows = db.prepare('SELECT * FROM nft_metadata WHERE contract = ?').all(key);
+    if (tokenIds !== null) {
+        const wanted = new Set(tokenIds.map(String));
+        rows = rows.filter(row => wanted.has(row.token_id));
+    }
+
+    const traits = new Map();
+    for (const row of db.prepare('SELECT * FROM nft_traits WHERE contract = ? ORDER BY trait_type, value').all(key)) {
+        if (!traits.has(row.token_id)) {
+            traits.set(row.token_id, []);
+        }
+        traits.get(row.token_id).push({ traitType: row.trait_type, value: row.value, displayType: row.display_type });
+    }
+
+    return rows
+        .map(row => ({
+            tokenId: row.token_id,
+            tokenUri: row.token_uri,
+            contentHash: row.content_hash,
+            name: row.name,
+            image: row.image,
+            status: row.status,
+            error: row.error,
+            fetchedAt: row.fetched_at,
+            traits: traits.get(row.token_id) || []
+        }))
+        .sort((a, b) => (BigInt(a.tokenId) < BigInt(b.tokenId) ? -1 : BigInt(a.tokenId) > BigInt(b.tokenId) ? 1 : 0));
+}
+
+/**
+ * Number of tokens with each trait value of a collection, most common first
+ */
+function getNftTraitCounts(db, contract) {
+    return db.prepare(`
+        SELECT trait_type, value, COUNT(*) AS count FROM nft_traits
+        WHERE contract = ?
+        GROUP BY trait_type, value
+        ORDER BY trait_type, count DESC, value
+    `).all(contract.toLowerCase()).map(row => ({ traitType: row.trait_type, value: row.value, count: row.count }));
+}
+
+/**
+ * Token ids of a collection having a trait value (trait type and value match case-insensitively)
+ */
+function getTokensWithTrait(db, contract, traitType, value) {
+    return db.prepare('SELECT token_id FROM nft_traits WHERE contract = ? AND trait_type = ? AND value = ?')
+        .all(contract.toLowerCase(), traitType, String(value))
+        .map(row => row.token_id);
+}
+
+/**
+ * Changes whenever a collection's stored metadata does, for caches built from it
+ */
+function getNftMetadataVersion(db, contract) {
+    const row = db.prepare('SELECT COUNT(*) AS count, MAX(fetched_at) AS latest FROM nft_metadata WHERE contract = ?')
+        .get(contract.toLowerCase());
+    return `${row.count}:${row.latest}`;
+}
+
+function clearActivity(db) {
+    db.transaction(() => {
+        db.prepare('DELETE FROM activity_profiles').run();
+        db.prepare('DELETE FROM activity_address_days').run();
+        db.prepare('DELETE FROM activity_days').run();
+    })();
+}
+
+module.exports = {
+    DB_FILE,
+    openStore,
+    closeStore,
+    loadProgress,
+    saveProgress,
+    repairProgress,
+    addTransactionCount,
+    getTotalTransactions,
+    getBlockHash,
+    getBlockTimestamp,
+    writeBlock,
+    commitBlock,
+    rollbackToBlock,
+    getBackfilledRanges,
+    startBackfillRange,
+    commitBackfillBlock,
+    findTransactions,
+    iterateTransactions,
+    countTransactions,
+    saveAbi,
+    removeAbi,
+    listAbis,
+    writeLogs,
+    getTransactionEvents,
+    findEvents,
+    getMeta,
+    setMeta,
+    saveLeaderboardEntries,
+    saveLeaderboardRanks,
+    clearLeaderboard,
+    loadLeaderboard,
+    iterateLeaderboard,
+    countLeaderboard,
+    writeNftTransfers,
+    getOwnedTokens,
+    getOwnedTokensAt,
+    getNftTokenIds,
+    getNftBalanceAt,
+    getNftHoldingsHistory,
+    getNftTransfersByToken,
+    getFirstFunding,
+    enqueueNotifications,
+    retractNotificationsAbove,
+    getPendingNotifications,
+    startNotificationAttempt,
+    markNotificationDelivered,
+    markNotificationFailed,
+    getNotificationsSince,
+    getLatestNotificationId,
+    getIndexedRange,
+    getBlocksRevision,
+    getStoredBlocks,
+    recountTransactions,
+    getActivityProfile,
+    listActivityProfiles,
+    getActivityAddressDays,
+    getActivityDays,
+    getActivityWeeklyUsers,
+    saveActivity,
+    clearActivity,
+    saveNftMetadata,
+    getNftMetadata,
+    getNftTraitCounts,
+    getTokensWithTrait,
+    getNftMetadataVersion
+};
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+/**
+ * Sybil and farming report over the indexed transactions and NFT transfer history
+ * Looks at every address credited by the points rules and flags:
+ *   - common-funder: wallets whose first incoming native transfer came from the same address
+ *   - identical-pattern: wallets that made the same sequence of scored calls
+ *   - synchronized-timing: wallets whose scored activity keeps landing in the same time buckets
+ *   - nft-pass-through: multiplier NFTs that passed through several scored wallets
+ * Each signal adds its weight to an address's risk score (0-100). The report (sybil_report.json) lists
+ * the clusters with their evidence; pointsaggregator.js can use it to exclude or reduce flagged wallets.
+ *
+ * Usage: node sybil_report.js [--rules points_rules.json] [--min-cluster 3] [--ignore-funder <address>] [--out-dir dir] [--network monad]
+ * --ignore-funder (repeatable) skips known shared funders such as exchange hot wallets and faucets.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { openStore, getIndexedRange, getFirstFunding, getNftTransfersByToken } = require('./store');
+const { DEFAULT_RULES_FILE, loadRules, collectMatches } = require('./points_rules');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+const { writeFileAtomic } = require('./atomic_file');
+
+const REPORT_FILE = "sybil_report.json";
+
+// Risk added by each kind of signal; an address's score is the sum over its signal kinds, capped at 100
+const SIGNAL_WEIGHTS = {
+    'common-funder': 40,
+    'identical-pattern': 30,
+    'synchronized-timing': 20,
+    'nft-pass-through': 30
+};
+const RISK_LEVELS = [
+    { min: 70, level: 'high' },
+    { min: 40, level: 'medium' },
+    { min: 1, level: 'low' }
+];
+
+const DEFAULT_OPTIONS = {
+    // Wallets needed before a shared funder, call pattern or timing is a cluster
+    minClusterSize: 3,
+    // Scored calls a wallet needs before its call sequence counts as a pattern
+    minPatternLength: 3,
+    // Width of the timing buckets, in seconds (blocks when the index has no timestamps)
+    timingBucket: 60,
+    // Share of the smaller wallet's buckets two wallets must have in common, and the minimum count
+    timingOverlap: 0.8,
+    minSharedBuckets: 3,
+    // Buckets with more active wallets than this are busy periods and say nothing about coordination
+    maxBucketWallets: 50,
+    // Distinct scored wallets a token must pass through to be flagged
+    minNftHolders: 3,
+    ignoreFunders: []
+};
+
+/**
+ * Group members by key, keeping only groups of at least minSize
+ */
+function groupBy(members, keyOf, minSize) {
+    const groups = new Map();
+    for (const member of members) {
+        const key = keyOf(member);
+        if (key === null) {
+            continue;
+        }
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(member);
+    }
+    return [...groups.entries()].filter(([, group]) => group.length >= minSize);
+}
+
+/**
+ * Wallets whose first funding came from the same address
+ */
+function findFundingClusters(db, addresses, options) {
+    const ignored = new Set(options.ignoreFunders.map(address => address.toLowerCase()));
+    const funded = addresses
+        .map(address => ({ address, funding: getFirstFunding(db, address) }))
+        .filter(entry => entry.funding !== null && !ignored.has(entry.funding.funder));
+
+    return groupBy(funded, entry => entry.funding.funder, options.minClusterSize).map(([funder, group]) => ({
+        type: 'common-funder',
+        members: group.map(entry => entry.address),
+        evidence: {
+            funder: ethers.getAddress(funder),
+            fundings: group.map(entry => ({
+                address: ethers.getAddress(entry.address),
+                hash: entry.funding.hash,
+                blockNumber: entry.funding.blockNumber,
+                valueInEth: ethers.formatEther(entry.funding.value)
+            }))
+        }
+    }));
+}
+
+/**
+ * Wallets that made the same sequence of scored calls (contract and method, in order)
+ */
+function findPatternClusters(matchesByAddress, options) {
+    const patterns = new Map();
+    for (const [address, matches] of matchesByAddress) {
+        if (matches.length < options.minPatternLength) {
+            continue;
+        }
+        const sequence = matches.map(match => `${match.to.toLowerCase()}:${match.method || match.event || match.ruleId}`);
+        patterns.set(address, { sequence, hash: crypto.createHash('sha256').update(sequence.join('\n')).digest('hex') });
+    }
+
+    return groupBy([...patterns.keys()], address => patterns.get(address).hash, options.minClusterSize).map(([hash, members]) => {
+        const { sequence } = patterns.get(members[0]);
+        return {
+            type: 'identical-pattern',
+            members,
+            evidence: {
+                patternHash: hash,
+                calls: sequence.length,
+                firstCalls: sequence.slice(0, 10)
+            }
+        };
+    });
+}
+
+/**
+ * Wallets whose scored activity falls into the same time buckets, linked pairwise and merged into clusters
+ */
+function findTimingClusters(matchesByAddress, options) {
+    const bucketsByAddress = new Map();
+    const walletsByBucket = new Map();
+
+    for (const [address, matches] of matchesByAddress) {
+        const buckets = new Set(matches.map(match => (match.timestamp !== null && match.timestamp !== undefined
+            ? `t${Math.floor(match.timestamp / options.timingBucket)}`
+            : `b${Math.floor(match.blockNumber / options.timingBucket)}`)));
+        if (buckets.size < options.minSharedBuckets) {
+            continue;
+        }
+        bucketsByAddress.set(address, buckets);
+        for (const bucket of buckets) {
+            if (!walletsByBucket.has(bucket)) {
+                walletsByBucket.set(bucket, []);
+            }
+            walletsByBucket.get(bucket).push(address);
+        }
+    }
+
+    // Count the buckets each pair of wallets shares, skipping busy buckets
+    const shared = new Map();
+    for (const wallets of walletsByBucket.values()) {
+        if (wallets.length < 2 || wallets.length > options.maxBucketWallets) {
+            continue;
+        }
+        for (let i = 0; i < wallets.length; i++) {
+            for (let j = i + 1; j < wallets.length; j++) {
+                const pair = wallets[i] < wallets[j] ? `${wallets[i]},${wallets[j]}` : `${wallets[j]},${wallets[i]}`;
+                shared.set(pair, (shared.get(pair) || 0) + 1);
+            }
+        }
+    }
+
+    // Union-find over the linked pairs
+    const parent = new Map();
+    const find = address => {
+        while (parent.get(address) !== address) {
+            parent.set(address, parent.get(parent.get(address)));
+            address = parent.get(address);
+        }
+        return address;
+    };
+    const links = [];
+    for (const [pair, count] of shared) {
+        const [a, b] = pair.split(',');
+        const overlap = count / Math.min(bucketsByAddress.get(a).size, bucketsByAddress.get(b).size);
+        if (count < options.minSharedBuckets || overlap < options.timingOverlap) {
+            continue;
+        }
+        for (const address of [a, b]) {
+            if (!parent.has(address)) {
+                parent.set(address, address);
+            }
+        }
+        parent.set(find(a), find(b));
+        links.push({ a, b, sharedBuckets: count, overlap: Math.round(overlap * 1000) / 1000 });
+    }
+
+    return groupBy([...parent.keys()], find, options.minClusterSize).map(([root, members]) => {
+        const memberSet = new Set(members);
+        return {
+            type: 'synchronized-timing',
+            members,
+            evidence: {
+                bucketSeconds: options.timingBucket,
+                links: links
+                    .filter(link => memberSet.has(link.a))
+                    .map(link => ({ ...link, a: ethers.getAddress(link.a), b: ethers.getAddress(link.b) }))
+            }
+        };
+    });
+}
+
+/**
+ * Multiplier NFTs held in turn by several scored wallets, one cluster per token
+ */
+function findNftPassThrough(db, config, scoredAddresses, options) {
+    const clusters = [];
+    for (const asset of config.multipliers.assets.filter(entry => entry.type === 'erc721')) {
+        for (const [tokenId, transfers] of getNftTransfersByToken(db, asset.contract)) {
+            const holders = [...new Set(transfers.map(transfer => transfer.to).filter(to => scoredAddresses.has(to)))];
+            if (holders.length < options.minNftHolders) {
+                continue;
+            }
+            clusters.push({
+                type: 'nft-pass-through',
+                members: holders,
+                evidence: {
+                    asset: asset.id,
+                    contract: ethers.getAddress(asset.contract),
+                    tokenId,
+                    transfers: transfers.map(transfer => ({
+                        blockNumber: transfer.blockNumber,
+                        txHash: transfer.txHash,
+                        from: ethers.getAddress(transfer.from),
+                        to: ethers.getAddress(transfer.to)
+                    }))
+                }
+            });
+        }
+    }
+    return clusters;
+}
+
+function riskLevel(score) {
+    const entry = RISK_LEVELS.find(level => score >= level.min);
+    return entry ? entry.level : 'none';
+}
+
+/**
+ * Analyse every address credited by the rules and build the report
+ * Returns { summary, clusters, addresses } where addresses maps checksummed address to
+ * { score, level, signals: [{ type, cluster, size }] } for flagged addresses only
+ */
+function buildSybilReport(db, config, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const matchesByAddress = collectMatches(db, config);
+    for (const matches of matchesByAddress.values()) {
+        matches.sort((a, b) => a.blockNumber - b.blockNumber || (a.logIndex || 0) - (b.logIndex || 0));
+    }
+    const addresses = [...matchesByAddress.keys()];
+
+    const clusters = [
+        ...findFundingClusters(db, addresses, settings),
+        ...findPatternClusters(matchesByAddress, settings),
+        ...findTimingClusters(matchesByAddress, settings),
+        ...findNftPassThrough(db, config, new Set(addresses), settings)
+    ].map((cluster, index) => ({
+        id: index + 1,
+        type: cluster.type,
+        size: cluster.members.length,
+        members: cluster.members.map(address => ethers.getAddress(address)).sort(),
+        evidence: cluster.evidence
+    }));
+
+    const flagged = new Map();
+    for (const cluster of clusters) {
+        for (const member of cluster.members) {
+            if (!flagged.has(member)) {
+                flagged.set(member, []);
+            }
+            flagged.get(member).push({ type: cluster.type, cluster: cluster.id, size: cluster.size });
+        }
+    }
+
+    const entries = [...flagged.entries()].map(([address, signals]) => {
+        const kinds = new Set(signals.map(signal => signal.type));
+        const score = Math.min(100, [...kinds].reduce((sum, kind) => sum + SIGNAL_WEIGHTS[kind], 0));
+        return [address, { score, level: riskLevel(score), signals }];
+    }).sort((a, b) => b[1].score - a[1].score || a[0].localeCompare(b[0]));
+
+    const byLevel = { high: 0, medium: 0, low: 0 };
+    for (const [, entry] of entries) {
+        byLevel[entry.level]++;
+    }
+
+    return {
+        options: settings,
+        summary: {
+            scoredAddresses: addresses.length,
+            flaggedAddresses: entries.length,
+            byLevel,
+            clusters: Object.fromEntries(Object.keys(SIGNAL_WEIGHTS).map(type => [type, clusters.filter(cluster => cluster.type === type).length]))
+        },
+        clusters,
+        addresses: Object.fromEntries(entries)
+    };
+}
+
+/**
+ * Read a report written by this script
+ */
+function loadSybilReport(filePath) {
+    let report;
+    try {
+        report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read sybil report from ${filePath}: ${error.message}`);
+    }
+    if (!report || typeof report.addresses !== 'object') {
+        throw new Error(`Invalid sybil report (${filePath}): "addresses" is missing`);
+    }
+    return report;
+}
+
+/**
+ * Adjust an address's points according to the report
+ * exclude: zero the points of addresses scoring at least `threshold`; reduce: scale points by (1 - score/100)
+ * Returns { totalPoints, sybil } with sybil null for unflagged addresses
+ */
+function applySybilPolicy(report, address, totalPoints, { action = 'reduce', threshold = 70 } = {}) {
+    const entry = report.addresses[ethers.getAddress(address)];
+    if (!entry) {
+        return { totalPoints, sybil: null };
+    }
+
+    let adjusted = totalPoints;
+    if (action === 'exclude') {
+        adjusted = entry.score >= threshold ? 0 : totalPoints;
+    } else {
+        adjusted = Math.floor(totalPoints * (1 - entry.score / 100));
+    }
+    return {
+        totalPoints: adjusted,
+        sybil: { score: entry.score, level: entry.level, signals: entry.signals, action, originalPoints: totalPoints }
+    };
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            rules: { type: 'string', default: DEFAULT_RULES_FILE },
+            'min-cluster': { type: 'string', default: String(DEFAULT_OPTIONS.minClusterSize) },
+            'ignore-funder': { type: 'string', multiple: true, default: [] },
+            'out-dir': { type: 'string' },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    const minClusterSize = Number(values['min-cluster']);
+    if (!Number.isInteger(minClusterSize) || minClusterSize < 2) {
+        console.error('Error: --min-cluster must be an integer of at least 2');
+        process.exit(1);
+    }
+    const invalidFunder = values['ignore-funder'].find(address => !ethers.isAddress(address));
+    if (invalidFunder) {
+        console.error(`Error: Invalid Ethereum address: ${invalidFunder}`);
+        process.exit(1);
+    }
+
+    let network;
+    try {
+        network = loadNetwork(values);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    (async () => {
+        const config = loadRules(path.resolve(values.rules));
+        if (!fs.existsSync(network.dbFile)) {
+            throw new Error(`Index database not found: ${network.dbFile}`);
+        }
+        const db = openStore(network.dbFile);
+        await checkChainId(network, { db });
+
+        const range = getIndexedRange(db);
+        console.log('='.repeat(80));
+        console.log(`SYBIL REPORT - ${network.name}, ${range.blocks} indexed blocks (${range.fromBlock} - ${range.toBlock})`);
+        console.log('='.repeat(80));
+
+        const report = buildSybilReport(db, config, {
+            minClusterSize,
+            minNftHolders: minClusterSize,
+            ignoreFunders: values['ignore-funder']
+        });
+
+        console.log(`Scored addresses: ${report.summary.scoredAddresses}`);
+        for (const [type, count] of Object.entries(report.summary.clusters)) {
+            console.log(`  ${type}: ${count} cluster(s)`);
+        }
+        console.log(`Flagged addresses: ${report.summary.flaggedAddresses} (high ${report.summary.byLevel.high}, medium ${report.summary.byLevel.medium}, low ${report.summary.byLevel.low})`);
+        for (const [address, entry] of Object.entries(report.addresses).slice(0, 20)) {
+            console.log(`  ${address}: ${entry.score} (${entry.level}) - ${[...new Set(entry.signals.map(signal => signal.type))].join(', ')}`);
+        }
+
+        const outDir = path.resolve(values['out-dir'] || network.outputDir);
+        fs.mkdirSync(outDir, { recursive: true });
+        const filename = path.join(outDir, REPORT_FILE);
+        writeFileAtomic(filename, JSON.stringify({
+            network: network.name,
+            chainId: network.chainId,
+            rulesFile: path.resolve(values.rules),
+            indexedBlocks: range,
+            generatedAt: new Date().toISOString(),
+            ...report
+        }, null, 2));
+        console.log(`\n✓ Report saved to: ${filename}`);
+    })()
+        .then(() => {
+            console.log('\nDone!');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    REPORT_FILE,
+    SIGNAL_WEIGHTS,
+    buildSybilReport,
+    findFundingClusters,
+    findPatternClusters,
+    findTimingClusters,
+    findNftPassThrough,
+    loadSybilReport,
+    applySybilPolicy
+};
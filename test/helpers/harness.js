@@ -0,0 +1,125 @@
+/**
+ * Shared test fixtures: temporary data directories, network settings pointing at a local chain,
+ * a manually driven clock and a live indexer run that can be stepped from the test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadNetwork } = require('../../config');
+const { openStore, closeStore } = require('../../store');
+const { createProvider } = require('../../rpc_pool');
+const { logger } = require('../../logger');
+const { main } = require('../../fetch_contract_txns');
+const { startLocalChain } = require('./local_chain');
+
+/**
+ * Clock that only moves when the test advances it
+ * Every sleep() is recorded; nextSleep() resolves with the duration of the next one, which tells the
+ * test that the code under test has gone idle (or is backing off after an error)
+ */
+function createManualClock(start = Date.UTC(2024, 0, 1)) {
+    let time = start;
+    let sleepers = [];
+    const sleeps = [];
+    let waiting = null;
+
+    return {
+        now: () => time,
+        sleep(ms, signal) {
+            return new Promise(resolve => {
+                sleepers.push({ until: time + ms, resolve });
+                if (signal) {
+                    signal.addEventListener('abort', resolve, { once: true });
+                }
+                if (waiting) {
+                    const notify = waiting;
+                    waiting = null;
+                    notify(ms);
+                } else {
+                    sleeps.push(ms);
+                }
+            });
+        },
+        nextSleep() {
+            if (sleeps.length > 0) {
+                return Promise.resolve(sleeps.shift());
+            }
+            return new Promise(resolve => {
+                waiting = resolve;
+            });
+        },
+        advance(ms) {
+            time += ms;
+            const due = sleepers.filter(sleeper => sleeper.until <= time);
+            sleepers = sleepers.filter(sleeper => sleeper.until > time);
+            due.forEach(sleeper => sleeper.resolve());
+        }
+    };
+}
+
+/**
+ * Silence the console output of the code under test
+ */
+function quiet(t) {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+    t.mock.method(logger, 'progress', () => {});
+}
+
+/**
+ * A local chain with a provider and a store in a temporary data directory, all torn down after the test
+ * networkOverrides are merged into the "local" network settings (e.g. confirmations, fidelity, contracts)
+ */
+async function createFixture(t, { networkOverrides = {}, chainOptions = {} } = {}) {
+    const chain = await startLocalChain(chainOptions);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-test-'));
+    const network = {
+        ...loadNetwork({ network: 'local', rpc: [chain.url], 'data-dir': dataDir }),
+        ...networkOverrides
+    };
+    // Steps of the manual clock take no real time, so ethers must not answer repeated calls from its cache
+    const provider = createProvider(network.rpcUrls, network.chainId, { cacheTimeout: -1 });
+    const db = openStore(network.dbFile);
+
+    t.after(async () => {
+        provider.destroy();
+        closeStore(db);
+        await chain.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return { chain, network, provider, db, dataDir };
+}
+
+/**
+ * Run the live indexer against a fixture until stop() is called
+ * caughtUp() resolves with the length of the indexer's next sleep: 2000 once it reached the chain
+ * head, longer when a round failed and it backs off
+ */
+function startIndexer({ network, provider, db }, { clock = createManualClock(), subscriptions = [] } = {}) {
+    const controller = new AbortController();
+    const running = main(network, subscriptions, { provider, db, clock, signal: controller.signal });
+    const stopped = running.then(() => {
+        throw new Error('Indexer stopped before going idle');
+    });
+    stopped.catch(() => {});
+
+    return {
+        clock,
+        caughtUp: () => Promise.race([clock.nextSleep(), stopped]),
+        /**
+         * Let the indexer wake up from its sleep and wait until it is idle again
+         */
+        async step(ms = 2000) {
+            clock.advance(ms);
+            return Promise.race([clock.nextSleep(), stopped]);
+        },
+        async stop() {
+            controller.abort();
+            return running;
+        }
+    };
+}
+
+module.exports = { createManualClock, quiet, createFixture, startIndexer };
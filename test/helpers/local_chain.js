@@ -0,0 +1,516 @@
+/**
+ * Scripted local dev chain for the tests, served over JSON-RPC on a free local port
+ *
+ * Blocks are only mined when a test calls mine(), so every scenario is deterministic and runs offline.
+ * Contracts are mocks written in JavaScript rather than EVM bytecode, deployed by creation
+ * transactions like real ones:
+ *   erc721             ERC-721 collection (mint, transferFrom, balanceOf, ownerOf, tokenURI, ERC-165); tokenURI is
+ *                      the baseUri deploy option plus the token id, unless setTokenURI gave the token its own
+ *   erc721-enumerable  the same with tokenOfOwnerByIndex and totalSupply
+ *   target             ping(uint256) emits Pinged; fail() always reverts with an Error(string) reason
+ * State is kept per block, so calls at past block tags (archive reads) answer from that block, and
+ * reorg() replaces blocks from a height with a new fork.
+ *
+ * Served methods: eth_chainId, eth_blockNumber, eth_getBlockByNumber, eth_getBlockReceipts,
+ * eth_getTransactionReceipt, eth_getLogs, eth_call and eth_getCode, single or batched.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+
+const GENESIS_TIMESTAMP = 1700000000;
+const BLOCK_TIME = 12;
+const GAS_LIMIT = 200000n;
+const GAS_PRICE = 7n;
+
+const ERC721_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "function mint(address to, uint256 tokenId)",
+    "function transferFrom(address from, address to, uint256 tokenId)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function setTokenURI(uint256 tokenId, string uri)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)"
+];
+const ENUMERABLE_ABI = [
+    ...ERC721_ABI,
+    "function totalSupply() view returns (uint256)",
+    "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)"
+];
+const TARGET_ABI = [
+    "event Pinged(address indexed account, uint256 amount)",
+    "function ping(uint256 amount) payable",
+    "function fail()"
+];
+
+const INTERFACE_IDS = {
+    erc165: '0x01ffc9a7',
+    erc721: '0x80ac58cd',
+    erc721Enumerable: '0x780e9d63'
+};
+
+/**
+ * Error raised by a mock contract; data is the revert data returned to the caller
+ */
+class Revert extends Error {
+    constructor(reason) {
+        super(reason === null ? 'execution reverted' : `execution reverted: ${reason}`);
+        this.data = reason === null
+            ? '0x'
+            : ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])]);
+    }
+}
+
+function requireThat(condition, reason) {
+    if (!condition) {
+        throw new Revert(reason);
+    }
+}
+
+function erc721(enumerable) {
+    return {
+        iface: new ethers.Interface(enumerable ? ENUMERABLE_ABI : ERC721_ABI),
+        init: options => ({ owners: {}, tokens: {}, uris: {}, baseUri: options.baseUri || 'ipfs://collection/' }),
+        handlers: {
+            mint(storage, { args, emit }) {
+                const [to, tokenId] = [args[0].toLowerCase(), args[1].toString()];
+                requireThat(!storage.owners[tokenId], 'ERC721: token already minted');
+                storage.owners[tokenId] = to;
+                storage.tokens[to] = [...(storage.tokens[to] || []), tokenId];
+                emit('Transfer', [ethers.ZeroAddress, args[0], args[1]]);
+            },
+            transferFrom(storage, { args, from, emit }) {
+                const [owner, to, tokenId] = [args[0].toLowerCase(), args[1].toLowerCase(), args[2].toString()];
+                requireThat(storage.owners[tokenId] === owner, 'ERC721: transfer from incorrect owner');
+                requireThat(from === owner, 'ERC721: caller is not token owner');
+                storage.owners[tokenId] = to;
+                storage.tokens[owner] = storage.tokens[owner].filter(id => id !== tokenId);
+                storage.tokens[to] = [...(storage.tokens[to] || []), tokenId];
+                emit('Transfer', [args[0], args[1], args[2]]);
+            },
+            balanceOf: (storage, { args }) => [(storage.tokens[args[0].toLowerCase()] || []).length],
+            ownerOf(storage, { args }) {
+                const owner = storage.owners[args[0].toString()];
+                requireThat(owner, 'ERC721: invalid token ID');
+                return [owner];
+            },
+            tokenURI(storage, { args }) {
+                requireThat(storage.owners[args[0].toString()], 'ERC721: invalid token ID');
+                return [storage.uris[args[0].toString()] || `${storage.baseUri}${args[0]}`];
+            },
+            setTokenURI(storage, { args }) {
+                storage.uris[args[0].toString()] = args[1];
+            },
+            supportsInterface: (storage, { args }) => [
+                [INTERFACE_IDS.erc165, INTERFACE_IDS.erc721, ...(enumerable ? [INTERFACE_IDS.erc721Enumerable] : [])].includes(args[0])
+            ],
+            ...(enumerable ? {
+                totalSupply: storage => [Object.keys(storage.owners).length],
+                tokenOfOwnerByIndex(storage, { args }) {
+                    const owned = storage.tokens[args[0].toLowerCase()] || [];
+                    requireThat(args[1] < BigInt(owned.length), 'ERC721Enumerable: owner index out of bounds');
+                    return [owned[Number(args[1])]];
+                }
+            } : {})
+        }
+    };
+}
+
+const CONTRACT_KINDS = {
+    'erc721': erc721(false),
+    'erc721-enumerable': erc721(true),
+    'target': {
+        iface: new ethers.Interface(TARGET_ABI),
+        init: () => ({ pings: 0 }),
+        handlers: {
+            ping(storage, { args, from, emit }) {
+                storage.pings++;
+                emit('Pinged', [from, args[0]]);
+            },
+            fail() {
+                throw new Revert('Target: not allowed');
+            }
+        }
+    }
+};
+
+const hex = value => ethers.toQuantity(value);
+
+function parseBlockTag(tag, head) {
+    if (tag === undefined || ['latest', 'pending', 'safe', 'finalized'].includes(tag)) {
+        return head;
+    }
+    return tag === 'earliest' ? 0 : Number(tag);
+}
+
+class LocalChain {
+    #server = null;
+    #blocks = [];
+    #pending = [];
+    #fork = 0;
+
+    /**
+     * accounts: number of funded accounts to derive (chain.accounts, checksummed)
+     */
+    constructor({ chainId = 31337, accounts = 4 } = {}) {
+        this.chainId = chainId;
+        this.accounts = Array.from({ length: accounts }, (_, i) => ethers.getAddress(ethers.dataSlice(ethers.id(`local-chain:account:${i}`), 12)));
+        this.requests = [];
+        // Called with (method, params) before every request is answered
+        this.onRequest = null;
+        this.#blocks.push(this.#buildBlock(0, GENESIS_TIMESTAMP, [], { nonces: {}, contracts: {} }));
+    }
+
+    get head() {
+        return this.#blocks.length - 1;
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.#server.address().port}`;
+    }
+
+    /**
+     * Serve the chain over HTTP; resolves with the endpoint URL
+     */
+    async listen() {
+        this.#server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                const answer = Array.isArray(payload) ? payload.map(call => this.#handle(call)) : this.#handle(payload);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(answer));
+            });
+        });
+        await new Promise(resolve => this.#server.listen(0, '127.0.0.1', resolve));
+        return this.url;
+    }
+
+    async close() {
+        if (this.#server) {
+            this.#server.closeAllConnections();
+            await new Promise(resolve => this.#server.close(resolve));
+        }
+    }
+
+    block(number) {
+        return this.#blocks[number] || null;
+    }
+
+    /**
+     * Queue a creation transaction for a mock contract; returns the address it is deployed at
+     * options: baseUri for the ERC-721 kinds
+     */
+    deploy(kind, from, options = {}) {
+        if (!CONTRACT_KINDS[kind]) {
+            throw new Error(`Unknown contract kind ${kind}`);
+        }
+        const nonce = this.#nextNonce(from);
+        const address = ethers.getCreateAddress({ from, nonce });
+        this.#pending.push({ from, to: null, nonce, value: 0n, data: ethers.hexlify(ethers.toUtf8Bytes(kind)), deploy: { kind, options } });
+        return address;
+    }
+
+    /**
+     * Queue a call of a mock contract's function; returns the transaction hash
+     */
+    send(from, to, kind, method, args = [], { value = 0n } = {}) {
+        const data = CONTRACT_KINDS[kind].iface.encodeFunctionData(method, args);
+        const nonce = this.#nextNonce(from);
+        const hash = this.#transactionHash(from, nonce);
+        this.#pending.push({ from, to, nonce, value, data, hash });
+        return hash;
+    }
+
+    /**
+     * Mine `count` blocks; the first one includes every queued transaction
+     * timestamp sets the first block's time (defaults to BLOCK_TIME seconds after its parent)
+     */
+    mine(count = 1, { timestamp } = {}) {
+        for (let i = 0; i < count; i++) {
+            const parent = this.#blocks[this.head];
+            const number = this.head + 1;
+            const state = structuredClone(parent.state);
+            const executed = this.#pending.splice(0).map((tx, index) => this.#execute(state, number, index, tx));
+            const time = i === 0 && timestamp !== undefined ? timestamp : parent.timestamp + BLOCK_TIME;
+            this.#blocks.push(this.#buildBlock(number, time, executed, state));
+        }
+        return this.head;
+    }
+
+    /**
+     * Drop blocks from `fromBlock` on (their transactions are lost) and continue on a new fork,
+     * so blocks mined at those heights get different hashes
+     */
+    reorg(fromBlock) {
+        if (fromBlock < 1 || fromBlock > this.head) {
+            throw new Error(`Cannot reorg from block ${fromBlock} (head ${this.head})`);
+        }
+        this.#blocks.length = fromBlock;
+        this.#pending = [];
+        this.#fork++;
+    }
+
+    #nextNonce(from) {
+        const key = from.toLowerCase();
+        return (this.#blocks[this.head].state.nonces[key] || 0) + this.#pending.filter(tx => tx.from.toLowerCase() === key).length;
+    }
+
+    #transactionHash(from, nonce) {
+        return ethers.solidityPackedKeccak256(['uint256', 'uint256', 'address', 'uint256'], [this.chainId, this.#fork, from, nonce]);
+    }
+
+    #execute(state, blockNumber, index, tx) {
+        const from = tx.from.toLowerCase();
+        state.nonces[from] = (state.nonces[from] || 0) + 1;
+        const hash = tx.hash || this.#transactionHash(tx.from, tx.nonce);
+
+        let contractAddress = null;
+        let logs = [];
+        let status = 1;
+        if (tx.deploy) {
+            contractAddress = ethers.getCreateAddress({ from: tx.from, nonce: tx.nonce });
+            state.contracts[contractAddress.toLowerCase()] = {
+                kind: tx.deploy.kind,
+                storage: CONTRACT_KINDS[tx.deploy.kind].init(tx.deploy.options)
+            };
+        } else {
+            const contract = state.contracts[tx.to.toLowerCase()];
+            const storage = contract ? structuredClone(contract.storage) : null;
+            try {
+                logs = contract ? this.#run(contract.kind, storage, tx).logs : [];
+                if (contract) {
+                    contract.storage = storage;
+                }
+            } catch (error) {
+                if (!(error instanceof Revert)) {
+                    throw error;
+                }
+                status = 0;
+                logs = [];
+            }
+        }
+
+        // Failed calls stop early, so they never use the whole gas limit (that would read as out of gas)
+        const gasUsed = tx.deploy ? 120000n : (status === 1 ? 21000n + 5000n * BigInt(logs.length) : 23000n);
+        return { ...tx, hash, blockNumber, index, status, gasUsed, logs, contractAddress };
+    }
+
+    /**
+     * Run a call against a contract's storage (mutated in place); returns { result, logs }
+     */
+    #run(kind, storage, { from, to, data, value }) {
+        const { iface, handlers } = CONTRACT_KINDS[kind];
+        let parsed = null;
+        try {
+            parsed = iface.parseTransaction({ data, value });
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !handlers[parsed.name]) {
+            throw new Revert(null);
+        }
+
+        const logs = [];
+        const emit = (event, args) => {
+            const encoded = iface.encodeEventLog(event, args);
+            logs.push({ address: ethers.getAddress(to), topics: encoded.topics, data: encoded.data });
+        };
+        const returned = handlers[parsed.name](storage, { args: parsed.args, from: from ? from.toLowerCase() : ethers.ZeroAddress, emit });
+        const result = parsed.fragment.outputs.length > 0 ? iface.encodeFunctionResult(parsed.fragment, returned) : '0x';
+        return { result, logs };
+    }
+
+    #buildBlock(number, timestamp, transactions, state) {
+        const parentHash = number === 0 ? ethers.ZeroHash : this.#blocks[number - 1].hash;
+        const hash = ethers.solidityPackedKeccak256(['uint256', 'uint256', 'uint256', 'bytes32'], [this.chainId, this.#fork, number, parentHash]);
+        let logIndex = 0;
+        for (const tx of transactions) {
+            tx.logs = tx.logs.map(log => ({ ...log, index: logIndex++ }));
+        }
+        return { number, hash, parentHash, timestamp, transactions, state };
+    }
+
+    #formatTransaction(block, tx) {
+        return {
+            hash: tx.hash,
+            blockNumber: hex(block.number),
+            blockHash: block.hash,
+            transactionIndex: hex(tx.index),
+            from: ethers.getAddress(tx.from),
+            to: tx.to ? ethers.getAddress(tx.to) : null,
+            value: hex(tx.value),
+            input: tx.data,
+            nonce: hex(tx.nonce),
+            gas: hex(GAS_LIMIT),
+            gasPrice: hex(GAS_PRICE),
+            maxFeePerGas: hex(GAS_PRICE + 2n),
+            maxPriorityFeePerGas: hex(2),
+            accessList: [],
+            type: '0x2',
+            chainId: hex(this.chainId),
+            v: '0x1',
+            yParity: '0x1',
+            r: ethers.zeroPadValue('0x01', 32),
+            s: ethers.zeroPadValue('0x02', 32)
+        };
+    }
+
+    #formatLog(block, tx, log) {
+        return {
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            blockNumber: hex(block.number),
+            blockHash: block.hash,
+            transactionHash: tx.hash,
+            transactionIndex: hex(tx.index),
+            logIndex: hex(log.index),
+            removed: false
+        };
+    }
+
+    #formatReceipt(block, tx) {
+        return {
+            transactionHash: tx.hash,
+            transactionIndex: hex(tx.index),
+            blockHash: block.hash,
+            blockNumber: hex(block.number),
+            from: ethers.getAddress(tx.from),
+            to: tx.to ? ethers.getAddress(tx.to) : null,
+            cumulativeGasUsed: hex(tx.gasUsed),
+            gasUsed: hex(tx.gasUsed),
+            effectiveGasPrice: hex(GAS_PRICE),
+            contractAddress: tx.contractAddress,
+            logs: tx.logs.map(log => this.#formatLog(block, tx, log)),
+            logsBloom: ethers.zeroPadValue('0x', 256),
+            status: hex(tx.status),
+            type: '0x2'
+        };
+    }
+
+    #formatBlock(block, full) {
+        return {
+            number: hex(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: hex(block.timestamp),
+            transactions: block.transactions.map(tx => (full ? this.#formatTransaction(block, tx) : tx.hash)),
+            gasLimit: hex(30000000),
+            gasUsed: hex(block.transactions.reduce((sum, tx) => sum + tx.gasUsed, 0n)),
+            miner: ethers.ZeroAddress,
+            difficulty: '0x0',
+            extraData: '0x',
+            nonce: '0x0000000000000000',
+            baseFeePerGas: hex(1),
+            logsBloom: ethers.zeroPadValue('0x', 256),
+            sha3Uncles: ethers.ZeroHash,
+            stateRoot: ethers.ZeroHash,
+            receiptsRoot: ethers.ZeroHash,
+            transactionsRoot: ethers.ZeroHash,
+            mixHash: ethers.ZeroHash,
+            size: hex(1000),
+            uncles: []
+        };
+    }
+
+    #findTransaction(hash) {
+        for (const block of this.#blocks) {
+            const tx = block.transactions.find(entry => entry.hash === hash.toLowerCase());
+            if (tx) {
+                return { block, tx };
+            }
+        }
+        return null;
+    }
+
+    #getLogs({ address, topics = [], fromBlock, toBlock }) {
+        const addresses = address === undefined ? null : [].concat(address).map(entry => entry.toLowerCase());
+        const from = parseBlockTag(fromBlock, this.head);
+        const to = Math.min(parseBlockTag(toBlock, this.head), this.head);
+        const matches = (log) => (addresses === null || addresses.includes(log.address.toLowerCase()))
+            && topics.every((topic, i) => topic === null || [].concat(topic).includes(log.topics[i]));
+
+        const logs = [];
+        for (let number = from; number <= to; number++) {
+            const block = this.#blocks[number];
+            for (const tx of block.transactions) {
+                logs.push(...tx.logs.filter(matches).map(log => this.#formatLog(block, tx, log)));
+            }
+        }
+        return logs;
+    }
+
+    #call({ from, to, data, value }, blockTag) {
+        const block = this.#blocks[parseBlockTag(blockTag, this.head)];
+        if (!block) {
+            throw Object.assign(new Error('header not found'), { rpcCode: -32000 });
+        }
+        const contract = block.state.contracts[(to || '').toLowerCase()];
+        if (!contract) {
+            return '0x';
+        }
+        return this.#run(contract.kind, structuredClone(contract.storage), { from, to, data: data || '0x', value: BigInt(value || 0) }).result;
+    }
+
+    #handle({ id, method, params = [] }) {
+        this.requests.push(method);
+        if (this.onRequest) {
+            this.onRequest(method, params);
+        }
+        const reply = result => ({ jsonrpc: '2.0', id, result });
+        const fail = (code, message, data) => ({ jsonrpc: '2.0', id, error: data === undefined ? { code, message } : { code, message, data } });
+
+        try {
+            switch (method) {
+                case 'eth_chainId':
+                    return reply(hex(this.chainId));
+                case 'eth_blockNumber':
+                    return reply(hex(this.head));
+                case 'eth_getBlockByNumber': {
+                    const block = this.#blocks[parseBlockTag(params[0], this.head)];
+                    return reply(block ? this.#formatBlock(block, Boolean(params[1])) : null);
+                }
+                case 'eth_getBlockReceipts': {
+                    const block = this.#blocks[parseBlockTag(params[0], this.head)];
+                    return reply(block ? block.transactions.map(tx => this.#formatReceipt(block, tx)) : null);
+                }
+                case 'eth_getTransactionReceipt': {
+                    const found = this.#findTransaction(params[0]);
+                    return reply(found ? this.#formatReceipt(found.block, found.tx) : null);
+                }
+                case 'eth_getLogs':
+                    return reply(this.#getLogs(params[0]));
+                case 'eth_call':
+                    return reply(this.#call(params[0], params[1]));
+                case 'eth_getCode': {
+                    const block = this.#blocks[parseBlockTag(params[1], this.head)];
+                    const contract = block && block.state.contracts[params[0].toLowerCase()];
+                    return reply(contract ? ethers.hexlify(ethers.toUtf8Bytes(contract.kind)) : '0x');
+                }
+                default:
+                    return fail(-32601, `the method ${method} does not exist/is not available`);
+            }
+        } catch (error) {
+            if (error instanceof Revert) {
+                return fail(3, error.message, error.data);
+            }
+            return fail(error.rpcCode || -32603, error.message);
+        }
+    }
+}
+
+/**
+ * Start a chain and serve it; close it with chain.close()
+ */
+async function startLocalChain(options = {}) {
+    const chain = new LocalChain(options);
+    await chain.listen();
+    return chain;
+}
+
+module.exports = { LocalChain, startLocalChain, CONTRACT_KINDS, INTERFACE_IDS };
@@ -0,0 +1,303 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { backfill } = require('../backfill');
+const { LOCK_FILE } = require('../fetch_contract_txns');
+const { indexLogs } = require('../log_indexer');
+const {
+    loadProgress, findTransactions, findEvents, getBlockHash, getTotalTransactions, countTransactions, getBackfilledRanges, writeBlock
+} = require('../store');
+const { createProvider } = require('../rpc_pool');
+const { createFixture, quiet, startIndexer } = require('./helpers/harness');
+const { startLocalChain } = require('./helpers/local_chain');
+
+test('indexes successful and failed transactions with their revert reasons', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t, { networkOverrides: { fidelity: 'full' } });
+    const [deployer, alice, bob] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    const indexer = startIndexer({ network, provider, db });
+    assert.equal(await indexer.caughtUp(), 2000);
+
+    const ping = chain.send(alice, target, 'target', 'ping', [5], { value: 10n ** 18n });
+    const fail = chain.send(bob, target, 'target', 'fail');
+    chain.mine(2);
+    assert.equal(await indexer.step(), 2000);
+    const progress = await indexer.stop();
+
+    assert.equal(progress.lastProcessedBlock, 3);
+    const txns = findTransactions(db, { to: target });
+    assert.deepEqual(txns.map(txn => [txn.hash, txn.status]), [[ping, 'Success'], [fail, 'Fail']]);
+    assert.equal(txns[0].value, (10n ** 18n).toString());
+    assert.equal(txns[0].revertReason, null);
+    assert.equal(txns[1].revertReason, 'Target: not allowed');
+    assert.equal(txns[0].logs.length, 1);
+});
+
+test('resumes from the stored progress', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t);
+    const [deployer, alice] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    let indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    await indexer.stop();
+
+    // Blocks mined while the indexer is down are picked up on restart
+    chain.send(alice, target, 'target', 'ping', [1]);
+    chain.mine(3);
+    indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    const progress = await indexer.stop();
+
+    assert.equal(progress.lastProcessedBlock, 4);
+    assert.equal(findTransactions(db, { from: alice }).length, 1);
+});
+
+test('rolls back blocks replaced by a reorg', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t, { networkOverrides: { confirmations: 5 } });
+    const [deployer, alice, bob] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    const indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+
+    chain.send(alice, target, 'target', 'ping', [1]);
+    chain.mine();
+    const orphaned = chain.send(alice, target, 'target', 'ping', [2]);
+    chain.mine();
+    await indexer.step();
+    assert.equal(getBlockHash(db, 3), chain.block(3).hash);
+
+    // Block 3 is replaced and the new fork grows past the indexer's head, so it sees a parent mismatch
+    chain.reorg(3);
+    const replacement = chain.send(bob, target, 'target', 'ping', [3]);
+    chain.mine(2);
+    assert.equal(await indexer.step(), 2000);
+    const progress = await indexer.stop();
+
+    assert.equal(progress.lastProcessedBlock, 4);
+    for (const number of [2, 3, 4]) {
+        assert.equal(getBlockHash(db, number), chain.block(number).hash);
+    }
+    const hashes = findTransactions(db, { to: target }).map(txn => txn.hash);
+    assert.ok(!hashes.includes(orphaned));
+    assert.ok(hashes.includes(replacement));
+    assert.equal(loadProgress(db).totalTransactions, 3);
+});
+
+test('keeps the transaction total exact when a reorg rolls back backfilled blocks', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t, { networkOverrides: { confirmations: 5 } });
+    const [deployer, alice, bob] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    const indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+
+    for (let i = 0; i < 4; i++) {
+        chain.send(alice, target, 'target', 'ping', [i]);
+        chain.mine();
+    }
+    // Blocks 4-5 are counted by the backfill worker, then replaced by a fork from block 3
+    await backfill(provider, db, 4, 5, 1, 10);
+    await indexer.step();
+    chain.reorg(3);
+    chain.send(bob, target, 'target', 'ping', [9]);
+    chain.mine(4);
+    assert.equal(await indexer.step(), 2000);
+    await indexer.stop();
+
+    assert.equal(getTotalTransactions(db), countTransactions(db, {}));
+    assert.equal(loadProgress(db).totalTransactions, countTransactions(db, {}));
+    assert.ok(getBackfilledRanges(db).every(range => range.endBlock <= 2));
+});
+
+test('counts a transaction stored again at another height once', { timeout: 30000 }, async (t) => {
+    const { db } = await createFixture(t);
+    const txn = {
+        hash: '0x' + 'ab'.repeat(32), from: '0x' + '11'.repeat(20), to: '0x' + '22'.repeat(20), value: '0', gas: '21000',
+        gasPrice: '7', input: '0x', nonce: 0, type: 0, chainId: '31337', status: 'Success'
+    };
+
+    assert.equal(writeBlock(db, { number: 5, transactions: [txn] }), 1);
+    assert.equal(writeBlock(db, { number: 6, transactions: [txn] }), 0);
+    assert.deepEqual(findTransactions(db, {}).map(row => row.blockNumber), [6]);
+});
+
+test('keeps the logs of final blocks when the live indexer rolls back a reorg', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t, { networkOverrides: { confirmations: 2 } });
+    const [deployer, alice, bob] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    let indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    chain.send(alice, target, 'target', 'ping', [1]);
+    chain.mine();
+    await indexer.step();
+    await indexer.stop();
+
+    // While the indexer is down block 2 is replaced and the log indexer stores the new fork's final blocks
+    chain.reorg(2);
+    const replacement = chain.send(bob, target, 'target', 'ping', [2]);
+    chain.mine(4);
+    const filter = { address: [target] };
+    await indexLogs(provider, db, filter, 0, chain.head - network.confirmations);
+
+    indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    await indexer.stop();
+    assert.ok(console.log.mock.calls.some(call => /\[REORG\] Rolled back blocks 2-2/.test(call.arguments[0])));
+
+    chain.mine();
+    const { lastProcessedBlock } = loadProgress(db, 'logs');
+    await indexLogs(provider, db, filter, lastProcessedBlock + 1, chain.head - network.confirmations);
+    assert.deepEqual(findEvents(db, { address: target }).map(event => event.transactionHash), [replacement]);
+});
+
+test('refuses an RPC endpoint serving another chain', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { network, provider, db } = await createFixture(t, { chainOptions: { chainId: 999 } });
+
+    const indexer = startIndexer({ network, provider, db });
+    await assert.rejects(indexer.stop(), /serves chain id 999/);
+});
+
+test('refuses a second RPC endpoint serving another chain, at startup and on failover', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, db } = await createFixture(t);
+    const other = await startLocalChain({ chainId: 999 });
+    t.after(() => other.close());
+    chain.mine();
+    other.mine(3);
+
+    const pool = createProvider([chain.url, other.url], network.chainId, { cacheTimeout: -1 });
+    t.after(() => pool.destroy());
+    const indexer = startIndexer({ network: { ...network, rpcUrls: pool.urls }, provider: pool, db });
+    await assert.rejects(indexer.stop(), new RegExp(`RPC endpoint ${other.url} serves chain id 999, not chain id ${network.chainId}`));
+
+    // Without the startup check, the endpoint is checked when the pool first fails over to it
+    const failover = createProvider(['http://127.0.0.1:1', other.url], network.chainId, { cacheTimeout: -1 });
+    t.after(() => failover.destroy());
+    await assert.rejects(failover.getBlockNumber(), /serves chain id 999/);
+});
+
+test('stops between blocks when aborted mid-round and resumes from there', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t);
+    const [deployer, alice] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    let indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    for (let i = 0; i < 6; i++) {
+        chain.send(alice, target, 'target', 'ping', [i]);
+        chain.mine();
+    }
+
+    // The signal arrives while the round's blocks are being fetched
+    const stopping = new Promise(resolve => {
+        chain.onRequest = (method, params) => {
+            if (method === 'eth_getBlockByNumber' && Number(params[0]) === 4) {
+                chain.onRequest = null;
+                resolve(indexer.stop());
+            }
+        };
+    });
+    indexer.clock.advance(2000);
+    const stopped = await stopping;
+
+    assert.ok(stopped.lastProcessedBlock < chain.head);
+    assert.equal(findTransactions(db, { from: alice }).length, stopped.lastProcessedBlock - 1);
+    assert.equal(loadProgress(db).totalTransactions, stopped.lastProcessedBlock);
+
+    indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    const progress = await indexer.stop();
+    assert.equal(progress.lastProcessedBlock, chain.head);
+    assert.equal(findTransactions(db, { from: alice }).length, 6);
+});
+
+test('allows one indexer per data directory', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t);
+    chain.mine();
+
+    const first = startIndexer({ network, provider, db });
+    await first.caughtUp();
+    const second = startIndexer({ network, provider, db });
+    await assert.rejects(second.stop(), /Another instance \(PID \d+/);
+
+    await first.stop();
+    assert.ok(!fs.existsSync(path.join(network.dataDir, LOCK_FILE)));
+});
+
+test('rebuilds damaged progress from the stored blocks on startup', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t);
+    const [deployer, alice] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    let indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    chain.send(alice, target, 'target', 'ping', [1]);
+    chain.mine(2);
+    await indexer.step();
+    await indexer.stop();
+
+    // Progress points past the stored blocks with a wrong total, as if written by a broken tool
+    db.prepare("UPDATE progress SET last_processed_block = 50, finalized_block = 60, total_transactions = 9 WHERE name = 'live'").run();
+    chain.send(alice, target, 'target', 'ping', [2]);
+    chain.mine();
+
+    indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    const progress = await indexer.stop();
+
+    assert.ok(console.log.mock.calls.some(call => /\[RECOVER\] Progress last processed block 50/.test(call.arguments[0])));
+    assert.equal(progress.lastProcessedBlock, 4);
+    assert.equal(progress.totalTransactions, 3);
+    assert.equal(findTransactions(db, { from: alice }).length, 2);
+});
+
+test('indexes the gap between a stopped indexer and blocks backfilled ahead of it', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t);
+    const [deployer, alice] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    let indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    await indexer.stop();
+
+    for (let i = 0; i < 6; i++) {
+        chain.send(alice, target, 'target', 'ping', [i]);
+        chain.mine();
+    }
+    // Blocks 2-4 are only on chain; 5-7 are backfilled while the indexer is down
+    await backfill(provider, db, 5, 7, 1, 10);
+
+    indexer = startIndexer({ network, provider, db });
+    await indexer.caughtUp();
+    const progress = await indexer.stop();
+
+    assert.ok(!console.log.mock.calls.some(call => /\[RECOVER\]/.test(call.arguments[0])));
+    assert.equal(progress.lastProcessedBlock, 7);
+    for (const number of [2, 3, 4]) {
+        assert.equal(getBlockHash(db, number), chain.block(number).hash);
+    }
+    assert.equal(findTransactions(db, { from: alice }).length, 6);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { acquireLock, readLock } = require('../lock');
+const { writeFileAtomic } = require('../atomic_file');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('holds the lock until released', (t) => {
+    const file = path.join(tempDir(t), 'indexer.lock');
+
+    const lock = acquireLock(file);
+    assert.equal(lock.staleOwner, null);
+    assert.equal(readLock(file).pid, process.pid);
+    assert.throws(() => acquireLock(file), new RegExp(`Another instance \\(PID ${process.pid} on ${os.hostname()}`));
+
+    lock.release();
+    assert.ok(!fs.existsSync(file));
+    acquireLock(file).release();
+});
+
+test('takes over a lock left by a process that is gone', (t) => {
+    const file = path.join(tempDir(t), 'indexer.lock');
+    const exited = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(file, JSON.stringify({ pid: exited, host: os.hostname(), startedAt: '2024-01-01T00:00:00.000Z' }));
+
+    const lock = acquireLock(file);
+    assert.equal(lock.staleOwner.pid, exited);
+    assert.equal(readLock(file).pid, process.pid);
+    lock.release();
+});
+
+test('treats an unreadable lock file as stale', (t) => {
+    const file = path.join(tempDir(t), 'indexer.lock');
+    fs.writeFileSync(file, '{"pid": 12');
+
+    const lock = acquireLock(file);
+    assert.deepEqual(lock.staleOwner, { pid: null });
+    lock.release();
+});
+
+test('replaces files atomically and leaves nothing behind on failure', (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'report.json');
+
+    writeFileAtomic(file, '{"version": 1}');
+    writeFileAtomic(file, '{"version": 2}');
+    assert.equal(fs.readFileSync(file, 'utf8'), '{"version": 2}');
+
+    // The rename onto a directory fails; the temp file is cleaned up
+    const blocked = path.join(dir, 'blocked');
+    fs.mkdirSync(blocked);
+    assert.throws(() => writeFileAtomic(blocked, 'data'));
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['blocked', 'report.json']);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { indexTransfers, getHoldings, fetchOnChainHoldings } = require('../nft_index');
+const { detectCollections, checkHolders } = require('../check_holder');
+const { metadataCacheDir, syncMetadata, getCollectionRarity } = require('../nft_metadata');
+const { getNftBalanceAt, getNftMetadata } = require('../store');
+const { createFixture, quiet } = require('./helpers/harness');
+
+/**
+ * Two collections with the same holdings: alice owns 1 and 3, bob owns 2 (after a transfer from alice)
+ */
+async function mintCollections(t) {
+    const fixture = await createFixture(t);
+    const { chain } = fixture;
+    const [deployer, alice, bob] = chain.accounts;
+    const enumerable = chain.deploy('erc721-enumerable', deployer);
+    const plain = chain.deploy('erc721', deployer);
+    const target = chain.deploy('target', deployer);
+    chain.mine();
+
+    for (const [address, kind] of [[enumerable, 'erc721-enumerable'], [plain, 'erc721']]) {
+        for (const tokenId of [1, 2, 3]) {
+            chain.send(deployer, address, kind, 'mint', [alice, tokenId]);
+        }
+    }
+    chain.mine();
+    for (const [address, kind] of [[enumerable, 'erc721-enumerable'], [plain, 'erc721']]) {
+        chain.send(alice, address, kind, 'transferFrom', [alice, bob, 2]);
+        // Fails: bob does not own token 1
+        chain.send(bob, address, kind, 'transferFrom', [alice, bob, 1]);
+    }
+    chain.mine();
+
+    return { ...fixture, alice, bob, enumerable, plain, target };
+}
+
+test('builds the ownership index from Transfer logs, skipping failed transfers', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, provider, db, alice, bob, plain } = await mintCollections(t);
+
+    const stored = await indexTransfers(provider, db, plain, 0, chain.head);
+    assert.equal(stored, 4);
+
+    const holdings = await getHoldings(db, provider, plain, alice, { verify: true });
+    assert.deepEqual(holdings.tokenIds, ['1', '3']);
+    assert.equal(holdings.indexedBlock, chain.head);
+    assert.equal(holdings.verification.consistent, true);
+    assert.deepEqual((await getHoldings(db, provider, plain, bob)).tokenIds, ['2']);
+
+    // Historical balances come from the transfer history
+    assert.equal(getNftBalanceAt(db, plain, alice, 2), 3);
+    assert.equal(getNftBalanceAt(db, plain, alice, 3), 2);
+});
+
+test('reads token ids on-chain only from enumerable collections', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { provider, alice, enumerable, plain } = await mintCollections(t);
+
+    assert.deepEqual(await fetchOnChainHoldings(provider, enumerable, alice), { balance: 2, tokenIds: ['1', '3'], indexedBlock: null });
+    assert.deepEqual(await fetchOnChainHoldings(provider, plain, alice), { balance: 2, tokenIds: null, indexedBlock: null });
+});
+
+test('detects collection standards through ERC-165', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { provider, enumerable, plain, target } = await mintCollections(t);
+
+    const collections = await detectCollections(provider, [{ address: enumerable, tokenIds: null }, { address: plain, tokenIds: null }]);
+    assert.deepEqual(collections.map(collection => [collection.standard, collection.enumerable]), [['erc721', true], ['erc721', false]]);
+
+    await assert.rejects(
+        detectCollections(provider, [{ address: target, tokenIds: null }]),
+        /does not report ERC-721 or ERC-1155 support/
+    );
+});
+
+test('checks holders of enumerable and non-enumerable collections at a block', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, provider, alice, bob, enumerable, plain } = await mintCollections(t);
+    const collections = await detectCollections(provider, [{ address: enumerable, tokenIds: null }, { address: plain, tokenIds: null }]);
+
+    const now = await checkHolders(provider, collections, [alice, bob], chain.head);
+    assert.deepEqual(now.get(alice), {
+        [enumerable]: { balance: 2, tokenIds: ['1', '3'] },
+        [plain]: { balance: 2, tokenIds: null }
+    });
+    assert.deepEqual(now.get(bob)[enumerable], { balance: 1, tokenIds: ['2'] });
+
+    // Before the transfer block alice still held all three
+    const before = await checkHolders(provider, collections, [alice, bob], chain.head - 1);
+    assert.deepEqual(before.get(alice)[enumerable], { balance: 3, tokenIds: ['1', '2', '3'] });
+    assert.deepEqual(before.get(bob)[plain], { balance: 0, tokenIds: null });
+});
+
+/**
+ * Stand-in IPFS gateway serving documents (a Map of path to JSON object) under /ipfs/; counts its requests
+ */
+async function startGateway(t, documents) {
+    const gateway = { requests: 0, url: null };
+    const server = http.createServer((req, res) => {
+        gateway.requests++;
+        const document = documents.get(decodeURIComponent(req.url.replace(/^\/ipfs\//, '')));
+        res.writeHead(document ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(document ? JSON.stringify(document) : '{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    gateway.url = `http://127.0.0.1:${server.address().port}`;
+    return gateway;
+}
+
+test('syncs metadata from ipfs:// and data: URIs into a content-hash cache and ranks rarity', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db } = await createFixture(t);
+    const [deployer, alice] = chain.accounts;
+    const nft = chain.deploy('erc721', deployer, { baseUri: 'ipfs://QmCollection/' });
+    chain.mine();
+
+    // Token 1 is the only one with a gold background; Level is a numeric stat and does not count toward rarity
+    const documentOf = tokenId => ({
+        name: `Token #${tokenId}`,
+        attributes: [
+            { trait_type: 'Background', value: tokenId === 1 ? 'Gold' : 'Blue' },
+            { trait_type: 'Level', value: tokenId, display_type: 'number' }
+        ]
+    });
+    const documents = new Map([1, 2, 3].map(tokenId => [`QmCollection/${tokenId}`, documentOf(tokenId)]));
+    for (const tokenId of [1, 2, 3, 4, 5]) {
+        chain.send(deployer, nft, 'erc721', 'mint', [alice, tokenId]);
+    }
+    chain.send(deployer, nft, 'erc721', 'setTokenURI', [4, `data:application/json,${encodeURIComponent(JSON.stringify(documentOf(4)))}`]);
+    chain.send(deployer, nft, 'erc721', 'setTokenURI', [5, `data:application/json;base64,${Buffer.from(JSON.stringify(documentOf(5))).toString('base64')}`]);
+    chain.mine();
+
+    const gateway = await startGateway(t, documents);
+    const cacheDir = metadataCacheDir(network);
+    const tokenIds = ['1', '2', '3', '4', '5'];
+    const options = { cacheDir, gateway: gateway.url };
+    const backgrounds = () => getNftMetadata(db, nft).map(entry => entry.traits.find(trait => trait.traitType === 'Background').value);
+
+    const first = await syncMetadata(db, provider, nft, tokenIds, options);
+    assert.deepEqual([first.fetched, first.cached, first.failed], [5, 0, []]);
+    assert.equal(gateway.requests, 3);
+    assert.deepEqual(getNftMetadata(db, nft).map(entry => entry.name), tokenIds.map(tokenId => `Token #${tokenId}`));
+    assert.deepEqual(backgrounds(), ['Gold', 'Blue', 'Blue', 'Blue', 'Blue']);
+    // One cache file per document, named after its sha256
+    const hashes = getNftMetadata(db, nft).map(entry => entry.contentHash);
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), hashes.map(hash => `${hash}.json`).sort());
+
+    const rarity = getCollectionRarity(db, nft, [{ name: 'rare', top: 20 }, { name: 'uncommon', top: 60 }]);
+    assert.deepEqual(tokenIds.map(tokenId => [rarity.get(tokenId).rank, rarity.get(tokenId).tier]), [
+        [1, 'rare'], [2, 'uncommon'], [3, 'uncommon'], [4, 'common'], [5, 'common']
+    ]);
+
+    // Stored tokens with a cached document are not fetched again
+    const second = await syncMetadata(db, provider, nft, tokenIds, options);
+    assert.deepEqual([second.fetched, second.cached], [0, 5]);
+    assert.equal(gateway.requests, 3);
+
+    // Offline runs rebuild the traits from the cache only; a document that no longer matches its hash is missing
+    documents.set('QmCollection/1', { ...documentOf(1), attributes: [{ trait_type: 'Background', value: 'Silver' }] });
+    fs.writeFileSync(path.join(cacheDir, `${hashes[1]}.json`), '{"name": "tampered"}');
+    const offline = await syncMetadata(db, null, nft, tokenIds, { ...options, offline: true });
+    assert.deepEqual([offline.fetched, offline.cached, offline.missing], [0, 4, ['2']]);
+    assert.equal(gateway.requests, 3);
+    assert.equal(backgrounds()[0], 'Gold');
+
+    // A refresh fetches every document again and picks up the changed one
+    const refreshed = await syncMetadata(db, provider, nft, tokenIds, { ...options, refresh: true });
+    assert.deepEqual([refreshed.fetched, refreshed.failed], [5, []]);
+    assert.equal(gateway.requests, 6);
+    assert.deepEqual(backgrounds(), ['Silver', 'Blue', 'Blue', 'Blue', 'Blue']);
+    assert.equal(getNftMetadata(db, nft, ['2'])[0].contentHash, hashes[1]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(cacheDir, `${hashes[1]}.json`), 'utf8')), documentOf(2));
+});
@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateRules, scoreMatches, computeMultiplier } = require('../points_rules');
+const { validateSubscriptions } = require('../notifications');
+const { indexTransfers } = require('../nft_index');
+const { backfill } = require('../backfill');
+const { updateLeaderboard } = require('../leaderboard');
+const { buildMerkleTree, verifyProof } = require('../snapshot');
+const { loadLeaderboard } = require('../store');
+const { scorePoints, calculatePoints } = require('../pointsaggregator');
+const { createFixture, createManualClock, quiet, startIndexer } = require('./helpers/harness');
+
+const TARGET = "0x00000000000000000000000000000000000000aa";
+const NFT = "0x00000000000000000000000000000000000000bb";
+
+function campaign(target, nft, { mode = 'transaction', dailyCap } = {}) {
+    return validateRules({
+        rules: [{
+            id: 'pings',
+            type: 'transaction',
+            contracts: [target],
+            selectors: ['ping(uint256)'],
+            points: 100,
+            pointsPerEth: 10,
+            ...(dailyCap !== undefined ? { dailyCap } : {})
+        }],
+        multipliers: {
+            combine: 'multiply',
+            mode,
+            assets: [{
+                id: 'holder',
+                type: 'erc721',
+                contract: nft,
+                tiers: [{ min: 1, multiplier: 1.5 }, { min: 2, multiplier: 2 }]
+            }]
+        }
+    });
+}
+
+test('reports every problem of a rules file at once', () => {
+    assert.throws(() => validateRules({
+        rules: [
+            { id: 'a', type: 'transaction', contracts: ['0x1234'], points: 1 },
+            { id: 'a', type: 'swap', contracts: [TARGET], points: -1 },
+            { id: 'b', type: 'transaction', contracts: [TARGET], points: 1, status: 'success' }
+        ]
+    }), (error) => {
+        assert.match(error.message, /contracts\[0\] is not a valid address: 0x1234/);
+        assert.match(error.message, /duplicate rule id "a"/);
+        assert.match(error.message, /"type" must be one of transaction, event/);
+        assert.match(error.message, /rules\[2\] \(b\): "status" must be one of Success, Fail, Unknown/);
+        return true;
+    });
+});
+
+test('reports null rules, assets and tiers instead of failing on them', () => {
+    assert.throws(() => validateRules({
+        rules: [null, { id: 'a', type: 'transaction', contracts: [TARGET], points: 1 }],
+        multipliers: {
+            assets: [null, { id: 'holder', type: 'erc721', contract: NFT, tiers: [null, { min: 1, multiplier: 2 }] }]
+        }
+    }), (error) => {
+        assert.match(error.message, /rules\[0\]: must be an object/);
+        assert.match(error.message, /multipliers\.assets\[0\]: must be an object/);
+        assert.match(error.message, /multipliers\.assets\[1\] \(holder\): tiers\[0\] must be an object/);
+        assert.doesNotMatch(error.message, /rules\[1\]/);
+        return true;
+    });
+});
+
+test('reports null subscriptions instead of failing on them', () => {
+    assert.throws(() => validateSubscriptions({
+        subscriptions: [null, { id: 'pings', type: 'transaction', to: [TARGET] }]
+    }), (error) => {
+        assert.match(error.message, /subscriptions\[0\]: must be an object/);
+        assert.doesNotMatch(error.message, /subscriptions\[1\]/);
+        return true;
+    });
+});
+
+test('caps points per rule and day, earliest matches first', () => {
+    const config = campaign(TARGET, NFT, { dailyCap: 250 });
+    const day = Date.UTC(2024, 0, 1) / 1000;
+    const match = (blockNumber, timestamp) => ({ ruleId: 'pings', hash: `0x${blockNumber}`, blockNumber, timestamp, points: 100 });
+
+    const scored = scoreMatches(config, [match(3, day + 60), match(1, day), match(2, day + 30), match(4, day + 86400)]);
+    assert.deepEqual(scored.matches.map(entry => [entry.blockNumber, entry.points]), [[1, 100], [2, 100], [3, 50], [4, 100]]);
+    assert.deepEqual(scored.rules, [{ id: 'pings', matches: 4, uncappedPoints: 400, points: 350 }]);
+    assert.equal(scored.basePoints, 350);
+
+    // Without timestamps the day is unknown, so those matches share one cap
+    const undated = scoreMatches(config, [match(5, null), match(9000, null), match(90000, null)]);
+    assert.deepEqual(undated.matches.map(entry => entry.points), [100, 100, 50]);
+});
+
+test('combines holding tiers into a multiplier', () => {
+    const { multipliers } = campaign(TARGET, NFT);
+    assert.equal(computeMultiplier(multipliers, [{ id: 'holder', balance: 0 }]).multiplier, 1);
+    assert.equal(computeMultiplier(multipliers, [{ id: 'holder', balance: 1 }]).multiplier, 1.5);
+    assert.equal(computeMultiplier(multipliers, [{ id: 'holder', balance: 5 }]).multiplier, 2);
+});
+
+/**
+ * alice pings with 0, 1 and 2 NFTs held (the last one sending 1 ETH) and fails a call in between;
+ * bob pings once
+ */
+async function playCampaign(t) {
+    const fixture = await createFixture(t);
+    const { chain, network } = fixture;
+    const [deployer, alice, bob] = chain.accounts;
+    const target = chain.deploy('target', deployer);
+    const nft = chain.deploy('erc721-enumerable', deployer);
+    chain.mine();
+    network.contracts = { target, nft };
+
+    const indexer = startIndexer(fixture);
+    await indexer.caughtUp();
+
+    chain.send(alice, target, 'target', 'ping', [1]);
+    chain.mine();
+    chain.send(deployer, nft, 'erc721-enumerable', 'mint', [alice, 1]);
+    chain.send(alice, target, 'target', 'fail');
+    chain.mine();
+    chain.send(alice, target, 'target', 'ping', [2]);
+    chain.mine();
+    chain.send(deployer, nft, 'erc721-enumerable', 'mint', [alice, 2]);
+    chain.send(bob, target, 'target', 'ping', [3]);
+    chain.mine();
+    chain.send(alice, target, 'target', 'ping', [4], { value: 10n ** 18n });
+    chain.mine();
+
+    await indexer.step();
+    await indexer.stop();
+    return { ...fixture, alice, bob, target, nft };
+}
+
+test('scores transactions with the holdings at each transaction', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, network, provider, db, alice, target, nft } = await playCampaign(t);
+    const config = campaign(target, nft);
+    const clock = createManualClock(Date.UTC(2024, 5, 1));
+
+    // Without an ownership index the historical balances are balanceOf calls at each block
+    const archive = await scorePoints(alice, config, { network, provider, db, clock });
+    assert.deepEqual(archive.transactions.map(txn => [txn.blockNumber, txn.points, txn.multiplier, txn.multipliedPoints]), [
+        [2, 100, 1, 100],
+        [4, 100, 1.5, 150],
+        [6, 110, 2, 220]
+    ]);
+    assert.equal(archive.basePoints, 310);
+    assert.equal(archive.totalPoints, 470);
+    assert.equal(archive.multiplier, Math.round((470 / 310) * 1e6) / 1e6);
+    assert.deepEqual(archive.nft.tokenIds, ['1', '2']);
+    assert.equal(archive.nft.onChain, true);
+    assert.equal(archive.calculatedAt, '2024-06-01T00:00:00.000Z');
+
+    // The ownership index gives the same answer from the store
+    await indexTransfers(provider, db, nft, 0, chain.head);
+    const indexed = await scorePoints(alice, config, { network, provider, db, clock });
+    assert.deepEqual(indexed.transactions.map(txn => txn.multipliedPoints), [100, 150, 220]);
+    assert.equal(indexed.nft.onChain, false);
+    assert.equal(indexed.nft.indexedBlock, chain.head);
+});
+
+test('prints and returns the points of an address from a rules file', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { network, provider, db, dataDir, bob, target, nft } = await playCampaign(t);
+    const rulesFile = path.join(dataDir, 'rules.json');
+    fs.writeFileSync(rulesFile, JSON.stringify({
+        rules: [{ id: 'pings', type: 'transaction', contracts: [target], points: 100 }],
+        multipliers: { mode: 'current', assets: [{ id: 'holder', type: 'erc721', contract: nft, tiers: [{ min: 1, multiplier: 1.5 }] }] }
+    }));
+
+    const result = await calculatePoints(bob, rulesFile, { network, provider, db, clock: createManualClock() });
+    assert.equal(result.txnCount, 1);
+    assert.equal(result.nftBalance, 0);
+    assert.equal(result.totalPoints, 100);
+    assert.equal(result.rulesFile, rulesFile);
+    assert.ok(console.log.mock.calls.some(call => call.arguments[0] === 'Total Points: 100 '));
+});
+
+test('rebuilds the leaderboard when blocks below its last run are stored', { timeout: 30000 }, async (t) => {
+    quiet(t);
+    const { chain, provider, db, alice, target, nft } = await playCampaign(t);
+    const config = campaign(target, nft);
+    const pointsOf = address => loadLeaderboard(db).find(entry => entry.address === address).totalPoints;
+
+    // Block 2 (alice's first ping) is missing until a backfill stores it after the first run
+    db.prepare('DELETE FROM transactions WHERE block_number = 2').run();
+    db.prepare('DELETE FROM blocks WHERE number = 2').run();
+    await updateLeaderboard(provider, db, config, chain.head);
+    assert.equal(pointsOf(alice), 370);
+
+    await backfill(provider, db, 2, 2, 1, 10);
+    const rebuilt = await updateLeaderboard(provider, db, config, chain.head);
+    assert.equal(rebuilt.incremental, false);
+    assert.equal(pointsOf(alice), 470);
+
+    assert.equal((await updateLeaderboard(provider, db, config, chain.head)).incremental, true);
+});
+
+test('builds the payout Merkle tree exactly like OpenZeppelin StandardMerkleTree', () => {
+    // Root and proofs from @openzeppelin/merkle-tree StandardMerkleTree.of(claims, ['address', 'uint256'])
+    const claims = [
+        { address: "0x1111111111111111111111111111111111111111", points: 100 },
+        { address: "0x2222222222222222222222222222222222222222", points: 250 },
+        { address: "0x3333333333333333333333333333333333333333", points: 250 },
+        { address: "0x4444444444444444444444444444444444444444", points: 1 },
+        { address: "0x5555555555555555555555555555555555555555", points: 123456789 }
+    ];
+    const root = "0xc325f148c644f4b10467afbcfe5cfa4e5a5a0ba067a73ede11a9576059906e8a";
+    const proofs = {
+        "0x1111111111111111111111111111111111111111": [
+            "0x52c0069c93a8515a7d1b8fe060081bf419c6c5b44ef2610c2d6c2ab84e352e50",
+            "0xef4b786d292a8f7bf2c386b2c937f6929416de654d5360518f09e324470b66e8",
+            "0x5c047acf3ddb918b9857fc11c6cb9ff832237b2cc2bc7078dc9f707c9eafe26f"
+        ],
+        "0x2222222222222222222222222222222222222222": [
+            "0x548cb54cb5cba240e180cb1753e626bb4ac4e09f59018fa3303a1be80c414ead",
+            "0x5c047acf3ddb918b9857fc11c6cb9ff832237b2cc2bc7078dc9f707c9eafe26f"
+        ],
+        "0x3333333333333333333333333333333333333333": [
+            "0xddddf2992c4f1cab4a044e44665cb2360bbcb75cca79e61b1354fd7bc84b4136",
+            "0xe79bae1606f580080f6d5efec426db6470c2c0af6da717bdd50f13d817460583"
+        ],
+        "0x4444444444444444444444444444444444444444": [
+            "0xdd70676416ff94ec6df1a7968cf760cdb04026f4233c31afa63792b80dd7ff63",
+            "0xe79bae1606f580080f6d5efec426db6470c2c0af6da717bdd50f13d817460583"
+        ],
+        "0x5555555555555555555555555555555555555555": [
+            "0x922c8389ffeb7a618b1f9fe2e9a75c76d86291502713033e5951dbad45b3fc31",
+            "0xef4b786d292a8f7bf2c386b2c937f6929416de654d5360518f09e324470b66e8",
+            "0x5c047acf3ddb918b9857fc11c6cb9ff832237b2cc2bc7078dc9f707c9eafe26f"
+        ]
+    };
+
+    const tree = buildMerkleTree(claims);
+    assert.equal(tree.root, root);
+    assert.deepEqual(Object.fromEntries(tree.proofs), proofs);
+    for (const claim of claims) {
+        assert.equal(verifyProof(root, claim.address, claim.points, proofs[claim.address]), true);
+    }
+    assert.equal(verifyProof(root, claims[0].address, 101, proofs[claims[0].address]), false);
+
+    // A single claim is its own root with an empty proof
+    const single = buildMerkleTree([claims[1]]);
+    assert.equal(single.root, "0xef4b786d292a8f7bf2c386b2c937f6929416de654d5360518f09e324470b66e8");
+    assert.deepEqual(single.proofs.get(claims[1].address), []);
+    assert.equal(verifyProof(single.root, claims[1].address, 250, []), true);
+
+    // Malformed claims from a distribution file fail the check instead of throwing
+    assert.equal(verifyProof(root, claims[0].address, 100, undefined), false);
+    assert.equal(verifyProof(root, claims[0].address, 100, ['0x1234']), false);
+    assert.equal(verifyProof(root, claims[0].address, 'lots', proofs[claims[0].address]), false);
+});
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Integrity check of the indexed blocks against the chain
+ * Walks a block range and compares every stored block's hash and transaction hashes with what the RPC
+ * reports. Reports gaps (blocks never stored), partial blocks (missing transactions or receipts),
+ * blocks from another fork, and drift between the stored transaction total and the rows on disk.
+ * With --repair only the damaged blocks are fetched again and rewritten, and the total is recounted.
+ * Only final blocks are checked, so the live indexer's reorg handling is never second-guessed.
+ *
+ * Usage: node verify.js [--from <block>] [--to <block>] [--repair] [--network monad]
+ * The range defaults to everything indexed.
+ */
+
+const { parseArgs } = require('util');
+const { fetchBlock } = require('./block_fetcher');
+const { loadAbiRegistry, decodeCalldata, decodeError } = require('./abi_registry');
+const {
+    openStore,
+    getIndexedRange,
+    getStoredBlocks,
+    getTotalTransactions,
+    writeBlock,
+    addTransactionCount,
+    recountTransactions
+} = require('./store');
+const { createProvider, withRetry } = require('./rpc_pool');
+const { CONFIG_OPTIONS, loadNetwork, checkChainId } = require('./config');
+
+// Blocks compared per round; the provider batches the requests of a round together
+const VERIFY_BATCH_SIZE = 50;
+// Damaged blocks re-fetched concurrently during repair
+const REPAIR_CONCURRENCY = 4;
+
+/**
+ * Compare a stored block (null when missing) with the chain's block, returning the problems found
+ * Each problem is { type, detail } with type gap, fork, missing-hash, missing-transactions,
+ * unexpected-transactions, missing-receipts or count-mismatch
+ */
+function compareBlock(stored, chainBlock) {
+    if (!stored) {
+        return [{ type: 'gap', detail: `not stored (chain has ${chainBlock.transactions.length} transactions)` }];
+    }
+
+    const problems = [];
+    if (stored.hash === null) {
+        problems.push({ type: 'missing-hash', detail: 'stored without a block hash' });
+    } else if (stored.hash !== chainBlock.hash) {
+        problems.push({ type: 'fork', detail: `stored hash ${stored.hash} but chain has ${chainBlock.hash}` });
+    }
+
+    const storedHashes = new Set(stored.transactions.map(tx => tx.hash.toLowerCase()));
+    const chainHashes = new Set(chainBlock.transactions.map(hash => hash.toLowerCase()));
+    const missing = [...chainHashes].filter(hash => !storedHashes.has(hash));
+    const unexpected = [...storedHashes].filter(hash => !chainHashes.has(hash));
+
+    if (missing.length > 0) {
+        problems.push({ type: 'missing-transactions', detail: `${missing.length} of ${chainHashes.size} transactions not stored` });
+    }
+    if (unexpected.length > 0) {
+        problems.push({ type: 'unexpected-transactions', detail: `${unexpected.length} stored transactions are not in the block` });
+    }
+
+    const unknown = stored.transactions.filter(tx => tx.status === 'Unknown').length;
+    if (unknown > 0) {
+        problems.push({ type: 'missing-receipts', detail: `${unknown} transactions stored without a receipt status` });
+    }
+
+    if (stored.txCount !== stored.transactions.length) {
+        problems.push({ type: 'count-mismatch', detail: `block row says ${stored.txCount} transactions, ${stored.transactions.length} stored` });
+    }
+    return problems;
+}
+
+/**
+ * Compare fromBlock..toBlock with the chain, returning { checked, damaged: [{ blockNumber, problems }] }
+ */
+async function verifyRange(provider, db, fromBlock, toBlock, batchSize = VERIFY_BATCH_SIZE) {
+    const damaged = [];
+    let checked = 0;
+
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(toBlock, start + batchSize - 1);
+        const stored = getStoredBlocks(db, start, end);
+
+        const numbers = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+        const chainBlocks = await Promise.all(numbers.map(number => withRetry(async () => {
+            const block = await provider.getBlock(number);
+            if (!block) {
+                throw new Error(`Block ${number} not available from RPC`);
+            }
+            return block;
+        })));
+
+        chainBlocks.forEach((chainBlock, i) => {
+            const problems = compareBlock(stored.get(numbers[i]) || null, chainBlock);
+            if (problems.length > 0) {
+                damaged.push({ blockNumber: numbers[i], problems });
+                for (const problem of problems) {
+                    console.log(`  ✗ Block ${numbers[i]}: ${problem.type} - ${problem.detail}`);
+                }
+            }
+        });
+
+        checked += numbers.length;
+        console.log(`  Checked blocks ${start}-${end} (${checked}/${toBlock - fromBlock + 1})`);
+    }
+
+    return { checked, damaged };
+}
+
+/**
+ * Fetch the given blocks again and rewrite them, keeping the live transaction total in step
+ * `fidelity` selects the record version written, as for the indexer
+ */
+async function repairBlocks(provider, db, blockNumbers, { fidelity } = {}) {
+    const registry = loadAbiRegistry(db);
+    const decodeCall = (to, data) => decodeCalldata(registry, to, data);
+    const decodeRevert = (to, data) => decodeError(registry, to, data);
+    let repaired = 0;
+
+    for (let i = 0; i < blockNumbers.length; i += REPAIR_CONCURRENCY) {
+        const batch = blockNumbers.slice(i, i + REPAIR_CONCURRENCY);
+        const blocks = await Promise.all(batch.map(number => withRetry(() => fetchBlock(provider, number, { decodeCall, decodeError: decodeRevert, fidelity }))));
+
+        for (const block of blocks) {
+            db.transaction(() => {
+                addTransactionCount(db, 'live', writeBlock(db, block));
+            })();
+            repaired++;
+            console.log(`  ✓ Repaired block ${block.number} (${block.transactions.length} transactions)`);
+        }
+    }
+    return repaired;
+}
+
+/**
+ * Stored transaction total compared with the rows actually in the store
+ */
+function checkTotals(db) {
+    const recorded = getTotalTransactions(db);
+    const actual = db.prepare('SELECT COUNT(*) AS count FROM transactions').get().count;
+    return { recorded, actual, consistent: recorded === actual };
+}
+
+async function main(network, options) {
+    const provider = createProvider(network.rpcUrls, network.chainId);
+    const db = openStore(network.dbFile);
+    await checkChainId(network, { provider, db });
+
+    const range = getIndexedRange(db);
+    if (range.toBlock === null) {
+        throw new Error(`No indexed blocks in ${network.dbFile}`);
+    }
+
+    // Blocks above the final block may still be reorged, which the live indexer handles
+    const finalBlock = await provider.getBlockNumber() - network.confirmations;
+    const fromBlock = options.from !== undefined ? options.from : range.fromBlock;
+    const toBlock = Math.min(options.to !== undefined ? options.to : range.toBlock, finalBlock);
+    if (fromBlock > toBlock) {
+        throw new Error(`Nothing to verify: block range ${fromBlock}-${toBlock} is empty`);
+    }
+
+    console.log('='.repeat(80));
+    console.log(`VERIFY - ${network.name}, blocks ${fromBlock}-${toBlock}`);
+    console.log('='.repeat(80));
+
+    const result = await verifyRange(provider, db, fromBlock, toBlock);
+    const totals = checkTotals(db);
+
+    const byType = new Map();
+    for (const { problems } of result.damaged) {
+        for (const problem of problems) {
+            byType.set(problem.type, (byType.get(problem.type) || 0) + 1);
+        }
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log('RESULTS');
+    console.log('='.repeat(80));
+    console.log(`Blocks checked: ${result.checked}`);
+    console.log(`Damaged blocks: ${result.damaged.length}`);
+    for (const [type, count] of byType) {
+        console.log(`  ${type}: ${count}`);
+    }
+    console.log(`Transaction total: ${totals.recorded} recorded, ${totals.actual} stored ${totals.consistent ? '✓' : '✗'}`);
+
+    if (options.repair) {
+        if (result.damaged.length > 0) {
+            console.log(`\nRepairing ${result.damaged.length} block(s)...`);
+            await repairBlocks(provider, db, result.damaged.map(entry => entry.blockNumber), { fidelity: network.fidelity });
+        }
+        const { previous, actual } = recountTransactions(db);
+        if (previous !== actual) {
+            console.log(`  ✓ Transaction total corrected from ${previous} to ${actual}`);
+        }
+        return { ...result, totals, repaired: true };
+    }
+
+    if (result.damaged.length > 0 || !totals.consistent) {
+        console.log('\nRun again with --repair to re-fetch the damaged blocks');
+    }
+    return { ...result, totals, repaired: false };
+}
+
+// Main execution
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            repair: { type: 'boolean', default: false },
+            ...CONFIG_OPTIONS
+        }
+    });
+
+    const from = values.from !== undefined ? Number(values.from) : undefined;
+    const to = values.to !== undefined ? Number(values.to) : undefined;
+    if ((from !== undefined && !Number.isInteger(from)) || (to !== undefined && !Number.isInteger(to))) {
+        console.error('Error: --from and --to must be block numbers');
+        process.exit(1);
+    }
+
+    let network;
+    try {
+        network = loadNetwork(values);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    main(network, { from, to, repair: values.repair })
+        .then(result => {
+            console.log('\nDone!');
+            // Unrepaired damage fails the run so scheduled checks can alert on it
+            const clean = result.repaired || (result.damaged.length === 0 && result.totals.consistent);
+            process.exit(clean ? 0 : 2);
+        })
+        .catch(error => {
+            console.error('\nError:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { compareBlock, verifyRange, repairBlocks, checkTotals };